@@ -18,6 +18,103 @@ module.exports = {
     host: process.env.HOST || '0.0.0.0'
   },
 
+  // Account recovery, verification, two-factor authentication, sessions, permissions and API keys
+  auth: {
+    passwordReset: {
+      tokenTtl: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL) || 30 * 60, // 30 minutes
+      // Front-end page that reads ?token= and calls POST /api/auth/reset-password
+      url: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password'
+    },
+    emailVerification: {
+      // What users who have not verified their address yet may do:
+      // 'full' (everything), 'limited' (log in, but only reach limitedRoutes)
+      // or 'none' (cannot log in)
+      unverifiedAccess: process.env.EMAIL_VERIFICATION_UNVERIFIED_ACCESS || 'limited',
+      limitedRoutes: ['/api/auth'],
+      tokenTtl: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL) || 24 * 60 * 60, // 24 hours
+      // Front-end page that reads ?token= and calls POST /api/auth/verify-email
+      url: process.env.EMAIL_VERIFICATION_URL || 'http://localhost:3000/verify-email'
+    },
+    mfa: {
+      // Shown by authenticator apps next to the account name
+      issuer: process.env.MFA_ISSUER || 'Node.js App',
+      // Encrypts stored TOTP secrets; derived from JWT_SECRET when empty
+      encryptionKey: process.env.MFA_ENCRYPTION_KEY || '',
+      challengeTtl: parseInt(process.env.MFA_CHALLENGE_TTL) || 5 * 60, // 5 minutes
+      window: 1, // accept codes from one 30s step either side
+      maxFailedAttempts: parseInt(process.env.MFA_MAX_FAILED_ATTEMPTS) || 5,
+      lockoutDuration: parseInt(process.env.MFA_LOCKOUT_DURATION) || 15 * 60, // 15 minutes
+      backupCodeCount: 10
+    },
+    sessions: {
+      // Refresh token lifetime; each refresh extends the session by this much
+      ttl: parseInt(process.env.SESSION_TTL) || 7 * 24 * 60 * 60, // 7 days
+      // Record last use at most this often (seconds), not on every request
+      touchInterval: 60
+    },
+    permissions: {
+      // Seconds a role's permissions are cached per instance; role changes
+      // reach tokens when they are next refreshed
+      cacheTtl: 60
+    },
+    apiKeys: {
+      // Account and key management stay JWT-only, so a leaked key cannot be
+      // used to mint more keys or take over its owner's account
+      excludedRoutes: ['/api/auth', '/api/api-keys'],
+      // Record last use at most this often (seconds), not on every request
+      touchInterval: 60
+    }
+  },
+
+  // Access and refresh token signing
+  security: {
+    jwt: {
+      // HS256 signs with jwt.secret; RS256/ES256 sign with `keys` and publish
+      // them at /.well-known/jwks.json
+      algorithm: process.env.JWT_ALGORITHM || 'HS256',
+      issuer: process.env.JWT_ISSUER || 'nodejs-app',
+      audience: process.env.JWT_AUDIENCE || 'nodejs-app-users',
+      clockTolerance: 0, // seconds
+      // [{ kid, privateKey | privateKeyFile, activateAt?, retireAt? }]
+      keys: process.env.JWT_SIGNING_KEYS ? JSON.parse(process.env.JWT_SIGNING_KEYS) : [],
+      jwksMaxAge: 300 // seconds clients may cache the JWKS
+    }
+  },
+
+  // Requests allowed per window, counted across instances in Redis (each
+  // instance counts on its own while Redis is disabled or unreachable)
+  rateLimit: {
+    windowMs: 60 * 1000, // 1 minute, sliding
+    // Every /api request, by client IP
+    ip: parseInt(process.env.RATE_LIMIT_PER_IP) || 300,
+    // Authenticated requests, by user or by the API key they were made with
+    user: parseInt(process.env.RATE_LIMIT_PER_USER) || 200,
+    apiKey: parseInt(process.env.RATE_LIMIT_PER_API_KEY) || 600,
+    // ms to wait for Redis before counting the request in memory instead
+    redisTimeout: 100
+  },
+
+  // OpenID Connect single sign-on (Azure AD or any OIDC provider)
+  oauth2: {
+    enabled: Boolean(process.env.OAUTH2_CLIENT_ID),
+    clientId: process.env.OAUTH2_CLIENT_ID || '',
+    clientSecret: process.env.OAUTH2_CLIENT_SECRET || '',
+    // Discovery document is read from <issuerUrl>/.well-known/openid-configuration
+    issuerUrl: process.env.OAUTH2_ISSUER_URL || '',
+    redirectUri: process.env.OAUTH2_REDIRECT_URI || 'http://localhost:3000/api/auth/oidc/callback',
+    scope: 'openid profile email',
+    clockTolerance: 0, // seconds
+    loginTtl: 10 * 60, // seconds to finish signing in at the provider
+    // Create an account on first SSO login when no user has the email address
+    autoProvision: process.env.OAUTH2_AUTO_PROVISION !== 'false',
+    // Issuers whose `email` claim is trusted without `email_verified`, e.g. a
+    // single Azure AD tenant whose admins assign the addresses
+    trustedEmailIssuers: process.env.OAUTH2_TRUSTED_EMAIL_ISSUERS
+      ? process.env.OAUTH2_TRUSTED_EMAIL_ISSUERS.split(',').map(issuer => issuer.trim())
+      : [],
+    metadataCacheTtl: 60 * 60 // discovery document and provider keys
+  },
+
   // Database configuration
   database: {
     type: 'postgresql',
@@ -28,6 +125,124 @@ module.exports = {
     password: process.env.DB_PASSWORD || 'password'
   },
 
+  // Shopping cart configuration
+  cart: {
+    ttlSeconds: parseInt(process.env.CART_TTL_SECONDS) || 7 * 24 * 60 * 60, // 7 days
+    maxItems: 50
+  },
+
+  // Payment configuration
+  payments: {
+    currency: process.env.PAYMENT_CURRENCY || 'USD'
+  },
+
+  // External services defaults; environments override per service
+  externalServices: {
+    timeout: 10000,
+    retries: 2,
+    retryDelay: 500,
+    circuitBreaker: {
+      enabled: true,
+      threshold: 5,
+      timeout: 30000,
+      resetTimeout: 60000,
+      halfOpenMaxCalls: 1
+    },
+    paymentService: {
+      url: process.env.PAYMENT_SERVICE_URL || 'http://localhost:4010',
+      timeout: 10000,
+      apiKey: process.env.PAYMENT_SERVICE_API_KEY,
+      circuitBreaker: {
+        threshold: 1,
+        timeout: 30000
+      }
+    },
+    // Discovery, key set and token endpoints of the SSO provider (oauth2)
+    oidcProvider: {
+      timeout: 5000
+    }
+  },
+
+  // Notification channels
+  notifications: {
+    defaultLocale: process.env.NOTIFICATION_DEFAULT_LOCALE || 'en',
+    channels: {
+      email: {
+        enabled: Boolean(process.env.SMTP_HOST),
+        from: process.env.NOTIFICATION_EMAIL_FROM || 'no-reply@localhost',
+        smtp: {
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          user: process.env.SMTP_USER,
+          password: process.env.SMTP_PASSWORD
+        }
+      },
+      webhook: {
+        enabled: Boolean(process.env.NOTIFICATION_WEBHOOK_URL),
+        url: process.env.NOTIFICATION_WEBHOOK_URL,
+        timeout: 5000
+      },
+      inApp: {
+        enabled: true
+      }
+    },
+    // Local time (in each user's timezone) that daily digests go out
+    digest: {
+      dailyAt: process.env.NOTIFICATION_DIGEST_DAILY_AT || '08:00'
+    }
+  },
+
+  // Background jobs (Redis lists, in-memory when Redis is disabled)
+  jobs: {
+    workers: {
+      enabled: process.env.JOB_WORKERS_ENABLED !== 'false'
+    },
+    pollInterval: 1000,
+    leaseTimeout: 5 * 60 * 1000,
+    drainTimeout: 20000,
+    defaults: {
+      concurrency: 1,
+      maxAttempts: 5,
+      backoffDelay: 1000,
+      maxBackoffDelay: 10 * 60 * 1000
+    },
+    queues: {
+      email: { concurrency: 5 },
+      webhook: { concurrency: 10 },
+      thumbnail: { concurrency: 2, maxAttempts: 3 },
+      'webhook-delivery': { concurrency: 10, maxAttempts: 8, backoffDelay: 30000, maxBackoffDelay: 6 * 60 * 60 * 1000 }
+    }
+  },
+
+  // Signed webhooks for integrators (subscriptions managed through /api/webhooks)
+  webhooks: {
+    timeout: 10000,
+    userAgent: 'nodejs-backend1-webhooks/1.0',
+    disableAfterFailures: parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 20
+  },
+
+  // Server-sent event streams (GET /api/notifications/stream)
+  realtime: {
+    heartbeatInterval: 25000,
+    retryInterval: 5000,
+    historySize: 100,
+    historyTtl: 3600,
+    websocket: {
+      path: '/ws',
+      maxPayload: 16 * 1024,
+      maxSubscriptions: 50
+    }
+  },
+
+  // Image thumbnails generated after upload
+  thumbnails: {
+    enabled: true,
+    width: 320,
+    height: 320,
+    prefix: 'thumbnails'
+  },
+
   // Monitoring configuration
   monitoring: {
     enabled: true,
@@ -39,5 +254,14 @@ module.exports = {
       enabled: true,
       endpoint: '/health'
     }
+  },
+
+  // Health check configuration
+  health: {
+    externalServices: {
+      enabled: false,
+      timeout: 5000,
+      services: []
+    }
   }
 };
\ No newline at end of file
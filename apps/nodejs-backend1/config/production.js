@@ -139,7 +139,9 @@ module.exports = {
     jwt: {
       issuer: process.env.JWT_ISSUER || 'nodejs-app-production',
       audience: process.env.JWT_AUDIENCE || 'nodejs-app-users',
-      algorithm: 'RS256',
+      // Switch to RS256 with JWT_ALGORITHM once JWT_SIGNING_KEYS is provisioned;
+      // without keys an asymmetric algorithm fails at startup
+      algorithm: process.env.JWT_ALGORITHM || 'HS256',
       expiresIn: '1h', // Short expiration for production
       clockTolerance: 60
     }
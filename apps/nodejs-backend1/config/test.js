@@ -0,0 +1,95 @@
+/**
+ * Test Environment Configuration for Node.js Application
+ * Used by Jest (NODE_ENV=test). Tests mock the database and stub external
+ * services; Redis, Azure and telemetry are disabled.
+ */
+
+module.exports = {
+  app: {
+    environment: 'test'
+  },
+
+  database: {
+    name: 'nodejs_app_test',
+    ssl: false,
+    runMigrations: false,
+    pool: {
+      min: 0,
+      max: 2,
+      acquireTimeoutMillis: 1000,
+      createTimeoutMillis: 1000,
+      destroyTimeoutMillis: 1000,
+      idleTimeoutMillis: 1000,
+      reapIntervalMillis: 1000,
+      createRetryIntervalMillis: 100
+    }
+  },
+
+  redis: {
+    enabled: false,
+    host: 'localhost',
+    port: 6379,
+    password: '',
+    database: 0,
+    retryDelayOnFailover: 100,
+    enableReadyCheck: true,
+    maxRetriesPerRequest: 3,
+    lazyConnect: true,
+    keepAlive: true,
+    family: 4
+  },
+
+  jwt: {
+    secret: 'test-secret',
+    expiresIn: '1h'
+  },
+
+  auth: {
+    saltRounds: 4
+  },
+
+  cors: {
+    allowedOrigins: '*',
+    allowedMethods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowCredentials: false,
+    maxAge: 0
+  },
+
+  upload: {
+    maxFileSize: 1024 * 1024,
+    allowedTypes: ['image/png', 'image/jpeg']
+  },
+
+  azure: {
+    enabled: false,
+    storage: {
+      enabled: false,
+      accountName: '',
+      container: 'uploads'
+    },
+    applicationInsights: {
+      enabled: false,
+      instrumentationKey: '',
+      connectionString: ''
+    }
+  },
+
+  logging: {
+    level: 'error',
+    silent: true,
+    file: {
+      enabled: false,
+      path: 'logs/app.log',
+      errorPath: 'logs/error.log',
+      maxSize: '10m',
+      maxFiles: 1
+    }
+  },
+
+  monitoring: {
+    openTelemetry: {
+      enabled: false
+    }
+  }
+};
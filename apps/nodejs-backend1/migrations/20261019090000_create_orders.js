@@ -0,0 +1,42 @@
+/**
+ * Orders and order line items
+ * Line items snapshot the product name and price at the time the order is
+ * placed so later catalogue changes never alter historical totals.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('orders', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users');
+    table.string('status', 20).notNullable().defaultTo('pending');
+    table.decimal('subtotal', 12, 2).notNullable();
+    table.decimal('total_amount', 12, 2).notNullable();
+    table.integer('item_count').notNullable();
+    table.jsonb('shipping_address');
+    table.text('notes');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'created_at']);
+    table.index(['status']);
+  });
+
+  await knex.schema.createTable('order_items', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('order_id').notNullable().references('id').inTable('orders').onDelete('CASCADE');
+    table.uuid('product_id').notNullable().references('id').inTable('products');
+    table.string('product_name', 200).notNullable();
+    table.decimal('unit_price', 12, 2).notNullable();
+    table.integer('quantity').notNullable();
+    table.decimal('line_total', 12, 2).notNullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['order_id']);
+    table.index(['product_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('order_items');
+  await knex.schema.dropTableIfExists('orders');
+};
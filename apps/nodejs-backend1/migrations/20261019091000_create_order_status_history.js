@@ -0,0 +1,23 @@
+/**
+ * Audit trail of order status changes
+ * One row per transition, including the initial pending status. System
+ * initiated changes are recorded without an actor.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('order_status_history', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('order_id').notNullable().references('id').inTable('orders').onDelete('CASCADE');
+    table.string('from_status', 20);
+    table.string('to_status', 20).notNullable();
+    table.uuid('actor_id').references('id').inTable('users');
+    table.text('reason');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['order_id', 'created_at']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('order_status_history');
+};
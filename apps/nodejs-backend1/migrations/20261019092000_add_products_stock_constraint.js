@@ -0,0 +1,17 @@
+/**
+ * Guard against overselling at the database level
+ * Order placement already checks stock under row locks; this constraint makes
+ * a negative stock level impossible even for writes outside that path.
+ */
+
+exports.up = async function(knex) {
+  await knex.raw(
+    'ALTER TABLE products ADD CONSTRAINT products_stock_quantity_non_negative CHECK (stock_quantity >= 0)'
+  );
+};
+
+exports.down = async function(knex) {
+  await knex.raw(
+    'ALTER TABLE products DROP CONSTRAINT IF EXISTS products_stock_quantity_non_negative'
+  );
+};
@@ -0,0 +1,20 @@
+/**
+ * Shopping carts for deployments without Redis
+ * One row per user; items mirror the Redis hash layout (product ID to item).
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('carts', (table) => {
+    table.uuid('user_id').primary().references('id').inTable('users').onDelete('CASCADE');
+    table.jsonb('items').notNullable().defaultTo('{}');
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['expires_at']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('carts');
+};
@@ -0,0 +1,27 @@
+/**
+ * Payment attempts against orders
+ * The row ID doubles as the idempotency key sent to the payment provider, so
+ * an attempt whose outcome is unknown (status `error`) can be retried safely.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('payments', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('order_id').notNullable().references('id').inTable('orders').onDelete('CASCADE');
+    table.decimal('amount', 12, 2).notNullable();
+    table.string('currency', 3).notNullable();
+    table.string('status', 20).notNullable().defaultTo('processing');
+    table.string('provider_reference', 100);
+    table.string('failure_code', 100);
+    table.text('failure_message');
+    table.uuid('attempted_by').references('id').inTable('users');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['order_id', 'created_at']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('payments');
+};
@@ -0,0 +1,25 @@
+/**
+ * In-app notifications shown to users
+ * Email and webhook deliveries are not stored here; only the in-app channel
+ * writes rows. `read_at` is null until the user marks the notification read.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('notifications', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('type', 100).notNullable();
+    table.string('title', 255).notNullable();
+    table.text('body');
+    table.jsonb('data');
+    table.timestamp('read_at');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'created_at']);
+    table.index(['user_id', 'read_at']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('notifications');
+};
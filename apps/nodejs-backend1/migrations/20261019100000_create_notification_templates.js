@@ -0,0 +1,85 @@
+/**
+ * Versioned notification templates
+ * One row per (key, locale, version); exactly one version per key and locale
+ * is active. `variables` declares the placeholders a template may use:
+ * [{ name, required, sample }]. Also adds a preferred locale to users.
+ */
+
+const DEFAULT_TEMPLATES = [
+  {
+    key: 'user.registered',
+    subject: 'Welcome aboard, {{firstName}}',
+    body_text: 'Hi {{firstName}},\n\nYour account for {{email}} has been created.',
+    body_html: '<p>Hi {{firstName}},</p><p>Your account for <strong>{{email}}</strong> has been created.</p>',
+    variables: [
+      { name: 'firstName', required: true, sample: 'Ada' },
+      { name: 'email', required: true, sample: 'ada@example.com' }
+    ]
+  },
+  {
+    key: 'user.password_changed',
+    subject: 'Your password was changed',
+    body_text: 'Hi {{firstName}},\n\nThe password for your account was just changed. If this wasn\'t you, reset your password and contact support immediately.',
+    body_html: '<p>Hi {{firstName}},</p><p>The password for your account was just changed. If this wasn\'t you, reset your password and contact support immediately.</p>',
+    variables: [
+      { name: 'firstName', required: true, sample: 'Ada' }
+    ]
+  },
+  {
+    key: 'order.status_changed',
+    subject: 'Order {{orderNumber}} is now {{toStatus}}',
+    body_text: 'Hi {{firstName}},\n\nYour order {{orderNumber}} changed from {{fromStatus}} to {{toStatus}}.',
+    body_html: '<p>Hi {{firstName}},</p><p>Your order <strong>{{orderNumber}}</strong> changed from {{fromStatus}} to <strong>{{toStatus}}</strong>.</p>',
+    variables: [
+      { name: 'firstName', required: true, sample: 'Ada' },
+      { name: 'orderNumber', required: true, sample: '3f2a9c1d' },
+      { name: 'fromStatus', required: true, sample: 'paid' },
+      { name: 'toStatus', required: true, sample: 'shipped' }
+    ]
+  }
+];
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('notification_templates', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('key', 100).notNullable();
+    table.string('locale', 10).notNullable();
+    table.integer('version').notNullable();
+    table.string('subject', 255).notNullable();
+    table.text('body_text');
+    table.text('body_html');
+    table.jsonb('variables').notNullable().defaultTo('[]');
+    table.boolean('is_active').notNullable().defaultTo(false);
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.unique(['key', 'locale', 'version']);
+    table.index(['key', 'locale', 'is_active']);
+  });
+
+  await knex('notification_templates').insert(
+    DEFAULT_TEMPLATES.map(template => ({
+      ...template,
+      locale: 'en',
+      version: 1,
+      variables: JSON.stringify(template.variables),
+      is_active: true
+    }))
+  );
+
+  if (!(await knex.schema.hasColumn('users', 'locale'))) {
+    await knex.schema.alterTable('users', (table) => {
+      table.string('locale', 10);
+    });
+  }
+};
+
+exports.down = async function(knex) {
+  if (await knex.schema.hasColumn('users', 'locale')) {
+    await knex.schema.alterTable('users', (table) => {
+      table.dropColumn('locale');
+    });
+  }
+
+  await knex.schema.dropTableIfExists('notification_templates');
+};
@@ -0,0 +1,58 @@
+/**
+ * Per-user notification preferences and the deliveries they hold back
+ * A user without a preferences row gets the defaults (everything on,
+ * immediate delivery, no quiet hours). `channels` and `event_types` map a
+ * channel or notification type to true/false; keys that are absent are on.
+ * Quiet hours are local "HH:MM" times in `timezone` and may wrap midnight.
+ *
+ * Notifications held back by quiet hours or a digest mode wait in
+ * notification_pending_deliveries until the digest job sends them. Several
+ * at once go out as one message rendered from the notification.digest template.
+ */
+
+const DIGEST_TEMPLATE = {
+  key: 'notification.digest',
+  locale: 'en',
+  version: 1,
+  subject: 'You have {{count}} new notifications',
+  body_text: 'Hi {{firstName}},\n\nHere is what happened since our last message:\n\n{{summary}}',
+  variables: JSON.stringify([
+    { name: 'firstName', required: true, sample: 'Ada' },
+    { name: 'count', required: true, sample: '2' },
+    { name: 'summary', required: true, sample: '- Order 3f2a9c1d is now shipped\n- Order 3f2a9c1d is now delivered' }
+  ]),
+  is_active: true
+};
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('notification_preferences', (table) => {
+    table.uuid('user_id').primary().references('id').inTable('users').onDelete('CASCADE');
+    table.jsonb('channels').notNullable();
+    table.jsonb('event_types').notNullable();
+    table.string('timezone', 64).notNullable().defaultTo('UTC');
+    table.string('quiet_hours_start', 5);
+    table.string('quiet_hours_end', 5);
+    table.enu('digest_mode', ['immediate', 'hourly', 'daily']).notNullable().defaultTo('immediate');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('notification_pending_deliveries', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('channel', 50).notNullable();
+    table.string('type', 100).notNullable();
+    table.jsonb('notification').notNullable();
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['user_id', 'channel', 'created_at']);
+  });
+
+  await knex('notification_templates').insert(DIGEST_TEMPLATE);
+};
+
+exports.down = async function(knex) {
+  await knex('notification_templates').where({ key: DIGEST_TEMPLATE.key }).del();
+  await knex.schema.dropTableIfExists('notification_pending_deliveries');
+  await knex.schema.dropTableIfExists('notification_preferences');
+};
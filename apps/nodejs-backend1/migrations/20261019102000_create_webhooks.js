@@ -0,0 +1,55 @@
+/**
+ * Outbound webhook subscriptions and their delivery log
+ * `events` is the list of event names an endpoint receives. The secret signs
+ * every delivery, so it is stored as given and never returned after creation.
+ * `failure_count` counts consecutive failed attempts; the endpoint is disabled
+ * once it reaches `webhooks.disableAfterFailures`.
+ *
+ * Each delivery row is one event for one endpoint. Its id is sent as the
+ * idempotency ID and stays the same across retries.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('webhook_endpoints', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('url', 2048).notNullable();
+    table.string('description', 255);
+    table.string('secret', 255).notNullable();
+    table.jsonb('events').notNullable();
+    table.boolean('is_active').notNullable().defaultTo(true);
+    table.integer('failure_count').notNullable().defaultTo(0);
+    table.timestamp('last_success_at');
+    table.timestamp('last_failure_at');
+    table.timestamp('disabled_at');
+    table.string('disabled_reason', 255);
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['is_active']);
+  });
+
+  await knex.schema.createTable('webhook_deliveries', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('endpoint_id').notNullable().references('id').inTable('webhook_endpoints').onDelete('CASCADE');
+    table.string('event', 100).notNullable();
+    table.jsonb('payload').notNullable();
+    table.enu('status', ['pending', 'retrying', 'succeeded', 'failed', 'cancelled']).notNullable().defaultTo('pending');
+    table.integer('attempts').notNullable().defaultTo(0);
+    table.integer('response_status');
+    table.text('response_body');
+    table.text('error');
+    table.integer('duration_ms');
+    table.timestamp('last_attempt_at');
+    table.timestamp('delivered_at');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['endpoint_id', 'created_at']);
+    table.index(['endpoint_id', 'status']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('webhook_deliveries');
+  await knex.schema.dropTableIfExists('webhook_endpoints');
+};
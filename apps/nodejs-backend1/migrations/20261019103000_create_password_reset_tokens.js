@@ -0,0 +1,56 @@
+/**
+ * Password reset tokens
+ * Only the SHA-256 hash of a token is stored; the token itself is emailed to
+ * the user. A token is spent by setting `used_at` and is valid until
+ * `expires_at`. Also adds `tokens_revoked_at` to users: access and refresh
+ * tokens issued before it are rejected, which ends every session at once.
+ */
+
+const RESET_TEMPLATE = {
+  key: 'user.password_reset_requested',
+  locale: 'en',
+  version: 1,
+  subject: 'Reset your password',
+  body_text: 'Hi {{firstName}},\n\nUse the link below to choose a new password. It expires in {{expiresInMinutes}} minutes and can only be used once.\n\n{{resetUrl}}\n\nIf you didn\'t ask to reset your password, you can ignore this email.',
+  body_html: '<p>Hi {{firstName}},</p><p>Use the link below to choose a new password. It expires in {{expiresInMinutes}} minutes and can only be used once.</p><p><a href="{{resetUrl}}">Reset your password</a></p><p>If you didn\'t ask to reset your password, you can ignore this email.</p>',
+  variables: JSON.stringify([
+    { name: 'firstName', required: true, sample: 'Ada' },
+    { name: 'resetUrl', required: true, sample: 'https://example.com/reset-password?token=abc123' },
+    { name: 'expiresInMinutes', required: true, sample: 30 }
+  ]),
+  is_active: true
+};
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('password_reset_tokens', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('token_hash', 64).notNullable().unique();
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('used_at');
+    table.string('requested_ip', 45);
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.index(['user_id']);
+  });
+
+  if (!(await knex.schema.hasColumn('users', 'tokens_revoked_at'))) {
+    await knex.schema.alterTable('users', (table) => {
+      table.timestamp('tokens_revoked_at');
+    });
+  }
+
+  await knex('notification_templates').insert(RESET_TEMPLATE);
+};
+
+exports.down = async function(knex) {
+  await knex('notification_templates').where({ key: RESET_TEMPLATE.key }).del();
+
+  if (await knex.schema.hasColumn('users', 'tokens_revoked_at')) {
+    await knex.schema.alterTable('users', (table) => {
+      table.dropColumn('tokens_revoked_at');
+    });
+  }
+
+  await knex.schema.dropTableIfExists('password_reset_tokens');
+};
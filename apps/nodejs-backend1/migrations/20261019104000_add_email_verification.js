@@ -0,0 +1,44 @@
+/**
+ * Email verification
+ * `email_verified_at` stays null until the user follows the signed link sent
+ * at registration. Accounts that already exist are treated as verified so
+ * nobody is locked out by the upgrade.
+ */
+
+const VERIFICATION_TEMPLATE = {
+  key: 'user.email_verification',
+  locale: 'en',
+  version: 1,
+  subject: 'Confirm your email address',
+  body_text: 'Hi {{firstName}},\n\nPlease confirm that {{email}} is your email address by opening the link below. It expires in {{expiresInHours}} hours.\n\n{{verificationUrl}}',
+  body_html: '<p>Hi {{firstName}},</p><p>Please confirm that <strong>{{email}}</strong> is your email address. The link expires in {{expiresInHours}} hours.</p><p><a href="{{verificationUrl}}">Confirm email address</a></p>',
+  variables: JSON.stringify([
+    { name: 'firstName', required: true, sample: 'Ada' },
+    { name: 'email', required: true, sample: 'ada@example.com' },
+    { name: 'verificationUrl', required: true, sample: 'https://example.com/verify-email?token=abc123' },
+    { name: 'expiresInHours', required: true, sample: 24 }
+  ]),
+  is_active: true
+};
+
+exports.up = async function(knex) {
+  if (!(await knex.schema.hasColumn('users', 'email_verified_at'))) {
+    await knex.schema.alterTable('users', (table) => {
+      table.timestamp('email_verified_at');
+    });
+  }
+
+  await knex('users').whereNull('email_verified_at').update({ email_verified_at: knex.fn.now() });
+
+  await knex('notification_templates').insert(VERIFICATION_TEMPLATE);
+};
+
+exports.down = async function(knex) {
+  await knex('notification_templates').where({ key: VERIFICATION_TEMPLATE.key }).del();
+
+  if (await knex.schema.hasColumn('users', 'email_verified_at')) {
+    await knex.schema.alterTable('users', (table) => {
+      table.dropColumn('email_verified_at');
+    });
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * TOTP two-factor authentication
+ * One row per enrolled user. The secret is encrypted (AES-256-GCM) because it
+ * has to be read back to check codes. `enabled_at` stays null until the user
+ * confirms enrolment with a first code. `last_used_step` is the last accepted
+ * TOTP time step, so a code cannot be used twice. `failed_attempts` counts
+ * invalid codes in a row; reaching auth.mfa.maxFailedAttempts sets
+ * `locked_until` and no code is checked before then.
+ *
+ * Backup codes are stored as keyed hashes and can each be used once.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('user_mfa', (table) => {
+    table.uuid('user_id').primary().references('id').inTable('users').onDelete('CASCADE');
+    table.text('secret_encrypted').notNullable();
+    table.timestamp('enabled_at');
+    table.bigInteger('last_used_step');
+    table.integer('failed_attempts').notNullable().defaultTo(0);
+    table.timestamp('locked_until');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('user_mfa_backup_codes', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('code_hash', 64).notNullable();
+    table.timestamp('used_at');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+
+    table.unique(['user_id', 'code_hash']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('user_mfa_backup_codes');
+  await knex.schema.dropTableIfExists('user_mfa');
+};
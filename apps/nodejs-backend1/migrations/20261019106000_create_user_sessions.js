@@ -0,0 +1,28 @@
+/**
+ * Server-side session registry
+ * One row per login on a device. The row id is carried in every access and
+ * refresh token issued for the session (`sid` claim), so all tokens of one
+ * refresh-token family can be revoked together. `expires_at` moves forward
+ * each time the session is refreshed.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('user_sessions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('device', 100);
+    table.string('user_agent', 512);
+    table.string('ip', 45);
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('last_used_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('revoked_at');
+    table.string('revoked_reason', 50);
+
+    table.index(['user_id', 'revoked_at']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('user_sessions');
+};
@@ -0,0 +1,23 @@
+/**
+ * Refresh-token rotation
+ * Each session (user_sessions row) is one refresh-token family. Every refresh
+ * token issued for it has a row here, keyed by the token's `jti` claim, and can
+ * be exchanged once. Presenting a token whose `used_at` is already set means it
+ * was copied, so the whole family is revoked.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('refresh_tokens', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('session_id').notNullable().references('id').inTable('user_sessions').onDelete('CASCADE');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('used_at');
+
+    table.index(['session_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('refresh_tokens');
+};
@@ -0,0 +1,25 @@
+/**
+ * Single sign-on identities
+ * Links an account at an OpenID Connect provider (issuer + subject) to a
+ * local user. The subject is the stable key; the email is kept for support
+ * and is only used to link an identity the first time it signs in.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('user_identities', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('issuer', 255).notNullable();
+    table.string('subject', 255).notNullable();
+    table.string('email', 255);
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('last_login_at');
+
+    table.unique(['issuer', 'subject']);
+    table.index(['user_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('user_identities');
+};
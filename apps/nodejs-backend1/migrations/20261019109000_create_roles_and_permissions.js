@@ -0,0 +1,83 @@
+/**
+ * Role-based access control
+ * `users.role` names a row in `roles`; a role grants the permissions linked to
+ * it in `role_permissions`. Permissions are what routes check, so they are
+ * only added by migrations. System roles (the built-in ones) cannot be deleted.
+ */
+
+const DEFAULT_PERMISSIONS = [
+  { name: 'products:create', description: 'Create products' },
+  { name: 'products:update', description: 'Update products' },
+  { name: 'products:delete', description: 'Delete products' },
+  { name: 'users:read', description: 'List and view any user' },
+  { name: 'users:create', description: 'Create users' },
+  { name: 'users:update', description: 'Update, deactivate and reactivate users' },
+  { name: 'users:delete', description: 'Deactivate users' },
+  { name: 'users:manage_admins', description: 'Manage users whose role administers users, and assign such roles' },
+  { name: 'roles:manage', description: 'Manage roles and their permissions' }
+];
+
+const ADMIN_PERMISSIONS = [
+  'products:create',
+  'products:update',
+  'products:delete',
+  'users:read',
+  'users:create',
+  'users:update',
+  'users:delete'
+];
+
+const DEFAULT_ROLES = [
+  { name: 'user', description: 'Customer account', permissions: [] },
+  { name: 'admin', description: 'Manages products and customer accounts', permissions: ADMIN_PERMISSIONS },
+  {
+    name: 'super_admin',
+    description: 'Full access, including administrators and roles',
+    permissions: DEFAULT_PERMISSIONS.map(permission => permission.name)
+  }
+];
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('roles', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name', 50).notNullable().unique();
+    table.string('description', 255);
+    table.boolean('is_system').notNullable().defaultTo(false);
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('updated_at').notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('permissions', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name', 100).notNullable().unique();
+    table.string('description', 255);
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('role_permissions', (table) => {
+    table.uuid('role_id').notNullable().references('id').inTable('roles').onDelete('CASCADE');
+    table.uuid('permission_id').notNullable().references('id').inTable('permissions').onDelete('CASCADE');
+
+    table.primary(['role_id', 'permission_id']);
+    table.index(['permission_id']);
+  });
+
+  const permissions = await knex('permissions').insert(DEFAULT_PERMISSIONS).returning('*');
+  const roles = await knex('roles').insert(
+    DEFAULT_ROLES.map(({ name, description }) => ({ name, description, is_system: true }))
+  ).returning('*');
+
+  const rolePermissions = DEFAULT_ROLES.flatMap(({ name, permissions: granted }) => {
+    const role = roles.find(row => row.name === name);
+    return permissions
+      .filter(permission => granted.includes(permission.name))
+      .map(permission => ({ role_id: role.id, permission_id: permission.id }));
+  });
+  await knex('role_permissions').insert(rolePermissions);
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('role_permissions');
+  await knex.schema.dropTableIfExists('permissions');
+  await knex.schema.dropTableIfExists('roles');
+};
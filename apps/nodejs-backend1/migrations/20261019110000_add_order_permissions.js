@@ -0,0 +1,23 @@
+/**
+ * Order administration permission
+ * `orders:manage` lets a user see and change every order, not just their own.
+ * Granted to the built-in admin roles, which had this access by role name.
+ */
+
+const PERMISSION = { name: 'orders:manage', description: 'View and manage every order' };
+const ROLES = ['admin', 'super_admin'];
+
+exports.up = async function(knex) {
+  const [permission] = await knex('permissions').insert(PERMISSION).returning('*');
+  const roles = await knex('roles').whereIn('name', ROLES);
+
+  if (roles.length > 0) {
+    await knex('role_permissions').insert(
+      roles.map(role => ({ role_id: role.id, permission_id: permission.id }))
+    );
+  }
+};
+
+exports.down = async function(knex) {
+  await knex('permissions').where({ name: PERMISSION.name }).del();
+};
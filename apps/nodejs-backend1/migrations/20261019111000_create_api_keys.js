@@ -0,0 +1,28 @@
+/**
+ * API keys
+ * Keys look like `ak_<prefix>_<secret>`. Only the SHA-256 hash of the whole
+ * key is stored; the prefix is kept in clear to find the row and to let users
+ * tell their keys apart. `scopes` lists the permissions the key may use; a
+ * key never gets more than its owner currently has.
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('api_keys', (table) => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+    table.string('name', 100).notNullable();
+    table.string('prefix', 16).notNullable().unique();
+    table.string('key_hash', 64).notNullable();
+    table.jsonb('scopes').notNullable().defaultTo('[]');
+    table.timestamp('expires_at');
+    table.timestamp('last_used_at');
+    table.timestamp('created_at').notNullable().defaultTo(knex.fn.now());
+    table.timestamp('revoked_at');
+
+    table.index(['user_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('api_keys');
+};
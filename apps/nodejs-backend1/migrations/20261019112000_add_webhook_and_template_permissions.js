@@ -0,0 +1,27 @@
+/**
+ * Webhook and notification template administration permissions
+ * `webhooks:manage` and `notification_templates:manage` guard the routes
+ * that were limited to the built-in admin roles by role name, so they are
+ * granted to those roles.
+ */
+
+const PERMISSIONS = [
+  { name: 'webhooks:manage', description: 'Manage webhook endpoints and their deliveries' },
+  { name: 'notification_templates:manage', description: 'View, edit and preview notification templates' }
+];
+const ROLES = ['admin', 'super_admin'];
+
+exports.up = async function(knex) {
+  const permissions = await knex('permissions').insert(PERMISSIONS).returning('*');
+  const roles = await knex('roles').whereIn('name', ROLES);
+
+  if (roles.length > 0) {
+    await knex('role_permissions').insert(
+      roles.flatMap(role => permissions.map(permission => ({ role_id: role.id, permission_id: permission.id })))
+    );
+  }
+};
+
+exports.down = async function(knex) {
+  await knex('permissions').whereIn('name', PERMISSIONS.map(permission => permission.name)).del();
+};
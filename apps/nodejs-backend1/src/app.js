@@ -5,23 +5,38 @@ const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
 const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
 
 // Import custom modules
 const logger = require('./utils/logger');
+const { runWithContext } = require('./utils/requestContext');
 const { initializeMonitoring } = require('./middleware/monitoring');
 const { initializeDatabase } = require('./config/database');
 const { initializeRedis } = require('./config/redis');
 const { initializeAzureServices } = require('./config/azure');
+const { initializeSigningKeys } = require('./config/jwt');
+const { registerNotificationHandlers } = require('./services/notificationService');
+const { registerWebhookHandlers } = require('./services/webhookService');
+const { startRealtime } = require('./services/realtime');
+const { attachWebSocketGateway } = require('./services/websocketGateway');
+const { registerJobHandlers } = require('./jobs');
+const { startWorkers } = require('./services/jobQueue');
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
+const { createRateLimiter } = require('./middleware/rateLimiter');
 
 // Import routes
 const healthRoutes = require('./routes/health');
+const wellKnownRoutes = require('./routes/wellKnown');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
+const cartRoutes = require('./routes/cart');
+const notificationRoutes = require('./routes/notifications');
+const notificationTemplateRoutes = require('./routes/notificationTemplates');
+const webhookRoutes = require('./routes/webhooks');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
 const fileRoutes = require('./routes/files');
 
 class Application {
@@ -62,6 +77,9 @@ class Application {
     logger.info('Initializing external services...');
     
     try {
+      // Load token signing keys first: a bad key should fail the deploy
+      initializeSigningKeys();
+      
       // Initialize database
       await initializeDatabase();
       logger.info('Database initialized');
@@ -77,6 +95,24 @@ class Application {
         await initializeAzureServices();
         logger.info('Azure services initialized');
       }
+      
+      // Send notifications for domain events
+      registerNotificationHandlers();
+      logger.info('Notification handlers registered');
+      
+      // Deliver subscribed domain events to integrators' webhooks
+      registerWebhookHandlers();
+      logger.info('Webhook handlers registered');
+      
+      // Push notifications to connected clients (Redis pub/sub across pods)
+      await startRealtime();
+      logger.info('Real-time events started');
+      
+      // Background job workers (can be disabled to run API-only pods)
+      registerJobHandlers();
+      if (config.get('jobs.workers.enabled')) {
+        startWorkers();
+      }
     } catch (error) {
       logger.error('Failed to initialize services', { error: error.message });
       throw error;
@@ -119,18 +155,16 @@ class Application {
     // Compression
     this.app.use(compression());
     
-    // Rate limiting
-    const limiter = rateLimit({
-      windowMs: 60 * 1000, // 1 minute
-      max: config.get('rateLimit.requestsPerMinute'),
+    // Rate limiting by client IP (authenticated routes are also limited per
+    // user or API key, see setupRoutes)
+    this.app.use('/api/', createRateLimiter({
+      name: 'api',
+      windowMs: config.get('rateLimit.windowMs'),
+      max: config.get('rateLimit.ip'),
       message: {
-        error: 'Too many requests from this IP, please try again later.',
-        retryAfter: '60 seconds'
-      },
-      standardHeaders: true,
-      legacyHeaders: false,
-    });
-    this.app.use('/api/', limiter);
+        error: 'Too many requests from this IP, please try again later.'
+      }
+    }));
     
     // Body parsing
     this.app.use(express.json({ limit: '10mb' }));
@@ -145,11 +179,12 @@ class Application {
       }));
     }
     
-    // Request ID middleware
+    // Request ID middleware (reuses an upstream ID so traces span services)
     this.app.use((req, res, next) => {
-      req.id = require('uuid').v4();
+      const upstreamId = req.get('X-Request-ID');
+      req.id = upstreamId && /^[\w-]{1,128}$/.test(upstreamId) ? upstreamId : require('uuid').v4();
       res.setHeader('X-Request-ID', req.id);
-      next();
+      runWithContext({ requestId: req.id }, next);
     });
     
     // Request timing
@@ -166,12 +201,22 @@ class Application {
     this.app.use('/health', healthRoutes);
     this.app.use('/api/health', healthRoutes);
     
-    // API routes with authentication
+    // Token verification keys for other services (no auth required)
+    this.app.use('/.well-known', wellKnownRoutes);
+    
+    // API routes with authentication, limited per user or API key
+    const authenticated = [authMiddleware.verifyToken, authMiddleware.userRateLimit()];
     this.app.use('/api/auth', authRoutes);
-    this.app.use('/api/users', authMiddleware, userRoutes);
-    this.app.use('/api/products', authMiddleware, productRoutes);
-    this.app.use('/api/orders', authMiddleware, orderRoutes);
-    this.app.use('/api/files', authMiddleware, fileRoutes);
+    this.app.use('/api/users', authenticated, userRoutes);
+    this.app.use('/api/products', authenticated, productRoutes);
+    this.app.use('/api/orders', authenticated, orderRoutes);
+    this.app.use('/api/cart', authenticated, cartRoutes);
+    this.app.use('/api/notifications', authenticated, notificationRoutes);
+    this.app.use('/api/notification-templates', authenticated, notificationTemplateRoutes);
+    this.app.use('/api/webhooks', authenticated, webhookRoutes);
+    this.app.use('/api/roles', authenticated, roleRoutes);
+    this.app.use('/api/api-keys', authenticated, apiKeyRoutes);
+    this.app.use('/api/files', authenticated, fileRoutes);
     
     // API documentation
     if (this.environment !== 'production') {
@@ -220,8 +265,18 @@ class Application {
       
       const server = this.server;
       if (server) {
+        // Open event streams and sockets would hold server.close() forever; clients reconnect elsewhere
+        const { closeWebSocketGateway } = require('./services/websocketGateway');
+        const { stopRealtime } = require('./services/realtime');
+        await closeWebSocketGateway();
+        await stopRealtime();
+        
         server.close(async () => {
           try {
+            // Let in-flight jobs finish while their connections are still open
+            const { drainWorkers } = require('./services/jobQueue');
+            await drainWorkers(config.get('jobs.drainTimeout'));
+            
             // Close database connections
             const { closeDatabase } = require('./config/database');
             await closeDatabase();
@@ -273,6 +328,8 @@ class Application {
         });
       });
       
+      attachWebSocketGateway(this.server);
+      
       return this.server;
     } catch (error) {
       logger.error('Failed to start server', { error: error.message });
@@ -172,6 +172,7 @@ const DatabaseOperations = {
     update: (id, productData) => createMonitoredQuery(db('products').where({ id }).update(productData).returning('*'), 'UPDATE', 'products'),
     delete: (id) => createMonitoredQuery(db('products').where({ id }).del(), 'DELETE', 'products'),
     list: (limit = 10, offset = 0) => createMonitoredQuery(db('products').limit(limit).offset(offset), 'SELECT', 'products'),
+    findByIds: (ids) => createMonitoredQuery(db('products').whereIn('id', ids), 'SELECT', 'products'),
     search: (searchTerm) => createMonitoredQuery(
       db('products').where('name', 'ilike', `%${searchTerm}%`).orWhere('description', 'ilike', `%${searchTerm}%`),
       'SELECT',
@@ -189,6 +190,401 @@ const DatabaseOperations = {
     list: (limit = 10, offset = 0) => createMonitoredQuery(db('orders').limit(limit).offset(offset), 'SELECT', 'orders')
   },
   
+  // Order items table operations
+  orderItems: {
+    findByOrderId: (orderId) => createMonitoredQuery(db('order_items').where({ order_id: orderId }), 'SELECT', 'order_items'),
+    findByOrderIds: (orderIds) => createMonitoredQuery(db('order_items').whereIn('order_id', orderIds), 'SELECT', 'order_items'),
+    create: (items) => createMonitoredQuery(db('order_items').insert(items).returning('*'), 'INSERT', 'order_items')
+  },
+  
+  // Order status history table operations
+  orderStatusHistory: {
+    findByOrderId: (orderId) => createMonitoredQuery(
+      db('order_status_history').where({ order_id: orderId }).orderBy('created_at', 'asc'),
+      'SELECT',
+      'order_status_history'
+    )
+  },
+  
+  // Payments table operations
+  payments: {
+    findByOrderId: (orderId) => createMonitoredQuery(
+      db('payments').where({ order_id: orderId }).orderBy('created_at', 'desc'),
+      'SELECT',
+      'payments'
+    ),
+    update: (id, paymentData) => createMonitoredQuery(db('payments').where({ id }).update(paymentData).returning('*'), 'UPDATE', 'payments')
+  },
+  
+  // Carts table operations
+  carts: {
+    findByUserId: (userId) => createMonitoredQuery(db('carts').where({ user_id: userId }), 'SELECT', 'carts'),
+    upsert: (cartData) => createMonitoredQuery(
+      db('carts').insert(cartData).onConflict('user_id').merge().returning('*'),
+      'UPSERT',
+      'carts'
+    ),
+    delete: (userId) => createMonitoredQuery(db('carts').where({ user_id: userId }).del(), 'DELETE', 'carts')
+  },
+  
+  // Notifications table operations
+  notifications: {
+    findById: (id) => createMonitoredQuery(db('notifications').where({ id }), 'SELECT', 'notifications'),
+    findByUserId: (userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) => {
+      const query = db('notifications').where({ user_id: userId });
+      if (unreadOnly) {
+        query.whereNull('read_at');
+      }
+      return createMonitoredQuery(
+        query.orderBy('created_at', 'desc').limit(limit).offset(offset),
+        'SELECT',
+        'notifications'
+      );
+    },
+    countByUserId: (userId, { unreadOnly = false } = {}) => {
+      const query = db('notifications').where({ user_id: userId });
+      if (unreadOnly) {
+        query.whereNull('read_at');
+      }
+      return createMonitoredQuery(query.count('* as count').first(), 'SELECT', 'notifications');
+    },
+    create: (notificationData) => createMonitoredQuery(db('notifications').insert(notificationData).returning('*'), 'INSERT', 'notifications'),
+    markRead: (id, userId) => createMonitoredQuery(
+      db('notifications').where({ id, user_id: userId }).whereNull('read_at').update({ read_at: new Date() }).returning('*'),
+      'UPDATE',
+      'notifications'
+    ),
+    markAllRead: (userId) => createMonitoredQuery(
+      db('notifications').where({ user_id: userId }).whereNull('read_at').update({ read_at: new Date() }),
+      'UPDATE',
+      'notifications'
+    ),
+    delete: (id, userId) => createMonitoredQuery(db('notifications').where({ id, user_id: userId }).del(), 'DELETE', 'notifications')
+  },
+  
+  // Notification templates table operations
+  notificationTemplates: {
+    list: ({ key, locale } = {}) => {
+      const query = db('notification_templates').where({ is_active: true });
+      if (key) {
+        query.where({ key });
+      }
+      if (locale) {
+        query.where({ locale });
+      }
+      return createMonitoredQuery(query.orderBy(['key', 'locale']), 'SELECT', 'notification_templates');
+    },
+    findActive: (key, locale) => createMonitoredQuery(
+      db('notification_templates').where({ key, locale, is_active: true }),
+      'SELECT',
+      'notification_templates'
+    ),
+    findVersions: (key, locale) => createMonitoredQuery(
+      db('notification_templates').where({ key, locale }).orderBy('version', 'desc'),
+      'SELECT',
+      'notification_templates'
+    ),
+    findVersion: (key, locale, version) => createMonitoredQuery(
+      db('notification_templates').where({ key, locale, version }),
+      'SELECT',
+      'notification_templates'
+    ),
+    deleteVariant: (key, locale) => createMonitoredQuery(
+      db('notification_templates').where({ key, locale }).del(),
+      'DELETE',
+      'notification_templates'
+    )
+  },
+  
+  // Notification preferences table operations
+  notificationPreferences: {
+    findByUserId: (userId) => createMonitoredQuery(
+      db('notification_preferences').where({ user_id: userId }),
+      'SELECT',
+      'notification_preferences'
+    ),
+    upsert: (userId, preferencesData) => createMonitoredQuery(
+      db('notification_preferences')
+        .insert({ user_id: userId, ...preferencesData })
+        .onConflict('user_id')
+        .merge()
+        .returning('*'),
+      'INSERT',
+      'notification_preferences'
+    )
+  },
+  
+  // Notifications held back by quiet hours or digests
+  notificationPendingDeliveries: {
+    create: (deliveryData) => createMonitoredQuery(
+      db('notification_pending_deliveries').insert(deliveryData).returning('*'),
+      'INSERT',
+      'notification_pending_deliveries'
+    )
+  },
+  
+  // Webhook endpoints table operations
+  webhookEndpoints: {
+    findById: (id) => createMonitoredQuery(db('webhook_endpoints').where({ id }), 'SELECT', 'webhook_endpoints'),
+    list: () => createMonitoredQuery(db('webhook_endpoints').orderBy('created_at', 'desc'), 'SELECT', 'webhook_endpoints'),
+    listActive: () => createMonitoredQuery(db('webhook_endpoints').where({ is_active: true }), 'SELECT', 'webhook_endpoints'),
+    create: (endpointData) => createMonitoredQuery(db('webhook_endpoints').insert(endpointData).returning('*'), 'INSERT', 'webhook_endpoints'),
+    update: (id, endpointData) => createMonitoredQuery(
+      db('webhook_endpoints').where({ id }).update(endpointData).returning('*'),
+      'UPDATE',
+      'webhook_endpoints'
+    ),
+    recordSuccess: (id) => createMonitoredQuery(
+      db('webhook_endpoints').where({ id }).update({ failure_count: 0, last_success_at: new Date() }),
+      'UPDATE',
+      'webhook_endpoints'
+    ),
+    recordFailure: (id) => createMonitoredQuery(
+      db('webhook_endpoints')
+        .where({ id })
+        .update({ failure_count: db.raw('failure_count + 1'), last_failure_at: new Date() })
+        .returning('*'),
+      'UPDATE',
+      'webhook_endpoints'
+    ),
+    delete: (id) => createMonitoredQuery(db('webhook_endpoints').where({ id }).del(), 'DELETE', 'webhook_endpoints')
+  },
+  
+  // Webhook delivery log operations
+  webhookDeliveries: {
+    findById: (id) => createMonitoredQuery(db('webhook_deliveries').where({ id }), 'SELECT', 'webhook_deliveries'),
+    findByEndpointId: (endpointId, { status, event, limit = 20, offset = 0 } = {}) => {
+      const query = db('webhook_deliveries').where({ endpoint_id: endpointId });
+      if (status) {
+        query.where({ status });
+      }
+      if (event) {
+        query.where({ event });
+      }
+      return createMonitoredQuery(
+        query.orderBy('created_at', 'desc').limit(limit).offset(offset),
+        'SELECT',
+        'webhook_deliveries'
+      );
+    },
+    countByEndpointId: (endpointId, { status, event } = {}) => {
+      const query = db('webhook_deliveries').where({ endpoint_id: endpointId });
+      if (status) {
+        query.where({ status });
+      }
+      if (event) {
+        query.where({ event });
+      }
+      return createMonitoredQuery(query.count('* as count').first(), 'SELECT', 'webhook_deliveries');
+    },
+    create: (deliveryData) => createMonitoredQuery(db('webhook_deliveries').insert(deliveryData).returning('*'), 'INSERT', 'webhook_deliveries'),
+    update: (id, deliveryData) => createMonitoredQuery(
+      db('webhook_deliveries').where({ id }).update(deliveryData).returning('*'),
+      'UPDATE',
+      'webhook_deliveries'
+    )
+  },
+  
+  // Password reset token operations
+  passwordResetTokens: {
+    create: (tokenData) => createMonitoredQuery(db('password_reset_tokens').insert(tokenData).returning('*'), 'INSERT', 'password_reset_tokens'),
+    // Spend a token in one statement so it can only be used once
+    consume: (tokenHash) => createMonitoredQuery(
+      db('password_reset_tokens')
+        .where({ token_hash: tokenHash })
+        .whereNull('used_at')
+        .where('expires_at', '>', new Date())
+        .update({ used_at: new Date() })
+        .returning('*'),
+      'UPDATE',
+      'password_reset_tokens'
+    ),
+    invalidateByUserId: (userId) => createMonitoredQuery(
+      db('password_reset_tokens').where({ user_id: userId }).whereNull('used_at').update({ used_at: new Date() }),
+      'UPDATE',
+      'password_reset_tokens'
+    )
+  },
+  
+  // TOTP enrolment operations
+  userMfa: {
+    findByUserId: (userId) => createMonitoredQuery(db('user_mfa').where({ user_id: userId }), 'SELECT', 'user_mfa'),
+    upsert: (userId, mfaData) => createMonitoredQuery(
+      db('user_mfa')
+        .insert({ user_id: userId, ...mfaData })
+        .onConflict('user_id')
+        .merge()
+        .returning('*'),
+      'INSERT',
+      'user_mfa'
+    ),
+    // Accept each time step once: a code seen before (replayed) updates nothing
+    recordStep: (userId, step) => createMonitoredQuery(
+      db('user_mfa')
+        .where({ user_id: userId })
+        .where(function() {
+          this.whereNull('last_used_step').orWhere('last_used_step', '<', step);
+        })
+        .update({ last_used_step: step, updated_at: new Date() })
+        .returning('*'),
+      'UPDATE',
+      'user_mfa'
+    ),
+    // Count an invalid code; once `maxAttempts` are reached in a row the
+    // enrolment is locked until `lockedUntil` and the count starts over
+    recordFailure: (userId, maxAttempts, lockedUntil) => createMonitoredQuery(
+      db('user_mfa')
+        .where({ user_id: userId })
+        .update({
+          failed_attempts: db.raw('CASE WHEN failed_attempts + 1 >= ? THEN 0 ELSE failed_attempts + 1 END', [maxAttempts]),
+          locked_until: db.raw('CASE WHEN failed_attempts + 1 >= ? THEN ? ELSE locked_until END', [maxAttempts, lockedUntil]),
+          updated_at: new Date()
+        })
+        .returning('*'),
+      'UPDATE',
+      'user_mfa'
+    ),
+    resetFailures: (userId) => createMonitoredQuery(
+      db('user_mfa').where({ user_id: userId }).update({ failed_attempts: 0, locked_until: null }),
+      'UPDATE',
+      'user_mfa'
+    ),
+    delete: (userId) => createMonitoredQuery(db('user_mfa').where({ user_id: userId }).del(), 'DELETE', 'user_mfa')
+  },
+  
+  // MFA backup code operations
+  mfaBackupCodes: {
+    consume: (userId, codeHash) => createMonitoredQuery(
+      db('user_mfa_backup_codes')
+        .where({ user_id: userId, code_hash: codeHash })
+        .whereNull('used_at')
+        .update({ used_at: new Date() })
+        .returning('*'),
+      'UPDATE',
+      'user_mfa_backup_codes'
+    ),
+    countUnused: (userId) => createMonitoredQuery(
+      db('user_mfa_backup_codes').where({ user_id: userId }).whereNull('used_at').count('* as count').first(),
+      'SELECT',
+      'user_mfa_backup_codes'
+    )
+  },
+  
+  // Login session operations
+  userSessions: {
+    create: (sessionData) => createMonitoredQuery(db('user_sessions').insert(sessionData).returning('*'), 'INSERT', 'user_sessions'),
+    findById: (id) => createMonitoredQuery(db('user_sessions').where({ id }), 'SELECT', 'user_sessions'),
+    findActiveByUserId: (userId) => createMonitoredQuery(
+      db('user_sessions')
+        .where({ user_id: userId })
+        .whereNull('revoked_at')
+        .where('expires_at', '>', new Date())
+        .orderBy('last_used_at', 'desc'),
+      'SELECT',
+      'user_sessions'
+    ),
+    update: (id, sessionData) => createMonitoredQuery(
+      db('user_sessions').where({ id }).whereNull('revoked_at').update(sessionData).returning('*'),
+      'UPDATE',
+      'user_sessions'
+    ),
+    // Only writes when last_used_at is older than `before`, to spare a write per request
+    touch: (id, sessionData, before) => createMonitoredQuery(
+      db('user_sessions').where({ id }).whereNull('revoked_at').where('last_used_at', '<', before).update(sessionData),
+      'UPDATE',
+      'user_sessions'
+    ),
+    revoke: (id, reason) => createMonitoredQuery(
+      db('user_sessions').where({ id }).whereNull('revoked_at').update({ revoked_at: new Date(), revoked_reason: reason }).returning('*'),
+      'UPDATE',
+      'user_sessions'
+    ),
+    revokeByUserId: (userId, reason, exceptId = null) => {
+      const query = db('user_sessions').where({ user_id: userId }).whereNull('revoked_at');
+      if (exceptId) {
+        query.whereNot({ id: exceptId });
+      }
+      return createMonitoredQuery(
+        query.update({ revoked_at: new Date(), revoked_reason: reason }).returning('id'),
+        'UPDATE',
+        'user_sessions'
+      );
+    }
+  },
+  
+  // Refresh token operations (one family per session)
+  refreshTokens: {
+    create: (tokenData) => createMonitoredQuery(db('refresh_tokens').insert(tokenData).returning('*'), 'INSERT', 'refresh_tokens'),
+    findById: (id) => createMonitoredQuery(db('refresh_tokens').where({ id }), 'SELECT', 'refresh_tokens'),
+    // Exchange a token in one statement so it can only be used once
+    consume: (id, sessionId) => createMonitoredQuery(
+      db('refresh_tokens')
+        .where({ id, session_id: sessionId })
+        .whereNull('used_at')
+        .where('expires_at', '>', new Date())
+        .update({ used_at: new Date() })
+        .returning('*'),
+      'UPDATE',
+      'refresh_tokens'
+    )
+  },
+  
+  // Single sign-on identity operations
+  userIdentities: {
+    findBySubject: (issuer, subject) => createMonitoredQuery(db('user_identities').where({ issuer, subject }), 'SELECT', 'user_identities'),
+    create: (identityData) => createMonitoredQuery(db('user_identities').insert(identityData).returning('*'), 'INSERT', 'user_identities'),
+    update: (id, identityData) => createMonitoredQuery(db('user_identities').where({ id }).update(identityData).returning('*'), 'UPDATE', 'user_identities')
+  },
+  
+  // Role and permission operations (RBAC)
+  roles: {
+    list: () => createMonitoredQuery(db('roles').orderBy('name'), 'SELECT', 'roles'),
+    findByName: (name) => createMonitoredQuery(db('roles').where({ name }), 'SELECT', 'roles'),
+    update: (id, roleData) => createMonitoredQuery(db('roles').where({ id }).update(roleData).returning('*'), 'UPDATE', 'roles'),
+    delete: (id) => createMonitoredQuery(db('roles').where({ id }).del(), 'DELETE', 'roles'),
+    countUsers: (name) => createMonitoredQuery(db('users').where({ role: name }).count('* as count').first(), 'SELECT', 'users')
+  },
+  permissions: {
+    list: () => createMonitoredQuery(db('permissions').orderBy('name'), 'SELECT', 'permissions'),
+    findByNames: (names) => createMonitoredQuery(db('permissions').whereIn('name', names), 'SELECT', 'permissions'),
+    // Permission names granted to each role: [{ role, permission }]
+    listGrants: (roleName = null) => {
+      const query = db('role_permissions')
+        .join('roles', 'roles.id', 'role_permissions.role_id')
+        .join('permissions', 'permissions.id', 'role_permissions.permission_id')
+        .select('roles.name as role', 'permissions.name as permission')
+        .orderBy('permissions.name');
+      if (roleName) {
+        query.where('roles.name', roleName);
+      }
+      return createMonitoredQuery(query, 'SELECT', 'role_permissions');
+    }
+  },
+  
+  // API key operations (only hashes are stored)
+  apiKeys: {
+    create: (keyData) => createMonitoredQuery(db('api_keys').insert(keyData).returning('*'), 'INSERT', 'api_keys'),
+    findByPrefix: (prefix) => createMonitoredQuery(db('api_keys').where({ prefix }), 'SELECT', 'api_keys'),
+    findActiveByUserId: (userId) => createMonitoredQuery(
+      db('api_keys').where({ user_id: userId }).whereNull('revoked_at').orderBy('created_at', 'desc'),
+      'SELECT',
+      'api_keys'
+    ),
+    revoke: (id, userId) => createMonitoredQuery(
+      db('api_keys').where({ id, user_id: userId }).whereNull('revoked_at').update({ revoked_at: new Date() }).returning('*'),
+      'UPDATE',
+      'api_keys'
+    ),
+    // Only writes when last_used_at is older than `before`, to spare a write per request
+    touch: (id, before) => createMonitoredQuery(
+      db('api_keys').where({ id }).where(function() {
+        this.whereNull('last_used_at').orWhere('last_used_at', '<', before);
+      }).update({ last_used_at: new Date() }),
+      'UPDATE',
+      'api_keys'
+    )
+  },
+
   // Generic operations
   raw: (query, bindings) => createMonitoredQuery(db.raw(query, bindings), 'RAW', 'multiple'),
   transaction: (callback) => db.transaction(callback)
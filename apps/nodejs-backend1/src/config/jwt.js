@@ -0,0 +1,152 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const logger = require('../utils/logger');
+
+let signingKeys = null;
+
+const settings = () => config.get('security.jwt');
+
+// HS* algorithms sign with jwt.secret; everything else uses security.jwt.keys
+const isSymmetric = (algorithm) => algorithm.startsWith('HS');
+
+const parseDate = (value, kid, field) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Signing key ${kid}: invalid ${field}`);
+  }
+  return date;
+};
+
+// Accepted for verification (and published) until its retireAt
+const isVerifying = (key, now = new Date()) => !key.retireAt || key.retireAt > now;
+
+const loadKey = (keyConfig) => {
+  const { kid, privateKey, privateKeyFile, activateAt, retireAt } = keyConfig;
+  if (!kid) {
+    throw new Error('Every signing key needs a kid');
+  }
+  if (!privateKey && !privateKeyFile) {
+    throw new Error(`Signing key ${kid}: privateKey or privateKeyFile is required`);
+  }
+
+  const key = crypto.createPrivateKey(privateKey || fs.readFileSync(privateKeyFile, 'utf8'));
+
+  return {
+    kid,
+    privateKey: key,
+    publicKey: crypto.createPublicKey(key),
+    activateAt: parseDate(activateAt, kid, 'activateAt'),
+    retireAt: parseDate(retireAt, kid, 'retireAt')
+  };
+};
+
+/**
+ * Load the signing keys for asymmetric algorithms (security.jwt.keys)
+ * Each key is `{ kid, privateKey | privateKeyFile, activateAt?, retireAt? }`.
+ * Called at startup so a bad key fails the deploy instead of the first login;
+ * the helpers below load lazily when it has not run.
+ */
+const initializeSigningKeys = () => {
+  const { algorithm, keys } = settings();
+
+  if (isSymmetric(algorithm)) {
+    signingKeys = [];
+    logger.info('JWT signing uses a shared secret', { algorithm });
+    return signingKeys;
+  }
+
+  signingKeys = keys.map(loadKey);
+  const { kid } = currentSigningKey();
+
+  logger.info('JWT signing keys loaded', {
+    algorithm,
+    kids: signingKeys.map(key => key.kid),
+    signingKid: kid
+  });
+  return signingKeys;
+};
+
+const getKeys = () => signingKeys || initializeSigningKeys();
+
+/**
+ * Key new tokens are signed with: the most recently activated key that is
+ * not retired. Keys with a future activateAt are published but not used
+ * yet, so consumers have them cached by the time they are.
+ */
+const currentSigningKey = (now = new Date()) => {
+  const candidates = getKeys()
+    .filter(key => isVerifying(key, now) && (!key.activateAt || key.activateAt <= now))
+    .sort((a, b) => (b.activateAt || 0) - (a.activateAt || 0));
+
+  if (candidates.length === 0) {
+    throw new Error('No active JWT signing key');
+  }
+  return candidates[0];
+};
+
+const claimOptions = () => {
+  const { issuer, audience } = settings();
+  const options = {};
+  if (issuer) options.issuer = issuer;
+  if (audience) options.audience = audience;
+  return options;
+};
+
+const signJwt = (payload, expiresIn) => {
+  const { algorithm } = settings();
+  const options = { algorithm, expiresIn, ...claimOptions() };
+
+  if (isSymmetric(algorithm)) {
+    return jwt.sign(payload, config.get('jwt.secret'), options);
+  }
+
+  const key = currentSigningKey();
+  return jwt.sign(payload, key.privateKey, { ...options, keyid: key.kid });
+};
+
+// Throws jsonwebtoken's errors, like jwt.verify
+const verifyJwt = (token) => {
+  const { algorithm, clockTolerance } = settings();
+  const options = { algorithms: [algorithm], clockTolerance, ...claimOptions() };
+
+  if (isSymmetric(algorithm)) {
+    return jwt.verify(token, config.get('jwt.secret'), options);
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const kid = decoded && decoded.header.kid;
+  const key = getKeys().find(candidate => candidate.kid === kid && isVerifying(candidate));
+  if (!key) {
+    throw new jwt.JsonWebTokenError(kid ? `unknown or retired key id ${kid}` : 'missing key id');
+  }
+
+  return jwt.verify(token, key.publicKey, options);
+};
+
+// Public keys for /.well-known/jwks.json; empty when a shared secret is used
+const getJwks = () => {
+  const { algorithm } = settings();
+
+  return {
+    keys: getKeys()
+      .filter(key => isVerifying(key))
+      .map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        use: 'sig',
+        alg: algorithm
+      }))
+  };
+};
+
+module.exports = {
+  initializeSigningKeys,
+  signJwt,
+  verifyJwt,
+  getJwks
+};
@@ -81,6 +81,18 @@ async function closeRedis() {
   }
 }
 
+// Separate connection for SUBSCRIBE (a subscribed client can't run other commands)
+async function createSubscriber() {
+  const subscriber = getRedisClient().duplicate();
+  
+  subscriber.on('error', (error) => {
+    logger.error('Redis subscriber error', { error: error.message });
+  });
+  
+  await subscriber.connect();
+  return subscriber;
+}
+
 // Get Redis client
 function getRedisClient() {
   if (!redisClient) {
@@ -199,6 +211,20 @@ const RedisOperations = {
     }
   },
   
+  hSetNX: async (key, field, value) => {
+    const monitor = monitorRedisOperation('HSETNX');
+    try {
+      const result = await redisClient.hSetNX(key, field, value);
+      monitor.end();
+      logger.redis('HSETNX', key, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('HSETNX', key, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+
   hGet: async (key, field) => {
     const monitor = monitorRedisOperation('HGET');
     try {
@@ -284,6 +310,164 @@ const RedisOperations = {
     }
   },
   
+  lLen: async (key) => {
+    const monitor = monitorRedisOperation('LLEN');
+    try {
+      const result = await redisClient.lLen(key);
+      monitor.end();
+      logger.redis('LLEN', key, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('LLEN', key, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
+  lRem: async (key, count, value) => {
+    const monitor = monitorRedisOperation('LREM');
+    try {
+      const result = await redisClient.lRem(key, count, value);
+      monitor.end();
+      logger.redis('LREM', key, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('LREM', key, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
+  rPopLPush: async (key, destination) => {
+    const monitor = monitorRedisOperation('RPOPLPUSH');
+    try {
+      const result = await redisClient.rPopLPush(key, destination);
+      monitor.end();
+      logger.redis('RPOPLPUSH', key, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('RPOPLPUSH', key, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
+  lTrim: async (key, start, stop) => {
+    const monitor = monitorRedisOperation('LTRIM');
+    try {
+      const result = await redisClient.lTrim(key, start, stop);
+      monitor.end();
+      logger.redis('LTRIM', key, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('LTRIM', key, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
+  // Counter operations
+  incr: async (key) => {
+    const monitor = monitorRedisOperation('INCR');
+    try {
+      const result = await redisClient.incr(key);
+      monitor.end();
+      logger.redis('INCR', key, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('INCR', key, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
+  // Scripts run atomically on the server; keys and arguments are strings
+  eval: async (script, keys, args) => {
+    const monitor = monitorRedisOperation('EVAL');
+    try {
+      const result = await redisClient.eval(script, { keys, arguments: args });
+      monitor.end();
+      logger.redis('EVAL', keys[0], Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('EVAL', keys[0], Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
+  // Pub/sub operations
+  publish: async (channel, message) => {
+    const monitor = monitorRedisOperation('PUBLISH');
+    try {
+      const result = await redisClient.publish(channel, message);
+      monitor.end();
+      logger.redis('PUBLISH', channel, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('PUBLISH', channel, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
+  // Sorted set operations
+  zAdd: async (key, score, member) => {
+    const monitor = monitorRedisOperation('ZADD');
+    try {
+      const result = await redisClient.zAdd(key, { score, value: member });
+      monitor.end();
+      logger.redis('ZADD', key, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('ZADD', key, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
+  zRangeByScore: async (key, min, max, limit = null) => {
+    const monitor = monitorRedisOperation('ZRANGEBYSCORE');
+    try {
+      const result = await redisClient.zRangeByScore(key, min, max, limit ? { LIMIT: { offset: 0, count: limit } } : undefined);
+      monitor.end();
+      logger.redis('ZRANGEBYSCORE', key, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('ZRANGEBYSCORE', key, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
+  zRem: async (key, member) => {
+    const monitor = monitorRedisOperation('ZREM');
+    try {
+      const result = await redisClient.zRem(key, member);
+      monitor.end();
+      logger.redis('ZREM', key, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('ZREM', key, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
+  zCard: async (key) => {
+    const monitor = monitorRedisOperation('ZCARD');
+    try {
+      const result = await redisClient.zCard(key);
+      monitor.end();
+      logger.redis('ZCARD', key, Date.now() - monitor.startTime);
+      return result;
+    } catch (error) {
+      monitor.end();
+      logger.redis('ZCARD', key, Date.now() - monitor.startTime, error);
+      throw error;
+    }
+  },
+  
   // Set operations
   sAdd: async (key, member) => {
     const monitor = monitorRedisOperation('SADD');
@@ -374,6 +558,7 @@ module.exports = {
   initializeRedis,
   closeRedis,
   getRedisClient,
+  createSubscriber,
   checkRedisHealth,
   RedisOperations,
   CacheOperations
@@ -0,0 +1,19 @@
+const { registerHandler } = require('../services/jobQueue');
+const emailChannel = require('../services/notificationChannels/email');
+const webhookChannel = require('../services/notificationChannels/webhook');
+const thumbnailService = require('../services/thumbnailService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+
+// Map each background queue to the function that processes its jobs
+const registerJobHandlers = () => {
+  registerHandler(emailChannel.QUEUE, emailChannel.deliver);
+  registerHandler(webhookChannel.QUEUE, webhookChannel.deliver);
+  registerHandler(thumbnailService.QUEUE, thumbnailService.generateThumbnail);
+  registerHandler(notificationService.DIGEST_QUEUE, notificationService.deliverPending);
+  registerHandler(webhookService.QUEUE, webhookService.deliverWebhook);
+};
+
+module.exports = {
+  registerJobHandlers
+};
@@ -1,114 +1,256 @@
 const jwt = require('jsonwebtoken');
 const config = require('config');
 const logger = require('../utils/logger');
-const { UnauthorizedError, ForbiddenError } = require('./errorHandler');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('./errorHandler');
 const { CacheOperations } = require('../config/redis');
+const { signJwt, verifyJwt } = require('../config/jwt');
+const { assertActiveSession } = require('../services/sessionService');
+const { getRolePermissions } = require('../services/permissionService');
+const { getOwnerResolver } = require('../services/resourceOwners');
+const { isApiKey, authenticateApiKey } = require('../services/apiKeyService');
+const { createRateLimiter, keyByClient } = require('./rateLimiter');
 
-// JWT token verification
-const verifyToken = async (req, res, next) => {
+// The async middlewares below are not wrapped in asyncHandler, so they catch
+// their own errors and pass them to next()
+
+// Refresh tokens live for 7 days, so a user-wide revocation must outlive them
+const USER_REVOCATION_TTL = 7 * 24 * 3600;
+
+// True when the token was issued before the user's sessions were revoked
+const issuedBeforeRevocation = (decoded, revokedAt) => {
+  return Boolean(revokedAt) && decoded.iat * 1000 < new Date(revokedAt).getTime();
+};
+
+// Resolve a bearer token to the user it was issued for. Shared by HTTP routes
+// and the WebSocket gateway; `context` only feeds the security log.
+const authenticateToken = async (token, context = {}) => {
   try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      logger.security('Missing or invalid authorization header', {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        url: req.url
-      });
-      throw new UnauthorizedError('Access token required');
-    }
-    
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    
     // Check if token is blacklisted (if Redis is enabled)
     if (config.get('redis.enabled')) {
+      let isBlacklisted = false;
       try {
-        const isBlacklisted = await CacheOperations.getWithPrefix('blacklist', token);
-        if (isBlacklisted) {
-          logger.security('Blacklisted token used', {
-            token: token.substring(0, 10) + '...',
-            ip: req.ip,
-            userAgent: req.get('User-Agent')
-          });
-          throw new UnauthorizedError('Token has been revoked');
-        }
+        isBlacklisted = await CacheOperations.getWithPrefix('blacklist', token);
       } catch (redisError) {
         logger.warn('Redis check failed during token validation', { error: redisError.message });
       }
+      
+      if (isBlacklisted) {
+        logger.security('Blacklisted token used', {
+          token: token.substring(0, 10) + '...',
+          ...context
+        });
+        throw new UnauthorizedError('Token has been revoked');
+      }
     }
     
-    // Verify JWT token
-    const decoded = jwt.verify(token, config.get('jwt.secret'));
+    // Verify JWT token (signature, expiry within clockTolerance, issuer and audience)
+    const decoded = verifyJwt(token);
     
-    // Check token expiration
-    if (decoded.exp < Date.now() / 1000) {
-      logger.security('Expired token used', {
+    // Refresh tokens are only accepted by POST /api/auth/refresh
+    if (decoded.type === 'refresh') {
+      logger.security('Refresh token used as access token', {
         userId: decoded.userId,
-        exp: decoded.exp,
-        ip: req.ip
+        ...context
       });
-      throw new UnauthorizedError('Token has expired');
+      throw new UnauthorizedError('Invalid token');
     }
     
-    // Add user info to request
-    req.user = {
+    // Check if all of the user's sessions were revoked after the token was issued
+    if (config.get('redis.enabled')) {
+      let revokedAt = null;
+      try {
+        revokedAt = await CacheOperations.getWithPrefix('tokens_revoked', decoded.userId);
+      } catch (redisError) {
+        logger.warn('Redis check failed during token validation', { error: redisError.message });
+      }
+      
+      if (issuedBeforeRevocation(decoded, revokedAt)) {
+        logger.security('Token from revoked session used', {
+          userId: decoded.userId,
+          ...context
+        });
+        throw new UnauthorizedError('Token has been revoked');
+      }
+    }
+    
+    // Tokens issued before the session registry existed carry no session id
+    if (decoded.sid) {
+      await assertActiveSession(decoded.sid, decoded.userId, context);
+    }
+    
+    return {
       id: decoded.userId,
       email: decoded.email,
       role: decoded.role,
-      permissions: decoded.permissions || []
+      // Granted to the role when the token was issued; looked up for older tokens
+      permissions: decoded.permissions || await getRolePermissions(decoded.role),
+      // Tokens issued before email verification existed carry no claim
+      emailVerified: decoded.emailVerified !== false,
+      sessionId: decoded.sid || null
     };
-    
-    req.token = token;
-    
-    logger.debug('Token verified successfully', {
-      userId: req.user.id,
-      role: req.user.role,
-      ip: req.ip
-    });
-    
-    next();
   } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      logger.security('JWT token expired', context);
+      throw new UnauthorizedError('Token has expired');
+    }
+    
     if (error instanceof jwt.JsonWebTokenError) {
       logger.security('Invalid JWT token', {
         error: error.message,
-        ip: req.ip,
-        userAgent: req.get('User-Agent')
+        ...context
       });
       throw new UnauthorizedError('Invalid token');
     }
     
-    if (error instanceof jwt.TokenExpiredError) {
-      logger.security('JWT token expired', {
+    throw error;
+  }
+};
+
+// Whether a path is one of `routes` or below one of them
+const matchesRoute = (routes, path) => routes.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+
+// Whether a user may reach a path before verifying their email address: always
+// in 'full' mode, only for auth.emailVerification.limitedRoutes in 'limited' mode
+const hasUnverifiedAccess = (user, path) => {
+  if (user.emailVerified || config.get('auth.emailVerification.unverifiedAccess') === 'full') {
+    return true;
+  }
+  
+  return matchesRoute(config.get('auth.emailVerification.limitedRoutes'), path);
+};
+
+// Bearer token from the Authorization header, or null
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.substring(7) // Remove 'Bearer ' prefix
+    : null;
+};
+
+// API key from X-API-Key, or sent as a bearer token; null otherwise
+const getApiKey = (req) => {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    return apiKey;
+  }
+  
+  const token = getBearerToken(req);
+  return isApiKey(token) ? token : null;
+};
+
+// Authenticate a request with an API key, setting req.user and req.apiKeyAuth
+// API keys are refused on auth.apiKeys.excludedRoutes
+const authenticateRequestApiKey = async (req, apiKey) => {
+  const path = req.originalUrl.split('?')[0];
+  if (matchesRoute(config.get('auth.apiKeys.excludedRoutes'), path)) {
+    logger.security('API key used on excluded route', {
+      url: req.originalUrl,
+      ip: req.ip
+    });
+    throw new ForbiddenError('API keys cannot be used for this route');
+  }
+  
+  req.user = await authenticateApiKey(apiKey, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+  req.apiKeyAuth = true;
+};
+
+// JWT or API key verification
+const verifyToken = async (req, res, next) => {
+  const apiKey = getApiKey(req);
+  const token = apiKey ? null : getBearerToken(req);
+  
+  if (!apiKey && !token) {
+    logger.security('Missing or invalid authorization header', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      url: req.url
+    });
+    return next(new UnauthorizedError('Access token required'));
+  }
+  
+  try {
+    // Add user info to request
+    if (apiKey) {
+      await authenticateRequestApiKey(req, apiKey);
+    } else {
+      req.user = await authenticateToken(token, {
         ip: req.ip,
         userAgent: req.get('User-Agent')
       });
-      throw new UnauthorizedError('Token has expired');
     }
-    
-    throw error;
+  } catch (error) {
+    return next(error);
+  }
+  
+  const path = req.originalUrl.split('?')[0];
+  if (!hasUnverifiedAccess(req.user, path)) {
+    logger.security('Unverified user denied access', {
+      userId: req.user.id,
+      url: req.originalUrl,
+      ip: req.ip
+    });
+    return next(new ForbiddenError('Email address must be verified'));
   }
+  
+  req.token = token;
+  
+  logger.debug('Token verified successfully', {
+    userId: req.user.id,
+    role: req.user.role,
+    apiKeyId: req.user.apiKeyId,
+    ip: req.ip
+  });
+  
+  next();
 };
 
-// Optional authentication (doesn't fail if no token)
+// Optional authentication (doesn't fail if no token or API key)
 const optionalAuth = async (req, res, next) => {
+  const apiKey = getApiKey(req);
+  const token = apiKey ? null : getBearerToken(req);
+  req.user = null;
+  req.token = null;
+  
   try {
-    await verifyToken(req, res, next);
+    if (apiKey) {
+      await authenticateRequestApiKey(req, apiKey);
+    } else if (token) {
+      req.user = await authenticateToken(token, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      req.token = token;
+    }
   } catch (error) {
     // If authentication fails, continue without user info
     req.user = null;
-    req.token = null;
-    next();
   }
+  
+  next();
 };
 
-// Role-based authorization
+// Role-based authorization; API keys carry scopes, not a role, and are refused
 const requireRole = (requiredRoles) => {
   return (req, res, next) => {
     if (!req.user) {
       throw new UnauthorizedError('Authentication required');
     }
     
+    if (req.apiKeyAuth) {
+      logger.security('API key used on a role-restricted route', {
+        userId: req.user.id,
+        apiKeyId: req.user.apiKeyId,
+        requiredRoles,
+        url: req.url,
+        method: req.method,
+        ip: req.ip
+      });
+      throw new ForbiddenError('API keys cannot be used for this route');
+    }
+    
     const userRole = req.user.role;
     const hasRequiredRole = Array.isArray(requiredRoles) 
       ? requiredRoles.includes(userRole)
@@ -136,7 +278,15 @@ const requireRole = (requiredRoles) => {
   };
 };
 
-// Permission-based authorization
+// Whether a user holds one permission, or every permission of a list
+const hasPermission = (user, requiredPermissions) => {
+  const userPermissions = (user && user.permissions) || [];
+  return Array.isArray(requiredPermissions)
+    ? requiredPermissions.every(permission => userPermissions.includes(permission))
+    : userPermissions.includes(requiredPermissions);
+};
+
+// Permission-based authorization (permissions come from the user's role)
 const requirePermission = (requiredPermissions) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -144,11 +294,8 @@ const requirePermission = (requiredPermissions) => {
     }
     
     const userPermissions = req.user.permissions || [];
-    const hasRequiredPermission = Array.isArray(requiredPermissions)
-      ? requiredPermissions.every(permission => userPermissions.includes(permission))
-      : userPermissions.includes(requiredPermissions);
     
-    if (!hasRequiredPermission) {
+    if (!hasPermission(req.user, requiredPermissions)) {
       logger.security('Insufficient permissions', {
         userId: req.user.id,
         userPermissions,
@@ -170,83 +317,74 @@ const requirePermission = (requiredPermissions) => {
   };
 };
 
-// Resource ownership check
-const requireOwnership = (resourceIdParam = 'id', resourceType = 'resource') => {
-  return (req, res, next) => {
+/**
+ * Resource ownership check
+ * Looks up the owner of the resource named by `req.params[resourceIdParam]`
+ * with the resolver registered for `resourceType` (services/resourceOwners)
+ * and rejects the request before the handler runs unless the user owns it or
+ * holds the type's bypass permission. `options.bypassPermission` overrides
+ * the registered one; null lets nobody but the owner through.
+ */
+const requireOwnership = (resourceIdParam = 'id', resourceType = 'resource', options = {}) => {
+  // Fails at startup, not on the first request, when the type is unknown
+  const { resolveOwner, bypassPermission: defaultBypass } = getOwnerResolver(resourceType);
+  const bypassPermission = options.bypassPermission !== undefined ? options.bypassPermission : defaultBypass;
+  
+  return async (req, res, next) => {
     if (!req.user) {
-      throw new UnauthorizedError('Authentication required');
+      return next(new UnauthorizedError('Authentication required'));
     }
     
     const resourceId = req.params[resourceIdParam];
     const userId = req.user.id;
     
-    // Admin users can access all resources
-    if (req.user.role === 'admin' || req.user.role === 'super_admin') {
+    if (bypassPermission && hasPermission(req.user, bypassPermission)) {
       return next();
     }
     
-    // For now, we'll need to implement resource-specific ownership checks
-    // This is a placeholder that should be customized based on your data model
-    req.checkOwnership = async (actualOwnerId) => {
-      if (actualOwnerId !== userId) {
-        logger.security('Unauthorized resource access attempt', {
-          userId,
-          resourceId,
-          resourceType,
-          actualOwnerId,
-          url: req.url,
-          method: req.method,
-          ip: req.ip
-        });
-        throw new ForbiddenError(`Access denied to ${resourceType}`);
-      }
-    };
-    
-    next();
-  };
-};
-
-// Rate limiting per user
-const userRateLimit = (maxRequests = 100, windowMs = 60000) => {
-  const requests = new Map();
-  
-  return (req, res, next) => {
-    if (!req.user) {
-      return next();
+    let actualOwnerId;
+    try {
+      actualOwnerId = await resolveOwner(resourceId, req);
+    } catch (error) {
+      return next(error);
     }
     
-    const userId = req.user.id;
-    const now = Date.now();
-    const windowStart = now - windowMs;
-    
-    // Clean old entries
-    const userRequests = requests.get(userId) || [];
-    const validRequests = userRequests.filter(timestamp => timestamp > windowStart);
+    if (!actualOwnerId) {
+      return next(new NotFoundError(resourceType.charAt(0).toUpperCase() + resourceType.slice(1)));
+    }
     
-    if (validRequests.length >= maxRequests) {
-      logger.security('User rate limit exceeded', {
+    if (actualOwnerId !== userId) {
+      logger.security('Unauthorized resource access attempt', {
         userId,
-        requestCount: validRequests.length,
-        maxRequests,
-        windowMs,
+        resourceId,
+        resourceType,
+        actualOwnerId,
+        url: req.originalUrl,
+        method: req.method,
         ip: req.ip
       });
-      
-      return res.status(429).json({
-        error: 'Too many requests',
-        message: `Rate limit exceeded. Maximum ${maxRequests} requests per ${windowMs / 1000} seconds.`,
-        retryAfter: Math.ceil((validRequests[0] + windowMs - now) / 1000)
-      });
+      return next(new ForbiddenError(`Access denied to this ${resourceType}`));
     }
     
-    // Add current request
-    validRequests.push(now);
-    requests.set(userId, validRequests);
-    
     next();
   };
 };
 
+/**
+ * Rate limiting per user, or per API key for requests made with one
+ * Counted across instances (see rateLimiter). Without `maxRequests` users get
+ * rateLimit.user and API keys rateLimit.apiKey. Limiters with the same `name`
+ * share one budget per user or key.
+ */
+const userRateLimit = (maxRequests = null, windowMs = config.get('rateLimit.windowMs'), name = 'client') => {
+  return createRateLimiter({
+    name,
+    windowMs,
+    max: (req) => maxRequests || config.get(req.user.apiKeyId ? 'rateLimit.apiKey' : 'rateLimit.user'),
+    keyGenerator: keyByClient
+  });
+};
+
 // Token blacklisting (logout)
 const blacklistToken = async (token, expiresIn = 3600) => {
   if (config.get('redis.enabled')) {
@@ -261,7 +399,21 @@ const blacklistToken = async (token, expiresIn = 3600) => {
   }
 };
 
-// Generate JWT token
+// Revoke every access and refresh token issued to a user so far (password
+// reset). Covers tokens without a session id; the others are also rejected
+// once their session is revoked. Refresh also checks users.tokens_revoked_at.
+const revokeUserTokens = async (userId, revokedAt = new Date()) => {
+  if (config.get('redis.enabled')) {
+    try {
+      await CacheOperations.setWithPrefix('tokens_revoked', userId, revokedAt.toISOString(), USER_REVOCATION_TTL);
+      logger.info('User tokens revoked', { userId });
+    } catch (error) {
+      logger.error('Failed to revoke user tokens', { userId, error: error.message });
+    }
+  }
+};
+
+// Generate JWT token (algorithm and keys from security.jwt)
 const generateToken = (payload, expiresIn = null) => {
   const options = {};
   
@@ -271,7 +423,7 @@ const generateToken = (payload, expiresIn = null) => {
     options.expiresIn = config.get('jwt.expiresIn');
   }
   
-  const token = jwt.sign(payload, config.get('jwt.secret'), options);
+  const token = signJwt(payload, options.expiresIn);
   
   logger.debug('JWT token generated', {
     userId: payload.userId,
@@ -282,9 +434,13 @@ const generateToken = (payload, expiresIn = null) => {
 };
 
 // Refresh token validation
+// Refresh tokens are signed like access tokens and told apart by their type
 const verifyRefreshToken = (refreshToken) => {
   try {
-    const decoded = jwt.verify(refreshToken, config.get('jwt.refreshSecret'));
+    const decoded = verifyJwt(refreshToken);
+    if (decoded.type !== 'refresh') {
+      throw new jwt.JsonWebTokenError('not a refresh token');
+    }
     return decoded;
   } catch (error) {
     logger.security('Invalid refresh token', { error: error.message });
@@ -292,37 +448,36 @@ const verifyRefreshToken = (refreshToken) => {
   }
 };
 
-// API key authentication (for service-to-service communication)
-const verifyApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
+// API key only authentication (for service-to-service communication)
+const verifyApiKey = async (req, res, next) => {
+  const apiKey = getApiKey(req);
   
   if (!apiKey) {
-    throw new UnauthorizedError('API key required');
+    return next(new UnauthorizedError('API key required'));
   }
   
-  const validApiKeys = config.get('auth.apiKeys') || [];
-  
-  if (!validApiKeys.includes(apiKey)) {
-    logger.security('Invalid API key used', {
-      apiKeyHash: require('crypto').createHash('sha256').update(apiKey).digest('hex').substring(0, 16),
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
-    });
-    throw new UnauthorizedError('Invalid API key');
+  try {
+    await authenticateRequestApiKey(req, apiKey);
+  } catch (error) {
+    return next(error);
   }
   
-  req.apiKeyAuth = true;
   next();
 };
 
 module.exports = {
+  authenticateToken,
+  hasUnverifiedAccess,
   verifyToken,
   optionalAuth,
   requireRole,
+  hasPermission,
   requirePermission,
   requireOwnership,
   userRateLimit,
   blacklistToken,
+  revokeUserTokens,
+  issuedBeforeRevocation,
   generateToken,
   verifyRefreshToken,
   verifyApiKey
@@ -43,8 +43,9 @@ class ForbiddenError extends AppError {
 }
 
 class ConflictError extends AppError {
-  constructor(message = 'Resource conflict') {
+  constructor(message = 'Resource conflict', details = null) {
     super(message, 409);
+    this.details = details;
     this.name = 'ConflictError';
   }
 }
@@ -96,8 +97,8 @@ const errorHandler = (error, req, res, next) => {
     logger.error('Unhandled Error', errorInfo);
   }
   
-  // Handle specific error types
-  if (error.name === 'ValidationError') {
+  // Handle specific error types (our own ValidationError already has the right shape)
+  if (error.name === 'ValidationError' && !(error instanceof AppError)) {
     err = handleValidationError(error);
   } else if (error.name === 'CastError') {
     err = handleCastError(error);
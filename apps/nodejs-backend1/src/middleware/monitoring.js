@@ -61,14 +61,14 @@ const errorTotal = new promClient.Counter({
   registers: [register]
 });
 
-// Update memory metrics every 30 seconds
+// Update memory metrics every 30 seconds (unref'd so it never keeps the process alive)
 setInterval(() => {
   const memUsage = process.memoryUsage();
   memoryUsage.set({ type: 'rss' }, memUsage.rss);
   memoryUsage.set({ type: 'heapUsed' }, memUsage.heapUsed);
   memoryUsage.set({ type: 'heapTotal' }, memUsage.heapTotal);
   memoryUsage.set({ type: 'external' }, memUsage.external);
-}, 30000);
+}, 30000).unref();
 
 // OpenTelemetry setup
 let tracer;
@@ -214,6 +214,92 @@ const healthChecks = {
     name: 'health_check_external_api',
     help: 'External API health check status (1 = healthy, 0 = unhealthy)',
     registers: [register]
+  }),
+  external_service: new promClient.Gauge({
+    name: 'health_check_external_service',
+    help: 'External service health check status per service (1 = healthy, 0 = unhealthy)',
+    labelNames: ['service', 'critical'],
+    registers: [register]
+  })
+};
+
+// Outbound calls to external services
+const externalServiceMetrics = {
+  requestDuration: new promClient.Histogram({
+    name: 'external_service_request_duration_seconds',
+    help: 'Duration of requests to external services in seconds',
+    labelNames: ['service', 'method', 'status_code'],
+    buckets: [0.05, 0.1, 0.3, 0.5, 1, 3, 5, 10, 20],
+    registers: [register]
+  }),
+  requestsTotal: new promClient.Counter({
+    name: 'external_service_requests_total',
+    help: 'Total number of calls to external services by outcome',
+    labelNames: ['service', 'outcome'],
+    registers: [register]
+  }),
+  retriesTotal: new promClient.Counter({
+    name: 'external_service_retries_total',
+    help: 'Total number of retried requests to external services',
+    labelNames: ['service'],
+    registers: [register]
+  }),
+  circuitState: new promClient.Gauge({
+    name: 'external_service_circuit_state',
+    help: 'Circuit breaker state per external service (0 = closed, 1 = half-open, 2 = open)',
+    labelNames: ['service'],
+    registers: [register]
+  })
+};
+
+// Background jobs
+const jobMetrics = {
+  processed: new promClient.Counter({
+    name: 'jobs_processed_total',
+    help: 'Total number of background job attempts by result',
+    labelNames: ['queue', 'result'],
+    registers: [register]
+  }),
+  duration: new promClient.Histogram({
+    name: 'job_duration_seconds',
+    help: 'Duration of background job attempts in seconds',
+    labelNames: ['queue'],
+    buckets: [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60],
+    registers: [register]
+  }),
+  queueDepth: new promClient.Gauge({
+    name: 'job_queue_depth',
+    help: 'Number of jobs per queue and state',
+    labelNames: ['queue', 'state'],
+    registers: [register]
+  })
+};
+
+// Real-time connections (SSE streams)
+const realtimeMetrics = {
+  connections: new promClient.Gauge({
+    name: 'realtime_connections',
+    help: 'Number of open real-time client connections',
+    labelNames: ['transport'],
+    registers: [register]
+  }),
+  messages: new promClient.Counter({
+    name: 'realtime_messages_total',
+    help: 'Total number of real-time messages sent to clients',
+    labelNames: ['transport', 'event'],
+    registers: [register]
+  }),
+  subscriptions: new promClient.Gauge({
+    name: 'realtime_subscriptions',
+    help: 'Number of active WebSocket channel subscriptions',
+    labelNames: ['channel_type'],
+    registers: [register]
+  }),
+  rejections: new promClient.Counter({
+    name: 'realtime_rejections_total',
+    help: 'Total number of refused real-time connections and subscriptions',
+    labelNames: ['transport', 'reason'],
+    registers: [register]
   })
 };
 
@@ -324,6 +410,9 @@ module.exports = {
   monitorDatabaseQuery,
   monitorRedisOperation,
   healthChecks,
+  externalServiceMetrics,
+  jobMetrics,
+  realtimeMetrics,
   businessMetrics,
   getMetrics,
   trackUserRegistration,
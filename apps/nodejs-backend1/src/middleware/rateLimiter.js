@@ -0,0 +1,195 @@
+const config = require('config');
+const logger = require('../utils/logger');
+const { RedisOperations, getRedisClient } = require('../config/redis');
+
+/**
+ * Sliding-window counter, run atomically so every instance shares the count
+ * KEYS: the current and the previous window's counters
+ * ARGV: limit, share of the previous window still inside the sliding window
+ * (0-1), window length in ms
+ * Returns { allowed (1/0), requests counted in the sliding window }. Rejected
+ * requests are not counted.
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local previous = tonumber(redis.call('GET', KEYS[2]) or '0')
+local count = math.floor(previous * tonumber(ARGV[2])) + current
+if count >= tonumber(ARGV[1]) then
+  return {0, count}
+end
+if redis.call('INCR', KEYS[1]) == 1 then
+  redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[3]) * 2)
+end
+return {1, count + 1}
+`;
+
+// Counters used while Redis is unavailable: key -> { count, expiresAt }
+const memoryCounters = new Map();
+
+// Same algorithm as SLIDING_WINDOW_SCRIPT, for this instance only
+const hitMemory = (currentKey, previousKey, limit, previousWeight, windowMs) => {
+  const now = Date.now();
+  const read = (key) => {
+    const counter = memoryCounters.get(key);
+    return counter && counter.expiresAt > now ? counter.count : 0;
+  };
+
+  const current = read(currentKey);
+  const count = Math.floor(read(previousKey) * previousWeight) + current;
+  if (count >= limit) {
+    return [0, count];
+  }
+
+  memoryCounters.set(currentKey, {
+    count: current + 1,
+    expiresAt: current === 0 ? now + windowMs * 2 : memoryCounters.get(currentKey).expiresAt
+  });
+  return [1, count + 1];
+};
+
+// Drop expired in-memory counters so idle clients do not leak memory
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, counter] of memoryCounters) {
+    if (counter.expiresAt <= now) {
+      memoryCounters.delete(key);
+    }
+  }
+}, 60 * 1000).unref();
+
+// node-redis queues commands while it reconnects, which would hold every
+// request up until Redis is back; limit in memory unless it is connected
+const isRedisReady = () => {
+  if (!config.get('redis.enabled')) {
+    return false;
+  }
+  try {
+    return getRedisClient().isReady;
+  } catch (error) {
+    return false;
+  }
+};
+
+// EVAL with a deadline, for a connection that drops without the client noticing
+const evalWithTimeout = async (keys, args) => {
+  const timeoutMs = config.get('rateLimit.redisTimeout');
+  let timer;
+  try {
+    return await Promise.race([
+      RedisOperations.eval(SLIDING_WINDOW_SCRIPT, keys, args),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Count a request against `key`; returns { allowed, count, resetMs }
+const hit = async (key, limit, windowMs) => {
+  const now = Date.now();
+  const window = Math.floor(now / windowMs);
+  const previousWeight = 1 - (now % windowMs) / windowMs;
+  // The hash tag keeps both counters in one cluster slot, as EVAL requires
+  const currentKey = `ratelimit:{${key}}:${window}`;
+  const previousKey = `ratelimit:{${key}}:${window - 1}`;
+
+  let result = null;
+  if (isRedisReady()) {
+    try {
+      result = await evalWithTimeout(
+        [currentKey, previousKey],
+        [String(limit), String(previousWeight), String(windowMs)]
+      );
+    } catch (error) {
+      logger.warn('Redis rate limiting failed, limiting in memory', { error: error.message });
+    }
+  }
+
+  if (!result) {
+    result = hitMemory(currentKey, previousKey, limit, previousWeight, windowMs);
+  }
+
+  return {
+    allowed: Number(result[0]) === 1,
+    count: Number(result[1]),
+    resetMs: (window + 1) * windowMs - now
+  };
+};
+
+const DEFAULT_MESSAGE = {
+  error: 'Too many requests',
+  message: 'Rate limit exceeded, please try again later.'
+};
+
+// Key generators: who a request is counted against (null skips the limiter)
+const keyByIp = (req) => `ip:${req.ip}`;
+
+const keyByClient = (req) => {
+  if (!req.user) {
+    return null;
+  }
+  return req.user.apiKeyId ? `key:${req.user.apiKeyId}` : `user:${req.user.id}`;
+};
+
+/**
+ * Rate limiting middleware
+ * `name` separates the limiter's counters from other limiters'; limiters
+ * with the same name share them. `max` is a number or a function of the
+ * request, for tiers. Sets the RateLimit-* headers (IETF draft, as
+ * express-rate-limit's standardHeaders) of whichever limiter on the request
+ * has the fewest requests remaining, and Retry-After on 429 responses.
+ */
+const createRateLimiter = ({ name, windowMs, max, keyGenerator = keyByIp, message = DEFAULT_MESSAGE }) => {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) {
+      return next();
+    }
+
+    const limit = typeof max === 'function' ? max(req) : max;
+
+    let result;
+    try {
+      result = await hit(`${name}:${key}`, limit, windowMs);
+    } catch (error) {
+      return next(error);
+    }
+
+    const remaining = Math.max(limit - result.count, 0);
+    const resetSeconds = Math.ceil(result.resetMs / 1000);
+
+    if (!req.rateLimit || remaining <= req.rateLimit.remaining) {
+      req.rateLimit = { limiter: name, limit, remaining, resetSeconds };
+      res.set({
+        'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`,
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+    }
+
+    if (!result.allowed) {
+      logger.security('Rate limit exceeded', {
+        limiter: name,
+        key,
+        limit,
+        windowMs,
+        url: req.originalUrl,
+        ip: req.ip
+      });
+
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json(message);
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createRateLimiter,
+  keyByIp,
+  keyByClient
+};
@@ -0,0 +1,160 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const logger = require('../utils/logger');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../services/apiKeyService');
+
+const router = express.Router();
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+};
+
+/**
+ * @swagger
+ * /api-keys:
+ *   get:
+ *     summary: List your API keys
+ *     description: Revoked keys are not listed. Keys are identified by their prefix; the full key is only shown when it is created.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const apiKeys = await listApiKeys(req.user.id);
+
+    res.status(200).json({
+      message: 'API keys retrieved successfully',
+      apiKeys
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: "The key is sent as `X-API-Key: <key>` or `Authorization: Bearer <key>` and acts as its owner, limited to its scopes. Scopes must be permissions you have. The key is only returned in this response."
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Omit for a key that does not expire
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: A scope is not one of your permissions
+ */
+router.post('/',
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('scopes')
+      .isArray()
+      .withMessage('scopes must be an array'),
+    body('scopes.*')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Scopes must be permission names'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('expiresAt must be an ISO 8601 date')
+      .bail()
+      .custom(value => new Date(value) > new Date())
+      .withMessage('expiresAt must be in the future')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { name, scopes, expiresAt } = req.body;
+    const apiKey = await createApiKey(req.user, {
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    logger.userActivity(req.user.id, 'api_key_created', { apiKeyId: apiKey.id, ip: req.ip });
+
+    res.status(201).json({
+      message: 'API key created successfully',
+      apiKey
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id',
+  param('id')
+    .isUUID()
+    .withMessage('Invalid API key ID'),
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    await revokeApiKey(req.user.id, req.params.id);
+
+    logger.userActivity(req.user.id, 'api_key_revoked', { apiKeyId: req.params.id, ip: req.ip });
+
+    res.status(200).json({
+      message: 'API key revoked successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -1,16 +1,15 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
-const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
 const config = require('config');
 
 const logger = require('../utils/logger');
 const { DatabaseOperations } = require('../config/database');
-const { CacheOperations } = require('../config/redis');
 const { 
   generateToken, 
   verifyRefreshToken, 
   blacklistToken,
+  issuedBeforeRevocation,
   verifyToken 
 } = require('../middleware/auth');
 const { 
@@ -18,6 +17,7 @@ const {
   ValidationError,
   UnauthorizedError,
   ConflictError,
+  ForbiddenError,
   NotFoundError
 } = require('../middleware/errorHandler');
 const { 
@@ -25,22 +25,72 @@ const {
   trackUserLogin,
   businessMetrics 
 } = require('../middleware/monitoring');
+const { createRateLimiter } = require('../middleware/rateLimiter');
+const { EVENTS, publish } = require('../services/events');
+const { requestPasswordReset, resetPassword } = require('../services/passwordResetService');
+const {
+  isEmailVerified,
+  canLogInUnverified,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail
+} = require('../services/emailVerificationService');
+const {
+  isMfaEnabled,
+  getMfaStatus,
+  startEnrolment,
+  confirmEnrolment,
+  disableMfa,
+  regenerateBackupCodes,
+  createChallengeToken,
+  completeChallenge
+} = require('../services/mfaService');
+const {
+  createSession,
+  issueRefreshTokenId,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessionService');
+const { isOidcEnabled, beginLogin, completeSsoLogin } = require('../services/oidcService');
+const { getRolePermissions } = require('../services/permissionService');
 
 const router = express.Router();
 
-// Rate limiting for auth endpoints
-const authLimiter = rateLimit({
+// Rate limiting for auth endpoints, by client IP
+const authLimiter = createRateLimiter({
+  name: 'auth',
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 attempts per window
   message: {
     error: 'Too many authentication attempts',
     retryAfter: '15 minutes'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
+  }
+});
+
+const passwordResetLimiter = createRateLimiter({
+  name: 'password-reset',
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 attempts per window
+  message: {
+    error: 'Too many password reset attempts',
+    retryAfter: '15 minutes'
+  }
 });
 
-const registerLimiter = rateLimit({
+const verificationLimiter = createRateLimiter({
+  name: 'email-verification',
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 attempts per window
+  message: {
+    error: 'Too many verification attempts',
+    retryAfter: '15 minutes'
+  }
+});
+
+const registerLimiter = createRateLimiter({
+  name: 'register',
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 3, // 3 registration attempts per hour
   message: {
@@ -49,6 +99,93 @@ const registerLimiter = rateLimit({
   }
 });
 
+const mfaLimiter = createRateLimiter({
+  name: 'mfa',
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 attempts per window
+  message: {
+    error: 'Too many two-factor authentication attempts',
+    retryAfter: '15 minutes'
+  }
+});
+
+// Access and refresh tokens for a session; both carry its id (`sid`) and the
+// role's current permissions, and the refresh token its own id (`jti`) within
+// the session's token family
+const issueTokens = async (user, session) => {
+  const tokenPayload = {
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    permissions: await getRolePermissions(user.role),
+    emailVerified: isEmailVerified(user),
+    sid: session.id
+  };
+
+  return {
+    accessToken: generateToken(tokenPayload),
+    refreshToken: generateToken(
+      { ...tokenPayload, type: 'refresh', jti: await issueRefreshTokenId(session) },
+      config.get('auth.sessions.ttl')
+    ),
+    expiresIn: config.get('jwt.expiresIn')
+  };
+};
+
+const sessionContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Issue tokens once every login step has passed
+const completeLogin = async (user, req) => {
+  // Every login gets its own session, listed under /sessions
+  const session = await createSession(user.id, sessionContext(req));
+  const tokens = await issueTokens(user, session);
+
+  // Update last login
+  await DatabaseOperations.users.update(user.id, {
+    last_login: new Date(),
+    updated_at: new Date()
+  });
+
+  // Remove password from response
+  const { password: _, ...userResponse } = user;
+
+  // Log successful login
+  logger.userActivity(user.id, 'user_login', {
+    email: user.email,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return {
+    message: 'Login successful',
+    user: userResponse,
+    tokens
+  };
+};
+
+// After the first login step (password or SSO): enrolled users get a
+// challenge to finish at /mfa/verify, everyone else their tokens
+const completeFirstFactor = async (user, req) => {
+  if (!(await isMfaEnabled(user.id))) {
+    return completeLogin(user, req);
+  }
+
+  logger.userActivity(user.id, 'mfa_challenge_issued', {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return {
+    message: 'Two-factor authentication required',
+    mfaRequired: true,
+    challengeToken: createChallengeToken(user),
+    expiresIn: config.get('auth.mfa.challengeTtl')
+  };
+};
+
 /**
  * @swagger
  * /auth/register:
@@ -79,7 +216,7 @@ const registerLimiter = rateLimit({
  *                 type: string
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully. A verification link is emailed; tokens are omitted when unverified users may not log in.
  *       400:
  *         description: Validation error
  *       409:
@@ -143,16 +280,12 @@ router.post('/register',
     // Remove password from response
     const { password: _, ...userResponse } = newUser;
 
-    // Generate tokens
-    const tokenPayload = {
-      userId: newUser.id,
-      email: newUser.email,
-      role: newUser.role
-    };
-
-    const accessToken = generateToken(tokenPayload);
-    const refreshTokenPayload = { ...tokenPayload, type: 'refresh' };
-    const refreshToken = generateToken(refreshTokenPayload, '7d');
+    // The account starts unverified; the user can ask for another link
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (error) {
+      logger.warn('Failed to send verification email', { userId: newUser.id, error: error.message });
+    }
 
     // Log user registration
     logger.userActivity(newUser.id, 'user_registered', {
@@ -160,14 +293,25 @@ router.post('/register',
       ip: req.ip
     });
 
+    publish(EVENTS.USER_REGISTERED, {
+      userId: newUser.id,
+      email: newUser.email
+    });
+
+    // No session until the address is verified
+    if (!canLogInUnverified()) {
+      return res.status(201).json({
+        message: 'User registered successfully. Check your email to verify your address before logging in.',
+        user: userResponse
+      });
+    }
+
+    const session = await createSession(newUser.id, sessionContext(req));
+
     res.status(201).json({
       message: 'User registered successfully',
       user: userResponse,
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: config.get('jwt.expiresIn')
-      }
+      tokens: await issueTokens(newUser, session)
     });
   })
 );
@@ -195,9 +339,11 @@ router.post('/register',
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or `mfaRequired` with a `challengeToken` to send to /auth/mfa/verify when two-factor authentication is enabled
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Email address not verified (when unverified users may not log in)
  */
 router.post('/login',
   authLimiter,
@@ -255,57 +401,16 @@ router.post('/login',
       throw new UnauthorizedError('Invalid credentials');
     }
 
-    // Generate tokens
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      role: user.role
-    };
-
-    const accessToken = generateToken(tokenPayload);
-    const refreshTokenPayload = { ...tokenPayload, type: 'refresh' };
-    const refreshToken = generateToken(refreshTokenPayload, '7d');
-
-    // Update last login
-    await DatabaseOperations.users.update(user.id, {
-      last_login: new Date(),
-      updated_at: new Date()
-    });
-
-    // Cache user session info (if Redis is enabled)
-    if (config.get('redis.enabled')) {
-      try {
-        await CacheOperations.setObject(`user_session:${user.id}`, {
-          userId: user.id,
-          email: user.email,
-          role: user.role,
-          loginTime: new Date().toISOString(),
-          ip: req.ip
-        }, 3600); // 1 hour cache
-      } catch (redisError) {
-        logger.warn('Failed to cache user session', { error: redisError.message });
-      }
+    if (!isEmailVerified(user) && !canLogInUnverified()) {
+      logger.security('Login attempt with unverified email', {
+        userId: user.id,
+        email,
+        ip: req.ip
+      });
+      throw new ForbiddenError('Email address must be verified before logging in');
     }
 
-    // Remove password from response
-    const { password: _, ...userResponse } = user;
-
-    // Log successful login
-    logger.userActivity(user.id, 'user_login', {
-      email: user.email,
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
-    });
-
-    res.status(200).json({
-      message: 'Login successful',
-      user: userResponse,
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: config.get('jwt.expiresIn')
-      }
-    });
+    res.status(200).json(await completeFirstFactor(user, req));
   })
 );
 
@@ -349,18 +454,6 @@ router.post('/refresh',
     // Verify refresh token
     const decoded = verifyRefreshToken(refreshToken);
 
-    // Check if refresh token is blacklisted
-    if (config.get('redis.enabled')) {
-      try {
-        const isBlacklisted = await CacheOperations.getWithPrefix('blacklist', refreshToken);
-        if (isBlacklisted) {
-          throw new UnauthorizedError('Refresh token has been revoked');
-        }
-      } catch (redisError) {
-        logger.warn('Redis check failed during refresh token validation', { error: redisError.message });
-      }
-    }
-
     // Get current user data
     const users = await DatabaseOperations.users.findById(decoded.userId);
     if (users.length === 0) {
@@ -372,18 +465,20 @@ router.post('/refresh',
       throw new UnauthorizedError('Account is deactivated');
     }
 
-    // Generate new tokens
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      role: user.role
-    };
+    // Sessions are revoked in bulk when the password is reset
+    if (issuedBeforeRevocation(decoded, user.tokens_revoked_at)) {
+      logger.security('Refresh token from revoked session used', {
+        userId: user.id,
+        ip: req.ip
+      });
+      throw new UnauthorizedError('Refresh token has been revoked');
+    }
 
-    const accessToken = generateToken(tokenPayload);
-    const newRefreshToken = generateToken({ ...tokenPayload, type: 'refresh' }, '7d');
+    // Each refresh token can be exchanged once; replaying one revokes the session
+    const session = await rotateRefreshToken(decoded, sessionContext(req));
 
-    // Blacklist old refresh token
-    await blacklistToken(refreshToken, 7 * 24 * 3600); // 7 days
+    // Generate new tokens
+    const tokens = await issueTokens(user, session);
 
     logger.userActivity(user.id, 'token_refresh', {
       ip: req.ip,
@@ -392,11 +487,7 @@ router.post('/refresh',
 
     res.status(200).json({
       message: 'Token refreshed successfully',
-      tokens: {
-        accessToken,
-        refreshToken: newRefreshToken,
-        expiresIn: config.get('jwt.expiresIn')
-      }
+      tokens
     });
   })
 );
@@ -424,13 +515,9 @@ router.post('/logout',
     // Blacklist current access token
     await blacklistToken(token, 3600); // 1 hour (or until natural expiration)
 
-    // Clear user session cache
-    if (config.get('redis.enabled')) {
-      try {
-        await CacheOperations.del(`user_session:${userId}`);
-      } catch (redisError) {
-        logger.warn('Failed to clear user session cache', { error: redisError.message });
-      }
+    // Ends the refresh token of this session too
+    if (req.user.sessionId) {
+      await revokeSession(userId, req.user.sessionId, { reason: 'logout', ip: req.ip });
     }
 
     logger.userActivity(userId, 'user_logout', {
@@ -444,6 +531,139 @@ router.post('/logout',
   })
 );
 
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: One entry per login that has not been logged out, revoked or expired. The session the request was made with has `current` set.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions',
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const sessions = await listSessions(req.user.id, req.user.sessionId);
+
+    res.status(200).json({
+      message: 'Sessions retrieved successfully',
+      sessions
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   delete:
+ *     summary: Log out everywhere
+ *     description: Revokes every session of the user, so all of its access and refresh tokens stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Keep the session the request was made with
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/sessions',
+  verifyToken,
+  [
+    query('keepCurrent')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('keepCurrent must be a boolean')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const keepCurrent = req.query.keepCurrent === true;
+    const revokedCount = await revokeAllSessions(req.user.id, {
+      exceptSessionId: keepCurrent ? req.user.sessionId : null,
+      ip: req.ip
+    });
+
+    if (!keepCurrent) {
+      await blacklistToken(req.token, 3600);
+    }
+
+    logger.security('User logged out everywhere', {
+      userId: req.user.id,
+      revokedCount,
+      keepCurrent,
+      ip: req.ip
+    });
+
+    res.status(200).json({
+      message: 'Sessions revoked successfully',
+      revokedCount
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one session
+ *     description: Logs out the device the session belongs to; its access and refresh tokens stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id',
+  verifyToken,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Valid session ID is required')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    await revokeSession(req.user.id, req.params.id, { ip: req.ip });
+
+    res.status(200).json({
+      message: 'Session revoked successfully'
+    });
+  })
+);
+
 /**
  * @swagger
  * /auth/profile:
@@ -474,7 +694,8 @@ router.get('/profile',
 
     res.status(200).json({
       message: 'Profile retrieved successfully',
-      user: userProfile
+      user: userProfile,
+      permissions: req.user.permissions
     });
   })
 );
@@ -564,10 +785,627 @@ router.post('/change-password',
       userAgent: req.get('User-Agent')
     });
 
+    publish(EVENTS.USER_PASSWORD_CHANGED, {
+      userId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
     res.status(200).json({
       message: 'Password changed successfully'
     });
   })
 );
 
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Emails a single-use reset link if an active account exists for the address. The response is the same either way.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/forgot-password',
+  passwordResetLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid email is required')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    // Not awaited: the response must not take longer when the account exists
+    requestPasswordReset(req.body.email, { ip: req.ip }).catch(error => {
+      logger.error('Password reset request failed', { error: error.message });
+    });
+
+    res.status(200).json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token can be used once. All existing sessions are revoked, so the user has to log in again.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/reset-password',
+  passwordResetLimiter,
+  [
+    body('token')
+      .isString()
+      .isLength({ min: 1, max: 128 })
+      .withMessage('Reset token is required'),
+    body('newPassword')
+      .isLength({ min: 8 })
+      .withMessage('New password must be at least 8 characters long')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+      .withMessage('New password must contain uppercase, lowercase, number and special character')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    await resetPassword(req.body.token, req.body.newPassword, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      message: 'Password has been reset. Please log in again.'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the signed link sent to it
+ *     description: Following a link again after the address is verified succeeds. Tokens issued before verification still say the address is unverified; refresh them to lift the restriction.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Validation error or invalid/expired link
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/verify-email',
+  verificationLimiter,
+  [
+    body('token')
+      .isString()
+      .isLength({ min: 1, max: 2048 })
+      .withMessage('Verification token is required')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { alreadyVerified } = await verifyEmail(req.body.token, { ip: req.ip });
+
+    res.status(200).json({
+      message: alreadyVerified ? 'Email address already verified' : 'Email address verified successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification link
+ *     description: Sends a link if an active, unverified account exists for the address. The response is the same either way.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/resend-verification',
+  verificationLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid email is required')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    // Not awaited: the response must not reveal whether the account exists
+    resendVerificationEmail(req.body.email, { ip: req.ip }).catch(error => {
+      logger.error('Verification email resend failed', { error: error.message });
+    });
+
+    res.status(200).json({
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    });
+  })
+);
+
+const codeValidation = (field = 'code') => body(field)
+  .isString()
+  .trim()
+  .isLength({ min: 6, max: 16 })
+  .withMessage('Authentication code is required');
+
+/**
+ * @swagger
+ * /auth/mfa:
+ *   get:
+ *     summary: Get two-factor authentication status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether two-factor authentication is enabled, and how many backup codes are left
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/mfa',
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const mfa = await getMfaStatus(req.user.id);
+
+    res.status(200).json({
+      message: 'Two-factor authentication status retrieved successfully',
+      mfa
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/mfa/enroll:
+ *   post:
+ *     summary: Start two-factor authentication enrolment
+ *     description: Returns a new TOTP secret and an otpauth:// URI to show as a QR code. Nothing changes at login until the enrolment is confirmed. Starting again replaces a pending secret.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrolment started
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/mfa/enroll',
+  verifyToken,
+  asyncHandler(async (req, res) => {
+    const { secret, otpauthUri } = await startEnrolment(req.user);
+
+    res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/mfa/confirm:
+ *   post:
+ *     summary: Confirm enrolment with a code from the authenticator app
+ *     description: Enables two-factor authentication and returns single-use backup codes. They are shown only once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Validation error, invalid code or no pending enrolment
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/mfa/confirm',
+  verifyToken,
+  mfaLimiter,
+  [codeValidation()],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { backupCodes } = await confirmEnrolment(req.user, req.body.code);
+
+    res.status(200).json({
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/mfa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Current authenticator code or a backup code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Wrong password or code
+ *       409:
+ *         description: Two-factor authentication is not enabled
+ *       429:
+ *         description: Too many attempts, or too many invalid codes in a row
+ */
+router.post('/mfa/disable',
+  verifyToken,
+  mfaLimiter,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    codeValidation()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    await disableMfa(req.user, req.body, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      message: 'Two-factor authentication disabled'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/mfa/backup-codes:
+ *   post:
+ *     summary: Replace all backup codes
+ *     description: Previous backup codes stop working. The new codes are shown only once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current authenticator code or a backup code
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *       401:
+ *         description: Invalid code
+ *       409:
+ *         description: Two-factor authentication is not enabled
+ *       429:
+ *         description: Too many attempts, or too many invalid codes in a row
+ */
+router.post('/mfa/backup-codes',
+  verifyToken,
+  mfaLimiter,
+  [codeValidation()],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { backupCodes } = await regenerateBackupCodes(req.user, req.body.code, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      message: 'Backup codes regenerated. Store them somewhere safe.',
+      backupCodes
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /auth/mfa/verify:
+ *   post:
+ *     summary: Finish logging in with a two-factor code
+ *     description: Exchanges the challenge token returned by /auth/login and an authenticator or backup code for access and refresh tokens.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       429:
+ *         description: Too many attempts, or too many invalid codes in a row
+ */
+router.post('/mfa/verify',
+  mfaLimiter,
+  trackUserLogin,
+  [
+    body('challengeToken')
+      .isString()
+      .isLength({ min: 1, max: 2048 })
+      .withMessage('Challenge token is required'),
+    codeValidation()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const user = await completeChallenge(req.body.challengeToken, req.body.code, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json(await completeLogin(user, req));
+  })
+);
+
+// Holds the signed state, nonce and PKCE verifier between /oidc/login and
+// /oidc/callback; only sent back to the callback
+const OIDC_COOKIE = 'oidc_login';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+};
+
+const requireOidc = (req, res, next) => {
+  if (!isOidcEnabled()) {
+    return next(new NotFoundError('Single sign-on'));
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /auth/oidc/login:
+ *   get:
+ *     summary: Start single sign-on with the OpenID Connect provider
+ *     description: Redirects to the provider's sign-in page using the authorization code flow with PKCE. The state, nonce and code verifier are kept in a short-lived httpOnly cookie.
+ *     tags: [Authentication]
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Single sign-on is not configured
+ *       503:
+ *         description: Provider unavailable
+ */
+router.get('/oidc/login',
+  requireOidc,
+  asyncHandler(async (req, res) => {
+    const { authorizationUrl, loginToken } = await beginLogin();
+
+    res.cookie(OIDC_COOKIE, loginToken, {
+      httpOnly: true,
+      secure: config.get('app.environment') === 'production',
+      sameSite: 'lax',
+      path: OIDC_COOKIE_PATH,
+      maxAge: config.get('oauth2.loginTtl') * 1000
+    });
+
+    res.redirect(302, authorizationUrl);
+  })
+);
+
+/**
+ * @swagger
+ * /auth/oidc/callback:
+ *   get:
+ *     summary: Finish single sign-on and issue tokens
+ *     description: Redirect target of the provider. Links the provider account to the user with the same verified email address, or creates one on first login, and returns the same response as /auth/login, including `mfaRequired` for users with two-factor authentication enabled.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or `mfaRequired` with a `challengeToken` to send to /auth/mfa/verify when two-factor authentication is enabled
+ *       401:
+ *         description: Invalid state, nonce, code or ID token
+ *       403:
+ *         description: No verified email address, or no account and provisioning is disabled
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+router.get('/oidc/callback',
+  requireOidc,
+  authLimiter,
+  trackUserLogin,
+  [
+    query('state')
+      .isString()
+      .isLength({ min: 1, max: 512 })
+      .withMessage('State is required'),
+    query('code')
+      .if(query('error').not().exists())
+      .isString()
+      .isLength({ min: 1, max: 4096 })
+      .withMessage('Authorization code is required')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const loginToken = readCookie(req, OIDC_COOKIE);
+    // The state is single use, whatever the outcome
+    res.clearCookie(OIDC_COOKIE, { path: OIDC_COOKIE_PATH });
+
+    const user = await completeSsoLogin(req.query, loginToken, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // The provider's own second factor does not replace the local one
+    res.status(200).json(await completeFirstFactor(user, req));
+  })
+);
+
 module.exports = router;
\ No newline at end of file
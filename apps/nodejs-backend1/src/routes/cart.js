@@ -0,0 +1,312 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const logger = require('../utils/logger');
+const { trackOrderCreation } = require('../middleware/monitoring');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  checkout
+} = require('../services/cartService');
+
+const router = express.Router();
+
+const productIdParam = param('productId')
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Product ID is invalid');
+
+const quantityField = body('quantity')
+  .isInt({ min: 1, max: 1000 })
+  .withMessage('Quantity must be between 1 and 1000');
+
+/**
+ * @swagger
+ * /cart:
+ *   get:
+ *     summary: Get the current user's cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const cart = await getCart(req.user.id);
+
+    res.status(200).json({
+      message: 'Cart retrieved successfully',
+      cart
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /cart/items:
+ *   post:
+ *     summary: Add a product to the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - quantity
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Item added to cart
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product not found
+ */
+router.post('/items',
+  [
+    body('productId')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Product ID is required'),
+    quantityField
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { productId } = req.body;
+    const quantity = parseInt(req.body.quantity);
+
+    const cart = await addItem(req.user.id, productId, quantity);
+
+    logger.userActivity(req.user.id, 'cart_item_added', {
+      productId,
+      quantity
+    });
+
+    res.status(200).json({
+      message: 'Item added to cart',
+      cart
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /cart/items/{productId}:
+ *   put:
+ *     summary: Change the quantity of a cart item
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Cart item updated
+ *       404:
+ *         description: Item not in cart
+ */
+router.put('/items/:productId',
+  [productIdParam, quantityField],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { productId } = req.params;
+    const quantity = parseInt(req.body.quantity);
+
+    const cart = await updateItem(req.user.id, productId, quantity);
+
+    logger.userActivity(req.user.id, 'cart_item_updated', {
+      productId,
+      quantity
+    });
+
+    res.status(200).json({
+      message: 'Cart item updated',
+      cart
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /cart/items/{productId}:
+ *   delete:
+ *     summary: Remove an item from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Cart item removed
+ *       404:
+ *         description: Item not in cart
+ */
+router.delete('/items/:productId',
+  [productIdParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { productId } = req.params;
+    const cart = await removeItem(req.user.id, productId);
+
+    logger.userActivity(req.user.id, 'cart_item_removed', {
+      productId
+    });
+
+    res.status(200).json({
+      message: 'Cart item removed',
+      cart
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /cart:
+ *   delete:
+ *     summary: Clear the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ */
+router.delete('/',
+  asyncHandler(async (req, res) => {
+    await clearCart(req.user.id);
+
+    logger.userActivity(req.user.id, 'cart_cleared');
+
+    res.status(200).json({
+      message: 'Cart cleared'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /cart/checkout:
+ *   post:
+ *     summary: Check out the cart into an order
+ *     description: Prices and stock are revalidated against the product catalogue before the order is placed.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shippingAddress:
+ *                 type: object
+ *               notes:
+ *                 type: string
+ *               acceptPriceChanges:
+ *                 type: boolean
+ *                 description: Place the order even if prices changed since items were added
+ *     responses:
+ *       201:
+ *         description: Order created from cart
+ *       400:
+ *         description: Cart is empty or contains unavailable products
+ *       409:
+ *         description: Prices changed or stock is insufficient
+ */
+router.post('/checkout',
+  trackOrderCreation,
+  [
+    body('shippingAddress')
+      .optional()
+      .isObject()
+      .withMessage('Shipping address must be an object'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes must be less than 500 characters'),
+    body('acceptPriceChanges')
+      .optional()
+      .isBoolean()
+      .withMessage('acceptPriceChanges must be a boolean')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { shippingAddress, notes, acceptPriceChanges } = req.body;
+
+    const order = await checkout(req.user.id, {
+      shippingAddress,
+      notes,
+      acceptPriceChanges: acceptPriceChanges === true
+    });
+
+    logger.userActivity(req.user.id, 'cart_checked_out', {
+      orderId: order.id,
+      totalAmount: order.total_amount
+    });
+
+    res.status(201).json({
+      message: 'Order created successfully',
+      order
+    });
+  })
+);
+
+module.exports = router;
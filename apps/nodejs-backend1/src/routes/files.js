@@ -7,7 +7,9 @@ const config = require('config');
 const logger = require('../utils/logger');
 const { BlobStorageOperations } = require('../config/azure');
 const { trackFileUpload } = require('../middleware/monitoring');
+const { requireOwnership } = require('../middleware/auth');
 const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { queueThumbnail } = require('../services/thumbnailService');
 
 const router = express.Router();
 
@@ -33,6 +35,19 @@ const upload = multer({
   }
 });
 
+// Thumbnails are generated in the background; failing to queue one must not
+// fail the upload itself
+const scheduleThumbnail = async (containerName, blobName, file) => {
+  try {
+    await queueThumbnail({ containerName, blobName, contentType: file.mimetype });
+  } catch (error) {
+    logger.error('Failed to queue thumbnail generation', {
+      blobName,
+      error: error.message
+    });
+  }
+};
+
 /**
  * @swagger
  * /files/upload:
@@ -97,6 +112,7 @@ router.post('/upload',
             }
           }
         );
+        await scheduleThumbnail(containerName, blobName, file);
       } else {
         // Fallback to local storage simulation
         uploadResult = {
@@ -202,6 +218,7 @@ router.post('/upload-multiple',
               }
             }
           );
+          await scheduleThumbnail(containerName, blobName, file);
         } else {
           uploadResult = {
             url: `/files/${blobName}`,
@@ -257,11 +274,58 @@ router.post('/upload-multiple',
   })
 );
 
+// Stream a blob back as an attachment; only the owner reaches this (the blob
+// path contains their user id)
+const sendFile = async (req, res, blobName, filename) => {
+  // Simple filename validation
+  if (!/^[a-f0-9-]+\.[a-z0-9]+$/i.test(filename)) {
+    throw new ValidationError('Invalid filename format');
+  }
+  
+  try {
+    if (config.get('azure.storage.enabled')) {
+      const containerName = config.get('azure.storage.container') || 'uploads';
+      
+      const downloadResult = await BlobStorageOperations.downloadBlob(containerName, blobName);
+      
+      res.set({
+        'Content-Type': downloadResult.contentType || 'application/octet-stream',
+        'Content-Length': downloadResult.data.length,
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      
+      res.send(downloadResult.data);
+      
+      logger.userActivity(req.user.id, 'file_downloaded', {
+        fileName: filename,
+        size: downloadResult.data.length
+      });
+    } else {
+      // Fallback response for development
+      res.status(200).json({
+        message: 'File download endpoint - Azure Storage not configured',
+        filename,
+        note: 'Configure Azure Blob Storage for actual file downloads'
+      });
+    }
+  } catch (error) {
+    if (error.statusCode === 404) {
+      res.status(404).json({
+        error: 'File not found',
+        filename
+      });
+    } else {
+      throw error;
+    }
+  }
+};
+
 /**
  * @swagger
  * /files/{filename}:
  *   get:
  *     summary: Download file
+ *     description: Downloads one of the user's own files from the general category.
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
@@ -281,51 +345,48 @@ router.post('/upload-multiple',
 router.get('/:filename',
   asyncHandler(async (req, res) => {
     const { filename } = req.params;
-    const userId = req.user.id;
-    
-    // Simple filename validation
-    if (!/^[a-f0-9-]+\.[a-z0-9]+$/i.test(filename)) {
-      throw new ValidationError('Invalid filename format');
-    }
-    
-    try {
-      if (config.get('azure.storage.enabled')) {
-        // For production, you'd want more sophisticated file access control
-        const containerName = config.get('azure.storage.container') || 'uploads';
-        const blobName = `general/${userId}/${filename}`;
-        
-        const downloadResult = await BlobStorageOperations.downloadBlob(containerName, blobName);
-        
-        res.set({
-          'Content-Type': downloadResult.contentType || 'application/octet-stream',
-          'Content-Length': downloadResult.data.length,
-          'Content-Disposition': `attachment; filename="${filename}"`
-        });
-        
-        res.send(downloadResult.data);
-        
-        logger.userActivity(userId, 'file_downloaded', {
-          fileName: filename,
-          size: downloadResult.data.length
-        });
-      } else {
-        // Fallback response for development
-        res.status(200).json({
-          message: 'File download endpoint - Azure Storage not configured',
-          filename,
-          note: 'Configure Azure Blob Storage for actual file downloads'
-        });
-      }
-    } catch (error) {
-      if (error.statusCode === 404) {
-        res.status(404).json({
-          error: 'File not found',
-          filename
-        });
-      } else {
-        throw error;
-      }
-    }
+    await sendFile(req, res, `general/${req.user.id}/${filename}`, filename);
+  })
+);
+
+/**
+ * @swagger
+ * /files/{category}/{userId}/{filename}:
+ *   get:
+ *     summary: Download file by the URL returned on upload
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Owner of the file
+ *       - in: path
+ *         name: filename
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File content
+ *       403:
+ *         description: File belongs to another user
+ *       404:
+ *         description: File not found
+ */
+router.get('/:category/:userId/:filename',
+  requireOwnership('userId', 'file'),
+  asyncHandler(async (req, res) => {
+    const { category, userId, filename } = req.params;
+    await sendFile(req, res, `${category}/${userId}/${filename}`, filename);
   })
 );
 
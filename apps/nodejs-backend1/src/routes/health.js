@@ -3,6 +3,7 @@ const config = require('config');
 const logger = require('../utils/logger');
 const { checkDatabaseHealth } = require('../config/database');
 const { healthChecks, getMetrics } = require('../middleware/monitoring');
+const { checkExternalServicesHealth } = require('../services/externalHealth');
 
 const router = express.Router();
 
@@ -51,15 +52,8 @@ router.get('/detailed', async (req, res) => {
       }
     }
     
-    // Check external APIs
-    let externalApiHealth = { status: 'healthy' };
-    try {
-      // Add external API health checks here
-      healthChecks.external_api.set(1);
-    } catch (error) {
-      externalApiHealth = { status: 'unhealthy', error: error.message };
-      healthChecks.external_api.set(0);
-    }
+    // Check external services (only critical ones can make us unhealthy)
+    const externalApiHealth = await checkExternalServicesHealth();
     
     // Memory usage
     const memoryUsage = process.memoryUsage();
@@ -76,10 +70,11 @@ router.get('/detailed', async (req, res) => {
     // Determine overall health
     const isHealthy = databaseHealth.status === 'healthy' && 
                      (redisHealth.status === 'healthy' || redisHealth.status === 'disabled') &&
-                     externalApiHealth.status === 'healthy';
+                     externalApiHealth.status !== 'unhealthy';
+    const isDegraded = isHealthy && externalApiHealth.status === 'degraded';
     
     const health = {
-      status: isHealthy ? 'healthy' : 'unhealthy',
+      status: isHealthy ? (isDegraded ? 'degraded' : 'healthy') : 'unhealthy',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       environment: config.get('app.environment'),
@@ -129,7 +124,10 @@ router.get('/live', (req, res) => {
 router.get('/ready', async (req, res) => {
   try {
     // Check if application is ready to serve traffic
-    const databaseHealth = await checkDatabaseHealth();
+    const [databaseHealth, externalHealth] = await Promise.all([
+      checkDatabaseHealth(),
+      checkExternalServicesHealth()
+    ]);
     
     let redisReady = true;
     if (config.get('redis.enabled')) {
@@ -142,17 +140,28 @@ router.get('/ready', async (req, res) => {
       }
     }
     
-    const isReady = databaseHealth.status === 'healthy' && redisReady;
+    // Non-critical services being down degrades us but doesn't pull the pod
+    const unavailableCritical = externalHealth.services
+      .filter(service => service.critical && service.status !== 'healthy')
+      .map(service => service.name);
+    const externalReady = unavailableCritical.length === 0;
+    
+    const isReady = databaseHealth.status === 'healthy' && redisReady && externalReady;
     
     const response = {
       status: isReady ? 'ready' : 'not ready',
       timestamp: new Date().toISOString(),
       checks: {
         database: databaseHealth.status,
-        redis: redisReady ? 'ready' : 'not ready'
+        redis: redisReady ? 'ready' : 'not ready',
+        externalServices: externalReady ? 'ready' : 'not ready'
       }
     };
     
+    if (!externalReady) {
+      response.unavailableServices = unavailableCritical;
+    }
+    
     const statusCode = isReady ? 200 : 503;
     res.status(statusCode).json(response);
     
@@ -0,0 +1,462 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const logger = require('../utils/logger');
+const { requirePermission } = require('../middleware/auth');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const {
+  renderTemplate,
+  resolveTemplate,
+  validateDefinition,
+  sampleData,
+  listTemplates,
+  getTemplate,
+  getTemplateVersion,
+  saveTemplateVersion,
+  activateTemplateVersion,
+  deleteTemplate
+} = require('../services/templateService');
+
+const router = express.Router();
+
+const KEY_PATTERN = /^[a-z0-9_.-]{1,100}$/;
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+const canManage = requirePermission('notification_templates:manage');
+
+const variantParams = [
+  param('key')
+    .matches(KEY_PATTERN)
+    .withMessage('Template key may only contain lowercase letters, digits, dots, dashes and underscores'),
+  param('locale')
+    .matches(LOCALE_PATTERN)
+    .withMessage('Locale must look like "en" or "en-GB"')
+];
+
+const definitionValidators = [
+  body('subject')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Subject is required and must be less than 255 characters'),
+  body('bodyText')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('bodyText must be a string'),
+  body('bodyHtml')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('bodyHtml must be a string'),
+  body('variables')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('variables must be an array'),
+  body('variables.*.name')
+    .matches(/^[A-Za-z_][\w]*$/)
+    .withMessage('Variable names must be identifiers'),
+  body('variables.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('Variable required flag must be a boolean')
+];
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+};
+
+/**
+ * @swagger
+ * /notification-templates:
+ *   get:
+ *     summary: List active notification templates (requires notification_templates:manage)
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: key
+ *         schema:
+ *           type: string
+ *         description: Filter by template key (notification type)
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *         description: Filter by locale
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/',
+  canManage,
+  [
+    query('key').optional().matches(KEY_PATTERN).withMessage('Invalid template key'),
+    query('locale').optional().matches(LOCALE_PATTERN).withMessage('Invalid locale')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const templates = await listTemplates({
+      key: req.query.key,
+      locale: req.query.locale
+    });
+
+    res.status(200).json({
+      message: 'Templates retrieved successfully',
+      templates
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /notification-templates/preview:
+ *   post:
+ *     summary: Render a template against sample data (requires notification_templates:manage)
+ *     description: Preview either a stored template (key, locale and optionally version) or an unsaved definition. Variables not given in data use their declared samples.
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 description: Stored template to render; required unless `template` is given
+ *               locale:
+ *                 type: string
+ *                 description: Falls back like notification delivery does; required with `version`
+ *               version:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Render this version instead of the active one
+ *               template:
+ *                 type: object
+ *                 description: Unsaved definition to render instead of a stored template
+ *                 required:
+ *                   - subject
+ *                 properties:
+ *                   subject:
+ *                     type: string
+ *                   bodyText:
+ *                     type: string
+ *                   bodyHtml:
+ *                     type: string
+ *                   variables:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         required:
+ *                           type: boolean
+ *                         sample:
+ *                           type: string
+ *               data:
+ *                 type: object
+ *                 description: Variable values; missing ones use the declared samples
+ *     responses:
+ *       200:
+ *         description: Template rendered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 locale:
+ *                   type: string
+ *                   description: Locale of the stored template that was rendered
+ *                 version:
+ *                   type: integer
+ *                   description: Version of the stored template that was rendered
+ *                 rendered:
+ *                   type: object
+ *                   properties:
+ *                     subject:
+ *                       type: string
+ *                     text:
+ *                       type: string
+ *                     html:
+ *                       type: string
+ *       400:
+ *         description: Validation error, invalid template or missing required variables
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Template not found
+ */
+router.post('/preview',
+  canManage,
+  [
+    body('key').optional().matches(KEY_PATTERN).withMessage('Invalid template key'),
+    body('locale').optional().matches(LOCALE_PATTERN).withMessage('Invalid locale'),
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+    body('locale').if(body('version').exists()).exists().withMessage('Locale is required to preview a specific version'),
+    body('data').optional().isObject().withMessage('data must be an object'),
+    body('template').optional().isObject().withMessage('template must be an object'),
+    body().custom((value) => Boolean(value.template || value.key))
+      .withMessage('Provide either a template key or an inline template')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { key, locale, version, data, template: inline } = req.body;
+    let template;
+
+    if (inline) {
+      validateDefinition(inline);
+      template = inline;
+    } else if (version) {
+      template = await getTemplateVersion(key, locale, parseInt(version));
+    } else {
+      template = await resolveTemplate(key, locale);
+    }
+
+    const rendered = renderTemplate(template, sampleData(template.variables, data));
+
+    res.status(200).json({
+      message: 'Template rendered successfully',
+      ...(template.version && { locale: template.locale, version: template.version }),
+      rendered
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /notification-templates/{key}/{locale}:
+ *   get:
+ *     summary: Get a template with all of its versions (requires notification_templates:manage)
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:key/:locale',
+  canManage,
+  variantParams,
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { active, versions } = await getTemplate(req.params.key, req.params.locale);
+
+    res.status(200).json({
+      message: 'Template retrieved successfully',
+      template: active,
+      versions
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /notification-templates/{key}/{locale}:
+ *   put:
+ *     summary: Save a new version of a template (requires notification_templates:manage)
+ *     description: Creates the next version and makes it active. Previous versions are kept for rollback.
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               bodyText:
+ *                 type: string
+ *               bodyHtml:
+ *                 type: string
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     required:
+ *                       type: boolean
+ *                     sample:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Template version created
+ *       400:
+ *         description: Validation error
+ */
+router.put('/:key/:locale',
+  canManage,
+  [...variantParams, ...definitionValidators],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { key, locale } = req.params;
+    const { subject, bodyText, bodyHtml, variables } = req.body;
+
+    const template = await saveTemplateVersion(key, locale, {
+      subject,
+      bodyText,
+      bodyHtml,
+      variables
+    }, req.user.id);
+
+    logger.userActivity(req.user.id, 'notification_template_saved', {
+      key,
+      locale,
+      version: template.version
+    });
+
+    res.status(201).json({
+      message: 'Template version created',
+      template
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /notification-templates/{key}/{locale}/versions/{version}/activate:
+ *   post:
+ *     summary: Make an existing template version active (requires notification_templates:manage)
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template version activated
+ *       404:
+ *         description: Template version not found
+ */
+router.post('/:key/:locale/versions/:version/activate',
+  canManage,
+  [
+    ...variantParams,
+    param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { key, locale } = req.params;
+    const version = parseInt(req.params.version);
+
+    const template = await activateTemplateVersion(key, locale, version, req.user.id);
+
+    logger.userActivity(req.user.id, 'notification_template_activated', {
+      key,
+      locale,
+      version
+    });
+
+    res.status(200).json({
+      message: 'Template version activated',
+      template
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /notification-templates/{key}/{locale}:
+ *   delete:
+ *     summary: Delete a locale variant and all of its versions (requires notification_templates:manage)
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       404:
+ *         description: Template not found
+ */
+router.delete('/:key/:locale',
+  canManage,
+  variantParams,
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { key, locale } = req.params;
+    const deletedVersions = await deleteTemplate(key, locale);
+
+    logger.userActivity(req.user.id, 'notification_template_deleted', {
+      key,
+      locale,
+      deletedVersions
+    });
+
+    res.status(200).json({
+      message: 'Template deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const config = require('config');
+
+const logger = require('../utils/logger');
+const { realtimeMetrics } = require('../middleware/monitoring');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} = require('../services/notificationService');
+const { channels, addConnection, eventsSince } = require('../services/realtime');
+
+const router = express.Router();
+
+const notificationIdParam = param('id')
+  .isUUID()
+  .withMessage('Notification ID must be a valid UUID');
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List the current user's in-app notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  [
+    query('unread')
+      .optional()
+      .isBoolean()
+      .withMessage('unread must be a boolean'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const unreadOnly = req.query.unread === 'true';
+
+    const result = await listNotifications(req.user.id, { unreadOnly, page, limit });
+
+    res.status(200).json({
+      message: 'Notifications retrieved successfully',
+      ...result
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /notifications/stream:
+ *   get:
+ *     summary: Stream the current user's notifications as server-sent events
+ *     description: Pushes `notification` events for new in-app notifications and `order.status_changed` events. A comment line is sent as a heartbeat. Reconnecting clients send `Last-Event-ID` to receive events they missed.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         description: ID of the last event the client received
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/stream',
+  asyncHandler(async (req, res) => {
+    const { heartbeatInterval, retryInterval } = config.get('realtime');
+    const userId = req.user.id;
+    const channel = channels.user(userId);
+    const lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering the stream
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${retryInterval}\n\n`);
+
+    let lastSentId = lastEventId;
+    const write = (event) => {
+      // Replayed and live events can overlap while resuming
+      if (event.id <= lastSentId || res.writableEnded) {
+        return;
+      }
+      lastSentId = event.id;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+      realtimeMetrics.messages.inc({ transport: 'sse', event: event.type });
+    };
+
+    // Live events are held back until the missed ones have been replayed
+    let replaying = lastEventId > 0;
+    const buffered = [];
+    const removeConnection = addConnection(channel, {
+      send: (event) => (replaying ? buffered.push(event) : write(event)),
+      close: () => res.end()
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatInterval);
+    realtimeMetrics.connections.inc({ transport: 'sse' });
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      removeConnection();
+      realtimeMetrics.connections.dec({ transport: 'sse' });
+      logger.debug('Notification stream closed', { userId });
+    });
+
+    if (replaying) {
+      let missed = [];
+      try {
+        missed = await eventsSince(channel, lastEventId);
+      } catch (error) {
+        logger.warn('Failed to load missed real-time events', { userId, error: error.message });
+      }
+      [...missed, ...buffered].sort((a, b) => a.id - b.id).forEach(write);
+      replaying = false;
+    }
+
+    logger.userActivity(userId, 'notification_stream_opened', { lastEventId });
+  })
+);
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   post:
+ *     summary: Mark all of the current user's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.post('/read-all',
+  asyncHandler(async (req, res) => {
+    const updated = await markAllNotificationsRead(req.user.id);
+
+    logger.userActivity(req.user.id, 'notifications_read_all', {
+      count: updated
+    });
+
+    res.status(200).json({
+      message: 'Notifications marked as read',
+      updated
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/:id/read',
+  [notificationIdParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const notification = await markNotificationRead(req.user.id, req.params.id);
+
+    res.status(200).json({
+      message: 'Notification marked as read',
+      notification
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     responses:
+ *       200:
+ *         description: Notification deleted
+ *       404:
+ *         description: Notification not found
+ */
+router.delete('/:id',
+  [notificationIdParam],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    await deleteNotification(req.user.id, req.params.id);
+
+    logger.userActivity(req.user.id, 'notification_deleted', {
+      notificationId: req.params.id
+    });
+
+    res.status(200).json({
+      message: 'Notification deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
@@ -1,22 +1,589 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const logger = require('../utils/logger');
+const { getDatabase } = require('../config/database');
+const { requirePermission, requireOwnership, hasPermission } = require('../middleware/auth');
 const { trackOrderCreation } = require('../middleware/monitoring');
-const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  asyncHandler,
+  ValidationError,
+  ForbiddenError
+} = require('../middleware/errorHandler');
+const {
+  createOrder,
+  transitionOrderStatus,
+  getOrderHistory,
+  getOrderWithItems,
+  attachItems
+} = require('../services/orderService');
+const { ORDER_STATUSES } = require('../services/orderStateMachine');
+const { payOrder, getOrderPayments } = require('../services/paymentService');
 
 const router = express.Router();
 
-// Placeholder routes for orders
-router.get('/', trackOrderCreation, asyncHandler(async (req, res) => {
-  res.status(200).json({
-    message: 'Orders endpoint - Coming soon',
-    user: req.user.id
-  });
-}));
-
-router.post('/', trackOrderCreation, asyncHandler(async (req, res) => {
-  res.status(201).json({
-    message: 'Order creation endpoint - Coming soon',
-    user: req.user.id
-  });
-}));
-
-module.exports = router;
\ No newline at end of file
+const paginationValidators = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(ORDER_STATUSES)
+    .withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`)
+];
+
+// Run a paginated orders query and attach line items to the page
+const paginateOrders = async (baseQuery, page, limit) => {
+  const [{ count }] = await baseQuery.clone().count('* as count');
+  const total = parseInt(count);
+
+  const orders = await baseQuery
+    .limit(limit)
+    .offset((page - 1) * limit)
+    .orderBy('created_at', 'desc');
+
+  return {
+    data: await attachItems(orders),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * @swagger
+ * /orders:
+ *   get:
+ *     summary: List orders of the current user
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by order status
+ *     responses:
+ *       200:
+ *         description: List of orders
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  paginationValidators,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const status = req.query.status || '';
+
+    let ordersQuery = getDatabase()('orders').where('user_id', req.user.id);
+    if (status) {
+      ordersQuery = ordersQuery.where('status', status);
+    }
+
+    const { data, pagination } = await paginateOrders(ordersQuery, page, limit);
+
+    logger.userActivity(req.user.id, 'orders_viewed', {
+      status,
+      page,
+      limit,
+      total: pagination.total
+    });
+
+    res.status(200).json({
+      message: 'Orders retrieved successfully',
+      data,
+      pagination
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /orders/all:
+ *   get:
+ *     summary: List orders of all users (requires orders:manage)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by order status
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Filter by user ID
+ *     responses:
+ *       200:
+ *         description: List of orders
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/all',
+  requirePermission('orders:manage'),
+  [
+    ...paginationValidators,
+    query('userId')
+      .optional()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('User ID filter is invalid')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const status = req.query.status || '';
+    const userId = req.query.userId || '';
+
+    let ordersQuery = getDatabase()('orders');
+    if (status) {
+      ordersQuery = ordersQuery.where('status', status);
+    }
+    if (userId) {
+      ordersQuery = ordersQuery.where('user_id', userId);
+    }
+
+    const { data, pagination } = await paginateOrders(ordersQuery, page, limit);
+
+    logger.userActivity(req.user.id, 'all_orders_viewed', {
+      status,
+      filterUserId: userId,
+      page,
+      limit,
+      total: pagination.total
+    });
+
+    res.status(200).json({
+      message: 'Orders retrieved successfully',
+      data,
+      pagination
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   get:
+ *     summary: Get order by ID
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id',
+  requireOwnership('id', 'order'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const order = await getOrderWithItems(id);
+
+    logger.userActivity(req.user.id, 'order_viewed', {
+      orderId: id
+    });
+
+    res.status(200).json({
+      message: 'Order retrieved successfully',
+      order
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /orders:
+ *   post:
+ *     summary: Create a new order
+ *     description: Totals are computed server-side from current product prices and stock is reserved atomically.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               shippingAddress:
+ *                 type: object
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created successfully
+ *       400:
+ *         description: Validation error or unavailable products
+ *       409:
+ *         description: Insufficient stock, with the affected items listed in error details
+ */
+router.post('/',
+  trackOrderCreation,
+  [
+    body('items')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('Items must be a list of 1 to 50 products'),
+    body('items.*.productId')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Each item requires a productId'),
+    body('items.*.quantity')
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Each item quantity must be between 1 and 1000'),
+    body('shippingAddress')
+      .optional()
+      .isObject()
+      .withMessage('Shipping address must be an object'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes must be less than 500 characters')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { items, shippingAddress, notes } = req.body;
+
+    const order = await createOrder(req.user.id, items, { shippingAddress, notes });
+
+    logger.userActivity(req.user.id, 'order_created', {
+      orderId: order.id,
+      itemCount: order.item_count,
+      totalAmount: order.total_amount
+    });
+
+    res.status(201).json({
+      message: 'Order created successfully',
+      order
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /orders/{id}/status:
+ *   patch:
+ *     summary: Change order status
+ *     description: Holders of orders:manage may apply any legal transition; customers may only cancel their own orders while they are pending. Paid orders cannot be cancelled, only refunded (orders:manage).
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, paid, fulfilled, shipped, delivered, cancelled, refunded]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order status updated successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Illegal status transition
+ */
+router.patch('/:id/status',
+  requireOwnership('id', 'order'),
+  [
+    body('status')
+      .isIn(ORDER_STATUSES)
+      .withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be less than 500 characters')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    // Only pending orders can be cancelled (see orderStateMachine), so a
+    // customer can never undo an order they have paid for
+    if (!hasPermission(req.user, 'orders:manage') && status !== 'cancelled') {
+      throw new ForbiddenError('Customers can only cancel their orders');
+    }
+
+    const updatedOrder = await transitionOrderStatus(id, status, {
+      actorId: req.user.id,
+      reason: reason || null
+    });
+
+    logger.userActivity(req.user.id, 'order_status_changed', {
+      orderId: id,
+      status,
+      reason
+    });
+
+    res.status(200).json({
+      message: 'Order status updated successfully',
+      order: updatedOrder
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /orders/{id}/history:
+ *   get:
+ *     summary: Get order status history
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order status history retrieved successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/history',
+  requireOwnership('id', 'order'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const order = await getOrderWithItems(id);
+
+    const history = await getOrderHistory(id);
+
+    res.status(200).json({
+      message: 'Order history retrieved successfully',
+      orderId: id,
+      status: order.status,
+      history
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /orders/{id}/payments:
+ *   post:
+ *     summary: Pay for an order
+ *     description: A successful charge moves the order to paid; a declined or failed charge leaves it pending.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Payment method token issued by the payment provider
+ *     responses:
+ *       200:
+ *         description: Payment captured and order marked paid
+ *       402:
+ *         description: Payment declined; order remains pending
+ *       409:
+ *         description: Order is not pending or a payment is already in progress
+ *       503:
+ *         description: Payment service unavailable; order remains pending
+ */
+router.post('/:id/payments',
+  // Only the customer pays for an order, whatever their permissions
+  requireOwnership('id', 'order', { bypassPermission: null }),
+  [
+    body('paymentMethod')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Payment method is required')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { id } = req.params;
+    const result = await payOrder(id, {
+      userId: req.user.id,
+      paymentMethod: req.body.paymentMethod
+    });
+
+    logger.userActivity(req.user.id, 'order_payment_attempted', {
+      orderId: id,
+      paymentId: result.payment.id,
+      outcome: result.outcome
+    });
+
+    if (result.outcome === 'declined') {
+      return res.status(402).json({
+        message: 'Payment declined',
+        payment: result.payment,
+        order: result.order
+      });
+    }
+
+    res.status(200).json({
+      message: 'Payment captured successfully',
+      payment: result.payment,
+      order: result.order
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /orders/{id}/payments:
+ *   get:
+ *     summary: List payment attempts for an order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Payment attempts retrieved successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/payments',
+  requireOwnership('id', 'order'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const payments = await getOrderPayments(id);
+
+    res.status(200).json({
+      message: 'Payments retrieved successfully',
+      orderId: id,
+      payments
+    });
+  })
+);
+
+module.exports = router;
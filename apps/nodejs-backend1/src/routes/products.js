@@ -5,7 +5,8 @@ const config = require('config');
 const logger = require('../utils/logger');
 const { DatabaseOperations } = require('../config/database');
 const { CacheOperations } = require('../config/redis');
-const { requireRole } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { EVENTS, publish } = require('../services/events');
 const { 
   asyncHandler,
   ValidationError,
@@ -242,7 +243,7 @@ router.get('/:id',
  * @swagger
  * /products:
  *   post:
- *     summary: Create new product (Admin only)
+ *     summary: Create new product (requires products:create)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -280,7 +281,7 @@ router.get('/:id',
  *         description: Forbidden
  */
 router.post('/',
-  requireRole(['admin', 'super_admin']),
+  requirePermission('products:create'),
   [
     body('name')
       .trim()
@@ -351,7 +352,7 @@ router.post('/',
  * @swagger
  * /products/{id}:
  *   put:
- *     summary: Update product (Admin only)
+ *     summary: Update product (requires products:update)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -394,7 +395,7 @@ router.post('/',
  *         description: Product not found
  */
 router.put('/:id',
-  requireRole(['admin', 'super_admin']),
+  requirePermission('products:update'),
   [
     body('name')
       .optional()
@@ -465,9 +466,17 @@ router.put('/:id',
       }
     }
 
+    const updatedFields = Object.keys(updateData).filter(key => !key.includes('_at') && !key.includes('_by'));
+
     logger.userActivity(req.user.id, 'product_updated', {
       productId: id,
-      updatedFields: Object.keys(updateData).filter(key => !key.includes('_at') && !key.includes('_by'))
+      updatedFields
+    });
+
+    publish(EVENTS.PRODUCT_UPDATED, {
+      productId: id,
+      updatedFields,
+      updatedBy: req.user.id
     });
 
     res.status(200).json({
@@ -481,7 +490,7 @@ router.put('/:id',
  * @swagger
  * /products/{id}:
  *   delete:
- *     summary: Delete product (Admin only)
+ *     summary: Delete product (requires products:delete)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -501,7 +510,7 @@ router.put('/:id',
  *         description: Product not found
  */
 router.delete('/:id',
-  requireRole(['admin', 'super_admin']),
+  requirePermission('products:delete'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -0,0 +1,289 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const logger = require('../utils/logger');
+const { requirePermission } = require('../middleware/auth');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const {
+  listPermissions,
+  listRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../services/permissionService');
+
+const router = express.Router();
+
+router.use(requirePermission('roles:manage'));
+
+const roleNameParam = param('name')
+  .matches(/^[a-z][a-z0-9_]{1,49}$/)
+  .withMessage('Role name must be 2-50 lowercase letters, digits or underscores');
+
+const descriptionValidator = body('description')
+  .optional({ nullable: true })
+  .trim()
+  .isLength({ max: 255 })
+  .withMessage('Description must be less than 255 characters');
+
+const permissionsValidator = (field) => [
+  body(field)
+    .isArray()
+    .withMessage('permissions must be an array'),
+  body(`${field}.*`)
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Permissions must be permission names')
+];
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+};
+
+/**
+ * @swagger
+ * /roles/permissions:
+ *   get:
+ *     summary: List the permissions roles can grant
+ *     description: Permissions are what routes check, so they are defined by migrations and cannot be created here.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/permissions',
+  asyncHandler(async (req, res) => {
+    const permissions = await listPermissions();
+
+    res.status(200).json({
+      message: 'Permissions retrieved successfully',
+      permissions
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /roles:
+ *   get:
+ *     summary: List roles with their permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const roles = await listRoles();
+
+    res.status(200).json({
+      message: 'Roles retrieved successfully',
+      roles
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /roles/{name}:
+ *   get:
+ *     summary: Get a role with its permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role retrieved successfully
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:name',
+  roleNameParam,
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const role = await getRole(req.params.name);
+
+    res.status(200).json({
+      message: 'Role retrieved successfully',
+      role
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /roles:
+ *   post:
+ *     summary: Create a role
+ *     description: A role can only grant permissions the caller has.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 pattern: '^[a-z][a-z0-9_]{1,49}$'
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error or unknown permission
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: Role already exists
+ */
+router.post('/',
+  [
+    body('name')
+      .matches(/^[a-z][a-z0-9_]{1,49}$/)
+      .withMessage('Role name must be 2-50 lowercase letters, digits or underscores'),
+    descriptionValidator,
+    ...permissionsValidator('permissions')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { name, description, permissions } = req.body;
+    const role = await createRole({ name, description, permissions }, req.user);
+
+    logger.userActivity(req.user.id, 'role_created', { role: name });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /roles/{name}:
+ *   put:
+ *     summary: Update a role's description or permissions
+ *     description: "`permissions` replaces everything the role grants. Users keep the permissions in their current tokens until the tokens are refreshed."
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or unknown permission
+ *       404:
+ *         description: Role not found
+ */
+router.put('/:name',
+  [
+    roleNameParam,
+    descriptionValidator,
+    ...permissionsValidator('permissions').map(validator => validator.optional())
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { description, permissions } = req.body;
+    const role = await updateRole(req.params.name, { description, permissions }, req.user);
+
+    logger.userActivity(req.user.id, 'role_updated', { role: req.params.name });
+
+    res.status(200).json({
+      message: 'Role updated successfully',
+      role
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /roles/{name}:
+ *   delete:
+ *     summary: Delete a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       403:
+ *         description: Built-in roles cannot be deleted
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is still assigned to users
+ */
+router.delete('/:name',
+  roleNameParam,
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    await deleteRole(req.params.name, req.user);
+
+    logger.userActivity(req.user.id, 'role_deleted', { role: req.params.name });
+
+    res.status(200).json({
+      message: 'Role deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
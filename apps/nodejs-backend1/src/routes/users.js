@@ -6,7 +6,7 @@ const config = require('config');
 const logger = require('../utils/logger');
 const { DatabaseOperations } = require('../config/database');
 const { CacheOperations } = require('../config/redis');
-const { requireRole, requireOwnership } = require('../middleware/auth');
+const { requirePermission, requireOwnership, hasPermission } = require('../middleware/auth');
 const { 
   asyncHandler,
   ValidationError,
@@ -14,14 +14,70 @@ const {
   ConflictError,
   ForbiddenError
 } = require('../middleware/errorHandler');
+const { NOTIFICATION_TYPES } = require('../services/notificationService');
+const {
+  DIGEST_MODES,
+  isValidTimezone,
+  isValidTime,
+  getPreferences,
+  updatePreferences
+} = require('../services/notificationPreferences');
+const { revokeAllSessions } = require('../services/sessionService');
+const { roleExists, canManageRole } = require('../services/permissionService');
 
 const router = express.Router();
 
+// Same rules as PUT /users/:id: own account, or users:update and a role
+// the caller may manage (see canManageRole)
+const findManageableUser = async (req) => {
+  const { id } = req.params;
+  const isOwnProfile = id === req.user.id;
+  const isAdmin = hasPermission(req.user, 'users:update');
+
+  if (!isOwnProfile && !isAdmin) {
+    throw new ForbiddenError('Access denied to modify this user');
+  }
+
+  const users = await DatabaseOperations.users.findById(id);
+  if (users.length === 0) {
+    throw new NotFoundError('User');
+  }
+
+  if (!isOwnProfile && !(await canManageRole(req.user, users[0].role))) {
+    throw new ForbiddenError('Not allowed to modify users with this role');
+  }
+
+  return users[0];
+};
+
+// Every key must be a known name and every value a boolean
+const isSwitchMap = (knownNames) => (value) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('Must be an object of booleans');
+  }
+  const unknown = Object.keys(value).filter(name => !knownNames().includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown names: ${unknown.join(', ')}`);
+  }
+  if (Object.values(value).some(enabled => typeof enabled !== 'boolean')) {
+    throw new Error('Values must be booleans');
+  }
+  return true;
+};
+
+// Roles are managed at /api/roles
+const isExistingRole = async (role) => {
+  if (typeof role !== 'string' || !(await roleExists(role))) {
+    throw new Error('Role must be an existing role');
+  }
+  return true;
+};
+
 /**
  * @swagger
  * /users:
  *   get:
- *     summary: Get list of users (Admin only)
+ *     summary: Get list of users (requires users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -53,7 +109,7 @@ const router = express.Router();
  *         description: Forbidden
  */
 router.get('/',
-  requireRole(['admin', 'super_admin']),
+  requirePermission('users:read'),
   [
     query('page')
       .optional()
@@ -100,7 +156,7 @@ router.get('/',
     const db = require('../config/database').getDatabase();
     let query = db('users').select(
       'id', 'email', 'first_name', 'last_name', 'role', 
-      'is_active', 'created_at', 'updated_at', 'last_login'
+      'is_active', 'email_verified_at', 'created_at', 'updated_at', 'last_login'
     );
 
     // Add search filter
@@ -187,12 +243,6 @@ router.get('/:id',
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const requestingUserId = req.user.id;
-    const requestingUserRole = req.user.role;
-
-    // Check if user can access this profile
-    if (id !== requestingUserId && !['admin', 'super_admin'].includes(requestingUserRole)) {
-      throw new ForbiddenError('Access denied to this user profile');
-    }
 
     // Try cache first
     let user = null;
@@ -246,7 +296,7 @@ router.get('/:id',
  * @swagger
  * /users:
  *   post:
- *     summary: Create new user (Admin only)
+ *     summary: Create new user (requires users:create)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -275,7 +325,7 @@ router.get('/:id',
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [user, admin]
+ *                 description: Name of an existing role (see /roles)
  *     responses:
  *       201:
  *         description: User created successfully
@@ -285,7 +335,7 @@ router.get('/:id',
  *         description: User already exists
  */
 router.post('/',
-  requireRole(['admin', 'super_admin']),
+  requirePermission('users:create'),
   [
     body('email')
       .isEmail()
@@ -303,8 +353,7 @@ router.post('/',
       .isLength({ min: 1, max: 50 })
       .withMessage('Last name is required and must be less than 50 characters'),
     body('role')
-      .isIn(['user', 'admin'])
-      .withMessage('Role must be either user or admin')
+      .custom(isExistingRole)
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -314,9 +363,9 @@ router.post('/',
 
     const { email, password, firstName, lastName, role } = req.body;
 
-    // Only super_admin can create admin users
-    if (role === 'admin' && req.user.role !== 'super_admin') {
-      throw new ForbiddenError('Only super administrators can create admin users');
+    // Roles that administer users, or grant more than the caller has, need users:manage_admins
+    if (!(await canManageRole(req.user, role))) {
+      throw new ForbiddenError('Not allowed to assign this role');
     }
 
     // Check if user already exists
@@ -394,9 +443,12 @@ router.post('/',
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [user, admin]
+ *                 description: Name of an existing role (see /roles)
  *               isActive:
  *                 type: boolean
+ *               locale:
+ *                 type: string
+ *                 description: Preferred language for notifications, e.g. "en" or "fr-CA"
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -422,12 +474,15 @@ router.put('/:id',
       .withMessage('Last name must be less than 50 characters'),
     body('role')
       .optional()
-      .isIn(['user', 'admin'])
-      .withMessage('Role must be either user or admin'),
+      .custom(isExistingRole),
     body('isActive')
       .optional()
       .isBoolean()
-      .withMessage('isActive must be a boolean')
+      .withMessage('isActive must be a boolean'),
+    body('locale')
+      .optional({ nullable: true })
+      .matches(/^[a-z]{2}(-[A-Z]{2})?$/)
+      .withMessage('Locale must look like "en" or "en-GB"')
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -436,9 +491,8 @@ router.put('/:id',
     }
 
     const { id } = req.params;
-    const { firstName, lastName, role, isActive } = req.body;
+    const { firstName, lastName, role, isActive, locale } = req.body;
     const requestingUserId = req.user.id;
-    const requestingUserRole = req.user.role;
 
     // Check if user exists
     const users = await DatabaseOperations.users.findById(id);
@@ -450,7 +504,7 @@ router.put('/:id',
 
     // Authorization checks
     const isOwnProfile = id === requestingUserId;
-    const isAdmin = ['admin', 'super_admin'].includes(requestingUserRole);
+    const isAdmin = hasPermission(req.user, 'users:update');
 
     // Users can only update their own profile (limited fields)
     if (isOwnProfile && !isAdmin) {
@@ -465,13 +519,13 @@ router.put('/:id',
       throw new ForbiddenError('Access denied to modify this user');
     }
 
-    // Only super_admin can modify admin users or set admin role
-    if (targetUser.role === 'admin' && requestingUserRole !== 'super_admin') {
-      throw new ForbiddenError('Only super administrators can modify admin users');
+    // Roles that administer users, or grant more than the caller has, need users:manage_admins
+    if (!isOwnProfile && !(await canManageRole(req.user, targetUser.role))) {
+      throw new ForbiddenError('Not allowed to modify users with this role');
     }
 
-    if (role === 'admin' && requestingUserRole !== 'super_admin') {
-      throw new ForbiddenError('Only super administrators can assign admin role');
+    if (role !== undefined && role !== targetUser.role && !(await canManageRole(req.user, role))) {
+      throw new ForbiddenError('Not allowed to assign this role');
     }
 
     // Prepare update data
@@ -483,6 +537,7 @@ router.put('/:id',
     if (lastName !== undefined) updateData.last_name = lastName;
     if (role !== undefined) updateData.role = role;
     if (isActive !== undefined) updateData.is_active = isActive;
+    if (locale !== undefined) updateData.locale = locale;
 
     // Update user
     const [updatedUser] = await DatabaseOperations.users.update(id, updateData);
@@ -515,7 +570,7 @@ router.put('/:id',
  * @swagger
  * /users/{id}:
  *   delete:
- *     summary: Delete user (Admin only)
+ *     summary: Delete user (requires users:delete)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -535,10 +590,9 @@ router.put('/:id',
  *         description: User not found
  */
 router.delete('/:id',
-  requireRole(['admin', 'super_admin']),
+  requirePermission('users:delete'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const requestingUserRole = req.user.role;
 
     // Check if user exists
     const users = await DatabaseOperations.users.findById(id);
@@ -548,9 +602,8 @@ router.delete('/:id',
 
     const targetUser = users[0];
 
-    // Only super_admin can delete admin users
-    if (targetUser.role === 'admin' && requestingUserRole !== 'super_admin') {
-      throw new ForbiddenError('Only super administrators can delete admin users');
+    if (!(await canManageRole(req.user, targetUser.role))) {
+      throw new ForbiddenError('Not allowed to delete users with this role');
     }
 
     // Don't allow deleting yourself
@@ -564,11 +617,13 @@ router.delete('/:id',
       updated_at: new Date()
     });
 
+    // Log the user out of every device
+    await revokeAllSessions(id, { reason: 'account_deactivated', actorId: req.user.id });
+
     // Invalidate caches
     if (config.get('redis.enabled')) {
       try {
         await CacheOperations.del(`user_profile:${id}`);
-        await CacheOperations.del(`user_session:${id}`);
         await CacheOperations.deletePattern('users_list:*');
       } catch (redisError) {
         logger.warn('Cache invalidation failed', { error: redisError.message });
@@ -590,7 +645,7 @@ router.delete('/:id',
  * @swagger
  * /users/{id}/reactivate:
  *   post:
- *     summary: Reactivate user (Admin only)
+ *     summary: Reactivate user (requires users:update)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -610,7 +665,7 @@ router.delete('/:id',
  *         description: User not found
  */
 router.post('/:id/reactivate',
-  requireRole(['admin', 'super_admin']),
+  requirePermission('users:update'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -650,4 +705,153 @@ router.post('/:id/reactivate',
   })
 );
 
+/**
+ * @swagger
+ * /users/{id}/notification-preferences:
+ *   get:
+ *     summary: Get a user's notification preferences
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Notification preferences retrieved successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/notification-preferences',
+  requireOwnership('id', 'user'),
+  asyncHandler(async (req, res) => {
+    await findManageableUser(req);
+
+    const preferences = await getPreferences(req.params.id);
+
+    res.status(200).json({
+      message: 'Notification preferences retrieved successfully',
+      preferences
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/notification-preferences:
+ *   put:
+ *     summary: Update a user's notification preferences
+ *     description: Channel and event type switches are merged into the stored ones; other fields are replaced. Security notices such as password changes are always sent.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channels:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: boolean
+ *                 example: { "email": false }
+ *               eventTypes:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: boolean
+ *                 example: { "order.status_changed": true }
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Paris
+ *               quietHours:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   start:
+ *                     type: string
+ *                     example: "22:00"
+ *                   end:
+ *                     type: string
+ *                     example: "07:00"
+ *               digestMode:
+ *                 type: string
+ *                 enum: [immediate, hourly, daily]
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/notification-preferences',
+  requireOwnership('id', 'user'),
+  [
+    body('channels')
+      .optional()
+      .custom(isSwitchMap(() => Object.keys(config.get('notifications.channels')))),
+    body('eventTypes')
+      .optional()
+      .custom(isSwitchMap(() => Object.keys(NOTIFICATION_TYPES))),
+    body('timezone')
+      .optional()
+      .custom(value => typeof value === 'string' && isValidTimezone(value))
+      .withMessage('Timezone must be an IANA timezone such as Europe/Paris'),
+    body('quietHours')
+      .optional({ nullable: true })
+      .custom(value => isValidTime(value.start) && isValidTime(value.end) && value.start !== value.end)
+      .withMessage('Quiet hours need different start and end times in HH:MM format'),
+    body('digestMode')
+      .optional()
+      .isIn(DIGEST_MODES)
+      .withMessage(`Digest mode must be one of: ${DIGEST_MODES.join(', ')}`)
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    await findManageableUser(req);
+
+    const { channels, eventTypes, timezone, quietHours, digestMode } = req.body;
+    const changes = {};
+
+    if (channels !== undefined) changes.channels = channels;
+    if (eventTypes !== undefined) changes.eventTypes = eventTypes;
+    if (timezone !== undefined) changes.timezone = timezone;
+    if (quietHours !== undefined) changes.quietHours = quietHours && { start: quietHours.start, end: quietHours.end };
+    if (digestMode !== undefined) changes.digestMode = digestMode;
+
+    const preferences = await updatePreferences(req.params.id, changes);
+
+    logger.userActivity(req.user.id, 'notification_preferences_updated', {
+      targetUserId: req.params.id,
+      updatedFields: Object.keys(changes)
+    });
+
+    res.status(200).json({
+      message: 'Notification preferences updated successfully',
+      preferences
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
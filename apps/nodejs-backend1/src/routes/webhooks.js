@@ -0,0 +1,420 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const logger = require('../utils/logger');
+const { requirePermission } = require('../middleware/auth');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const {
+  WEBHOOK_EVENTS,
+  createEndpoint,
+  listEndpoints,
+  getEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  listDeliveries,
+  redeliver
+} = require('../services/webhookService');
+
+const router = express.Router();
+
+router.use(requirePermission('webhooks:manage'));
+
+const endpointIdParam = param('id')
+  .isUUID()
+  .withMessage('Webhook endpoint ID must be a valid UUID');
+
+const urlValidator = (field) => body(field)
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  .withMessage('URL must be an http(s) URL');
+
+const eventsValidator = (field) => [
+  body(field)
+    .isArray({ min: 1 })
+    .withMessage('events must be a non-empty array'),
+  body(`${field}.*`)
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`)
+];
+
+const secretValidator = (field) => body(field)
+  .isString()
+  .isLength({ min: 16, max: 255 })
+  .withMessage('Secret must be between 16 and 255 characters');
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+};
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List webhook endpoints (requires webhooks:manage)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook endpoints retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const endpoints = await listEndpoints();
+
+    res.status(200).json({
+      message: 'Webhook endpoints retrieved successfully',
+      endpoints,
+      availableEvents: WEBHOOK_EVENTS
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Subscribe a URL to events (requires webhooks:manage)
+ *     description: The secret signs every delivery and is only returned in this response. One is generated when omitted.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [order.created, order.status_changed, user.registered, product.updated]
+ *               secret:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Webhook endpoint created
+ *       400:
+ *         description: Validation error
+ */
+router.post('/',
+  [
+    urlValidator('url'),
+    ...eventsValidator('events'),
+    secretValidator('secret').optional(),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { url, events, secret, description } = req.body;
+    const endpoint = await createEndpoint({
+      url,
+      events: [...new Set(events)],
+      secret,
+      description
+    }, req.user.id);
+
+    logger.userActivity(req.user.id, 'webhook_endpoint_created', {
+      endpointId: endpoint.id,
+      events: endpoint.events
+    });
+
+    res.status(201).json({
+      message: 'Webhook endpoint created successfully',
+      endpoint
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook endpoint (requires webhooks:manage)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint retrieved successfully
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+router.get('/:id',
+  [endpointIdParam],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const endpoint = await getEndpoint(req.params.id);
+
+    res.status(200).json({
+      message: 'Webhook endpoint retrieved successfully',
+      endpoint
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   patch:
+ *     summary: Update a webhook endpoint (requires webhooks:manage)
+ *     description: Setting isActive to true re-enables an endpoint that was disabled after repeated failures.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               secret:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint updated
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+router.patch('/:id',
+  [
+    endpointIdParam,
+    urlValidator('url').optional(),
+    ...eventsValidator('events').map(validator => validator.optional()),
+    secretValidator('secret').optional(),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { url, events, secret, description, isActive } = req.body;
+    const endpoint = await updateEndpoint(req.params.id, {
+      url,
+      events: events && [...new Set(events)],
+      secret,
+      description,
+      isActive
+    }, req.user.id);
+
+    logger.userActivity(req.user.id, 'webhook_endpoint_updated', {
+      endpointId: endpoint.id
+    });
+
+    res.status(200).json({
+      message: 'Webhook endpoint updated successfully',
+      endpoint
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook endpoint and its delivery log (requires webhooks:manage)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint deleted
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+router.delete('/:id',
+  [endpointIdParam],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    await deleteEndpoint(req.params.id, req.user.id);
+
+    logger.userActivity(req.user.id, 'webhook_endpoint_deleted', {
+      endpointId: req.params.id
+    });
+
+    res.status(200).json({
+      message: 'Webhook endpoint deleted successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log for a webhook endpoint (requires webhooks:manage)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, retrying, succeeded, failed, cancelled]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *       404:
+ *         description: Webhook endpoint not found
+ */
+router.get('/:id/deliveries',
+  [
+    endpointIdParam,
+    query('status')
+      .optional()
+      .isIn(['pending', 'retrying', 'succeeded', 'failed', 'cancelled'])
+      .withMessage('Invalid delivery status'),
+    query('event')
+      .optional()
+      .isIn(WEBHOOK_EVENTS)
+      .withMessage('Invalid event'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const result = await listDeliveries(req.params.id, {
+      status: req.query.status,
+      event: req.query.event,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.status(200).json({
+      message: 'Deliveries retrieved successfully',
+      ...result
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Queue a logged delivery again (requires webhooks:manage)
+ *     description: The delivery keeps its idempotency ID, so receivers that already processed it can ignore it.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Delivery queued
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Endpoint is disabled
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver',
+  [
+    endpointIdParam,
+    param('deliveryId').isUUID().withMessage('Delivery ID must be a valid UUID')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const delivery = await redeliver(req.params.id, req.params.deliveryId, req.user.id);
+
+    res.status(202).json({
+      message: 'Delivery queued',
+      delivery
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const config = require('config');
+const { getJwks } = require('../config/jwt');
+
+const router = express.Router();
+
+// Public keys other services use to verify our tokens (RFC 7517)
+router.get('/jwks.json', (req, res) => {
+  res.set('Cache-Control', `public, max-age=${config.get('security.jwt.jwksMaxAge')}`);
+  res.status(200).json(getJwks());
+});
+
+module.exports = router;
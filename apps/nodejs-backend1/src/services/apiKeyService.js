@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const { ForbiddenError, NotFoundError, UnauthorizedError } = require('../middleware/errorHandler');
+const { getRolePermissions } = require('./permissionService');
+
+const KEY_PREFIX = 'ak_';
+
+// ak_<12 hex lookup prefix>_<48 hex secret>
+const KEY_PATTERN = /^ak_([0-9a-f]{12})_[0-9a-f]{48}$/;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Whether a credential looks like an API key rather than a JWT
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// The hash never leaves the service
+const toApiKeyResponse = ({ key_hash, ...apiKey }) => ({
+  ...apiKey,
+  scopes: parseJson(apiKey.scopes)
+});
+
+/**
+ * Create an API key for `owner` (the authenticated user)
+ * Scopes are limited to permissions the owner has. The plaintext key is only
+ * returned here; afterwards the key can only be listed by its prefix.
+ */
+const createApiKey = async (owner, { name, scopes, expiresAt = null }) => {
+  const missing = scopes.filter(scope => !(owner.permissions || []).includes(scope));
+  if (missing.length > 0) {
+    throw new ForbiddenError(`Cannot grant permissions you do not have: ${missing.join(', ')}`);
+  }
+
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `${KEY_PREFIX}${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+  const [apiKey] = await DatabaseOperations.apiKeys.create({
+    user_id: owner.id,
+    name,
+    prefix,
+    key_hash: hashKey(key),
+    scopes: JSON.stringify([...new Set(scopes)]),
+    expires_at: expiresAt
+  });
+
+  logger.security('API key created', { userId: owner.id, apiKeyId: apiKey.id, scopes });
+
+  return { ...toApiKeyResponse(apiKey), key };
+};
+
+const listApiKeys = async (userId) => {
+  const apiKeys = await DatabaseOperations.apiKeys.findActiveByUserId(userId);
+  return apiKeys.map(toApiKeyResponse);
+};
+
+const revokeApiKey = async (userId, id) => {
+  const [apiKey] = await DatabaseOperations.apiKeys.revoke(id, userId);
+  if (!apiKey) {
+    throw new NotFoundError('API key');
+  }
+
+  logger.security('API key revoked', { userId, apiKeyId: id });
+};
+
+/**
+ * Resolve an API key to its owner, shaped like authenticateToken's result
+ * The key's permissions are its scopes that the owner's role still grants,
+ * so demoting or deactivating the owner narrows or disables their keys.
+ * `context` only feeds the security log.
+ */
+const authenticateApiKey = async (key, context = {}) => {
+  const match = KEY_PATTERN.exec(key);
+  const apiKeys = match ? await DatabaseOperations.apiKeys.findByPrefix(match[1]) : [];
+  const apiKey = apiKeys[0];
+
+  const hashMatches = apiKey && crypto.timingSafeEqual(
+    Buffer.from(hashKey(key), 'hex'),
+    Buffer.from(apiKey.key_hash, 'hex')
+  );
+
+  if (!hashMatches || apiKey.revoked_at) {
+    logger.security('Invalid API key used', {
+      apiKeyHash: hashKey(key).substring(0, 16),
+      apiKeyId: hashMatches ? apiKey.id : undefined,
+      ...context
+    });
+    throw new UnauthorizedError('Invalid API key');
+  }
+
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    logger.security('Expired API key used', { apiKeyId: apiKey.id, ...context });
+    throw new UnauthorizedError('API key has expired');
+  }
+
+  const users = await DatabaseOperations.users.findById(apiKey.user_id);
+  const user = users[0];
+  if (!user || !user.is_active) {
+    logger.security('API key of inactive user used', { apiKeyId: apiKey.id, userId: apiKey.user_id, ...context });
+    throw new UnauthorizedError('Invalid API key');
+  }
+
+  const rolePermissions = await getRolePermissions(user.role);
+
+  const now = new Date();
+  const touchBefore = new Date(now.getTime() - config.get('auth.apiKeys.touchInterval') * 1000);
+  DatabaseOperations.apiKeys.touch(apiKey.id, touchBefore)
+    .catch(error => logger.warn('Failed to update API key last use', { apiKeyId: apiKey.id, error: error.message }));
+
+  return {
+    id: user.id,
+    email: user.email,
+    // A key acts through its scopes only; with the owner's role, role-name
+    // checks would pass for a key whatever its scopes
+    role: null,
+    permissions: parseJson(apiKey.scopes).filter(scope => rolePermissions.includes(scope)),
+    emailVerified: Boolean(user.email_verified_at),
+    sessionId: null,
+    apiKeyId: apiKey.id
+  };
+};
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,245 @@
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const { RedisOperations } = require('../config/redis');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../middleware/errorHandler');
+const { createOrder, toCents, fromCents } = require('./orderService');
+
+const cartTtlSeconds = () => config.get('cart.ttlSeconds');
+
+// Redis store: one hash per user, field = product ID, value = serialized item
+const redisCartStore = {
+  key: (userId) => `cart:${userId}`,
+
+  load: async (userId) => {
+    const hash = await RedisOperations.hGetAll(redisCartStore.key(userId));
+    const items = {};
+    for (const [productId, value] of Object.entries(hash || {})) {
+      items[productId] = JSON.parse(value);
+    }
+    return items;
+  },
+
+  saveItem: async (userId, productId, item) => {
+    const key = redisCartStore.key(userId);
+    await RedisOperations.hSet(key, productId, JSON.stringify(item));
+    await RedisOperations.expire(key, cartTtlSeconds());
+  },
+
+  removeItem: async (userId, productId) => {
+    const key = redisCartStore.key(userId);
+    await RedisOperations.hDel(key, productId);
+    await RedisOperations.expire(key, cartTtlSeconds());
+  },
+
+  clear: async (userId) => {
+    await RedisOperations.del(redisCartStore.key(userId));
+  }
+};
+
+// Database store: one row per user with the same item layout as the Redis hash
+const databaseCartStore = {
+  load: async (userId) => {
+    const carts = await DatabaseOperations.carts.findByUserId(userId);
+    if (carts.length === 0) {
+      return {};
+    }
+
+    const cart = carts[0];
+    if (new Date(cart.expires_at) <= new Date()) {
+      await DatabaseOperations.carts.delete(userId);
+      return {};
+    }
+
+    return typeof cart.items === 'string' ? JSON.parse(cart.items) : cart.items;
+  },
+
+  save: async (userId, items) => {
+    await DatabaseOperations.carts.upsert({
+      user_id: userId,
+      items: JSON.stringify(items),
+      expires_at: new Date(Date.now() + cartTtlSeconds() * 1000),
+      updated_at: new Date()
+    });
+  },
+
+  saveItem: async (userId, productId, item) => {
+    const items = await databaseCartStore.load(userId);
+    items[productId] = item;
+    await databaseCartStore.save(userId, items);
+  },
+
+  removeItem: async (userId, productId) => {
+    const items = await databaseCartStore.load(userId);
+    delete items[productId];
+    await databaseCartStore.save(userId, items);
+  },
+
+  clear: async (userId) => {
+    await DatabaseOperations.carts.delete(userId);
+  }
+};
+
+const getStore = () => (config.get('redis.enabled') ? redisCartStore : databaseCartStore);
+
+const findActiveProduct = async (productId) => {
+  const products = await DatabaseOperations.products.findById(productId);
+  if (products.length === 0 || !products[0].is_active) {
+    throw new NotFoundError('Product');
+  }
+  return products[0];
+};
+
+// Cart contents enriched with current product data
+const getCart = async (userId) => {
+  const items = await getStore().load(userId);
+  const productIds = Object.keys(items);
+  const products = productIds.length > 0
+    ? await DatabaseOperations.products.findByIds(productIds)
+    : [];
+  const productsById = new Map(products.map(product => [String(product.id), product]));
+
+  let subtotalCents = 0;
+  const lines = productIds.map((productId) => {
+    const item = items[productId];
+    const product = productsById.get(productId);
+    const available = Boolean(product && product.is_active);
+    const currentPriceCents = available ? toCents(product.price) : null;
+
+    if (available) {
+      subtotalCents += currentPriceCents * item.quantity;
+    }
+
+    return {
+      productId,
+      name: product ? product.name : null,
+      quantity: item.quantity,
+      unitPrice: available ? fromCents(currentPriceCents) : null,
+      priceWhenAdded: item.unitPrice,
+      priceChanged: available && toCents(item.unitPrice) !== currentPriceCents,
+      available,
+      inStock: available && product.stock_quantity >= item.quantity,
+      addedAt: item.addedAt
+    };
+  });
+
+  return {
+    items: lines,
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: fromCents(subtotalCents)
+  };
+};
+
+const addItem = async (userId, productId, quantity) => {
+  const store = getStore();
+  const product = await findActiveProduct(productId);
+  const items = await store.load(userId);
+  const existing = items[productId];
+
+  if (!existing && Object.keys(items).length >= config.get('cart.maxItems')) {
+    throw new ValidationError(`Cart cannot contain more than ${config.get('cart.maxItems')} products`);
+  }
+
+  await store.saveItem(userId, productId, {
+    quantity: (existing ? existing.quantity : 0) + quantity,
+    unitPrice: parseFloat(product.price),
+    addedAt: existing ? existing.addedAt : new Date().toISOString()
+  });
+
+  return getCart(userId);
+};
+
+const updateItem = async (userId, productId, quantity) => {
+  const store = getStore();
+  const items = await store.load(userId);
+
+  if (!items[productId]) {
+    throw new NotFoundError('Cart item');
+  }
+
+  await store.saveItem(userId, productId, { ...items[productId], quantity });
+  return getCart(userId);
+};
+
+const removeItem = async (userId, productId) => {
+  const store = getStore();
+  const items = await store.load(userId);
+
+  if (!items[productId]) {
+    throw new NotFoundError('Cart item');
+  }
+
+  await store.removeItem(userId, productId);
+  return getCart(userId);
+};
+
+const clearCart = async (userId) => {
+  await getStore().clear(userId);
+};
+
+// Turn the cart into an order after revalidating prices against the catalogue.
+// Stock is revalidated under row locks by createOrder.
+const checkout = async (userId, { shippingAddress, notes, acceptPriceChanges = false } = {}) => {
+  const store = getStore();
+  const items = await store.load(userId);
+  const productIds = Object.keys(items);
+
+  if (productIds.length === 0) {
+    throw new ValidationError('Cart is empty');
+  }
+
+  const products = await DatabaseOperations.products.findByIds(productIds);
+  const productsById = new Map(products.map(product => [String(product.id), product]));
+
+  const priceChanges = productIds
+    .filter((productId) => {
+      const product = productsById.get(productId);
+      return product && toCents(product.price) !== toCents(items[productId].unitPrice);
+    })
+    .map(productId => ({
+      productId,
+      previousPrice: items[productId].unitPrice,
+      currentPrice: parseFloat(productsById.get(productId).price)
+    }));
+
+  if (priceChanges.length > 0 && !acceptPriceChanges) {
+    // Refresh the snapshots so the customer can confirm the new prices
+    for (const change of priceChanges) {
+      await store.saveItem(userId, change.productId, {
+        ...items[change.productId],
+        unitPrice: change.currentPrice
+      });
+    }
+    throw new ConflictError('Prices of some cart items have changed', priceChanges);
+  }
+
+  const order = await createOrder(
+    userId,
+    productIds.map(productId => ({ productId, quantity: items[productId].quantity })),
+    { shippingAddress, notes }
+  );
+
+  await store.clear(userId);
+
+  logger.business('cart_checked_out', {
+    userId,
+    orderId: order.id,
+    itemCount: order.item_count,
+    priceChangesAccepted: priceChanges.length
+  });
+
+  return order;
+};
+
+module.exports = {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  checkout
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const { ValidationError } = require('../middleware/errorHandler');
+const { notify, EMAIL_VERIFICATION_TYPE } = require('./notificationService');
+
+const PURPOSE = 'email_verification';
+
+// Derived from the JWT secret so a verification link can never pass as an
+// access token, and vice versa
+const signingKey = () => crypto.createHmac('sha256', config.get('jwt.secret')).update(PURPOSE).digest();
+
+/**
+ * Signed, stateless verification token
+ * It carries the address it was issued for, so it stops working if the
+ * account's email changes.
+ */
+const createVerificationToken = (user) => {
+  return jwt.sign(
+    { sub: user.id, email: user.email, purpose: PURPOSE },
+    signingKey(),
+    { expiresIn: config.get('auth.emailVerification.tokenTtl') }
+  );
+};
+
+const buildVerificationUrl = (token) => {
+  const url = new URL(config.get('auth.emailVerification.url'));
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+const isEmailVerified = (user) => Boolean(user.email_verified_at);
+
+// Whether a user whose address is not verified yet may log in at all
+const canLogInUnverified = () => config.get('auth.emailVerification.unverifiedAccess') !== 'none';
+
+const sendVerificationEmail = async (user) => {
+  const results = await notify(user.id, EMAIL_VERIFICATION_TYPE, {
+    verificationUrl: buildVerificationUrl(createVerificationToken(user)),
+    expiresInHours: Math.round(config.get('auth.emailVerification.tokenTtl') / 3600)
+  });
+
+  if (!results.some(result => result.status === 'sent')) {
+    logger.warn('Verification email could not be sent', { userId: user.id, results });
+  }
+};
+
+/**
+ * Send a new link to the account with this address
+ * Unknown, inactive and already verified accounts are only logged, so callers
+ * can answer every request the same way.
+ */
+const resendVerificationEmail = async (email, { ip } = {}) => {
+  const users = await DatabaseOperations.users.findByEmail(email);
+  if (users.length === 0 || !users[0].is_active || isEmailVerified(users[0])) {
+    logger.info('Verification email not resent', { email, ip });
+    return;
+  }
+
+  await sendVerificationEmail(users[0]);
+  logger.userActivity(users[0].id, 'verification_email_resent', { ip });
+};
+
+// Mark the address in a valid link as verified; following a link twice is harmless
+const verifyEmail = async (token, { ip } = {}) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, signingKey());
+  } catch (error) {
+    logger.security('Invalid email verification token used', { error: error.message, ip });
+    throw new ValidationError('Invalid or expired verification link');
+  }
+
+  const users = claims.purpose === PURPOSE ? await DatabaseOperations.users.findById(claims.sub) : [];
+  if (users.length === 0 || users[0].email !== claims.email) {
+    logger.security('Email verification token does not match an account', { userId: claims.sub, ip });
+    throw new ValidationError('Invalid or expired verification link');
+  }
+
+  const user = users[0];
+  if (isEmailVerified(user)) {
+    return { user, alreadyVerified: true };
+  }
+
+  const [updatedUser] = await DatabaseOperations.users.update(user.id, {
+    email_verified_at: new Date(),
+    updated_at: new Date()
+  });
+
+  logger.userActivity(user.id, 'email_verified', { email: user.email, ip });
+
+  return { user: updatedUser, alreadyVerified: false };
+};
+
+module.exports = {
+  isEmailVerified,
+  canLogInUnverified,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail
+};
@@ -0,0 +1,45 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+// Domain events other modules can react to without the emitter knowing about them
+const EVENTS = {
+  USER_REGISTERED: 'user.registered',
+  USER_PASSWORD_CHANGED: 'user.password_changed',
+  ORDER_CREATED: 'order.created',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  PRODUCT_UPDATED: 'product.updated'
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(50);
+
+// Publish an event. Handlers run asynchronously and never affect the publisher.
+const publish = (event, payload = {}) => {
+  setImmediate(() => {
+    emitter.emit(event, {
+      event,
+      occurredAt: new Date().toISOString(),
+      ...payload
+    });
+  });
+};
+
+const subscribe = (event, handler) => {
+  emitter.on(event, async (payload) => {
+    try {
+      await handler(payload);
+    } catch (error) {
+      logger.error('Event handler failed', {
+        event,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  });
+};
+
+module.exports = {
+  EVENTS,
+  publish,
+  subscribe
+};
@@ -0,0 +1,92 @@
+const axios = require('axios');
+const config = require('config');
+const logger = require('../utils/logger');
+const { healthChecks } = require('../middleware/monitoring');
+const { getRequestId } = require('../utils/requestContext');
+
+const getHealthConfig = () => {
+  if (!config.has('health.externalServices')) {
+    return { enabled: false, services: [] };
+  }
+  return config.get('health.externalServices');
+};
+
+// Probe a single service. Never throws: failures are reported as unhealthy.
+const checkService = async (service, defaultTimeout) => {
+  const timeout = service.timeout || defaultTimeout;
+  const critical = service.critical === true;
+  const startTime = Date.now();
+
+  try {
+    const requestId = getRequestId();
+    const response = await axios.get(service.url, {
+      timeout,
+      headers: requestId ? { 'X-Request-ID': requestId } : {}
+    });
+
+    return {
+      name: service.name,
+      status: 'healthy',
+      critical,
+      statusCode: response.status,
+      duration: `${Date.now() - startTime}ms`
+    };
+  } catch (error) {
+    const reason = error.code === 'ECONNABORTED' ? `Timed out after ${timeout}ms` : error.message;
+
+    logger.warn('External service health check failed', {
+      service: service.name,
+      critical,
+      error: reason
+    });
+
+    return {
+      name: service.name,
+      status: 'unhealthy',
+      critical,
+      statusCode: error.response?.status,
+      duration: `${Date.now() - startTime}ms`,
+      error: reason
+    };
+  }
+};
+
+/**
+ * Check every service listed in health.externalServices concurrently
+ *
+ * Overall status is 'unhealthy' when a critical service is down, 'degraded'
+ * when only non-critical services are down, and 'healthy' otherwise.
+ */
+const checkExternalServicesHealth = async () => {
+  const healthConfig = getHealthConfig();
+
+  if (!healthConfig.enabled) {
+    return { status: 'disabled', services: [], timestamp: new Date().toISOString() };
+  }
+
+  const services = await Promise.all(
+    (healthConfig.services || []).map(service => checkService(service, healthConfig.timeout))
+  );
+
+  services.forEach(service => {
+    healthChecks.external_service.set(
+      { service: service.name, critical: String(service.critical) },
+      service.status === 'healthy' ? 1 : 0
+    );
+  });
+
+  const criticalDown = services.some(service => service.critical && service.status !== 'healthy');
+  const anyDown = services.some(service => service.status !== 'healthy');
+
+  healthChecks.external_api.set(criticalDown ? 0 : 1);
+
+  return {
+    status: criticalDown ? 'unhealthy' : (anyDown ? 'degraded' : 'healthy'),
+    services,
+    timestamp: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  checkExternalServicesHealth
+};
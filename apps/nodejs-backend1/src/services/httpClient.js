@@ -0,0 +1,226 @@
+const axios = require('axios');
+const config = require('config');
+const logger = require('../utils/logger');
+const { CircuitBreaker, CIRCUIT_STATES } = require('../utils/circuitBreaker');
+const { ExternalServiceError } = require('../middleware/errorHandler');
+const { externalServiceMetrics } = require('../middleware/monitoring');
+const { getRequestId } = require('../utils/requestContext');
+
+const CIRCUIT_STATE_VALUES = {
+  [CIRCUIT_STATES.CLOSED]: 0,
+  [CIRCUIT_STATES.HALF_OPEN]: 1,
+  [CIRCUIT_STATES.OPEN]: 2
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Service settings layered over the shared externalServices defaults
+const resolveServiceConfig = (serviceName, overrides = {}) => {
+  const key = `externalServices.${serviceName}`;
+  if (!config.has(key)) {
+    throw new Error(`External service "${serviceName}" is not configured`);
+  }
+
+  const defaults = config.get('externalServices');
+  const service = { ...config.get(key), ...overrides };
+
+  return {
+    ...service,
+    timeout: service.timeout || defaults.timeout,
+    retries: service.retries !== undefined ? service.retries : defaults.retries,
+    retryDelay: service.retryDelay || defaults.retryDelay,
+    circuitBreaker: { ...defaults.circuitBreaker, ...service.circuitBreaker }
+  };
+};
+
+// Timeouts, connection errors, 5xx and 429 responses are worth retrying and
+// count against the circuit; other 4xx responses are the caller's to handle
+const isTransientError = (error) => {
+  if (error.circuitOpen) {
+    return false;
+  }
+  if (!error.response) {
+    return true;
+  }
+  return error.response.status >= 500 || error.response.status === 429;
+};
+
+const hasHeader = (headers = {}, name) => {
+  return Object.keys(headers).some(header => header.toLowerCase() === name.toLowerCase());
+};
+
+// A request may only be repeated if doing so cannot duplicate side effects
+const isRetryable = (requestConfig) => {
+  const method = (requestConfig.method || 'get').toLowerCase();
+  return IDEMPOTENT_METHODS.includes(method) || hasHeader(requestConfig.headers, 'Idempotency-Key');
+};
+
+// Exponential backoff with a little jitter so clients don't retry in lockstep
+const backoffDelay = (baseDelay, attemptNo) => {
+  const exponential = baseDelay * 2 ** (attemptNo - 1);
+  return exponential + Math.floor(Math.random() * baseDelay / 2);
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Axios client for one configured external service
+ *
+ * Applies the service timeout, retries transient failures of idempotent
+ * requests, routes every call through a circuit breaker and forwards the
+ * current request ID. Transport failures surface as ExternalServiceError;
+ * non-transient HTTP errors are rethrown as-is so callers can read the response.
+ */
+class ServiceClient {
+  constructor(serviceName, settings) {
+    this.name = serviceName;
+    this.settings = settings;
+
+    this.http = axios.create({
+      baseURL: settings.url,
+      timeout: settings.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(settings.apiKey && { Authorization: `Bearer ${settings.apiKey}` })
+      }
+    });
+
+    this.http.interceptors.request.use((requestConfig) => {
+      const requestId = getRequestId();
+      if (requestId && !hasHeader(requestConfig.headers, 'X-Request-ID')) {
+        requestConfig.headers['X-Request-ID'] = requestId;
+      }
+      return requestConfig;
+    });
+
+    this.breaker = new CircuitBreaker(serviceName, settings.circuitBreaker, {
+      onStateChange: (state) => {
+        externalServiceMetrics.circuitState.set({ service: serviceName }, CIRCUIT_STATE_VALUES[state]);
+      }
+    });
+    externalServiceMetrics.circuitState.set({ service: serviceName }, CIRCUIT_STATE_VALUES[this.breaker.getState()]);
+  }
+
+  async request(requestConfig) {
+    const method = (requestConfig.method || 'get').toUpperCase();
+    const endpoint = requestConfig.url;
+    const retries = isRetryable(requestConfig) ? this.settings.retries : 0;
+
+    const attempt = async () => {
+      let lastError;
+
+      for (let attemptNo = 0; attemptNo <= retries; attemptNo++) {
+        if (attemptNo > 0) {
+          externalServiceMetrics.retriesTotal.inc({ service: this.name });
+          await delay(backoffDelay(this.settings.retryDelay, attemptNo));
+        }
+
+        const startTime = Date.now();
+        try {
+          const response = await this.http.request(requestConfig);
+          this.recordAttempt(method, endpoint, startTime, response.status);
+          return response;
+        } catch (error) {
+          this.recordAttempt(method, endpoint, startTime, error.response?.status, error);
+          lastError = error;
+
+          if (!isTransientError(error)) {
+            throw error;
+          }
+        }
+      }
+
+      throw lastError;
+    };
+
+    try {
+      const response = await this.breaker.execute(attempt, { isFailure: isTransientError });
+      externalServiceMetrics.requestsTotal.inc({ service: this.name, outcome: 'success' });
+      return response;
+    } catch (error) {
+      if (error.circuitOpen) {
+        externalServiceMetrics.requestsTotal.inc({ service: this.name, outcome: 'rejected' });
+        throw error;
+      }
+
+      if (!isTransientError(error)) {
+        externalServiceMetrics.requestsTotal.inc({ service: this.name, outcome: 'client_error' });
+        throw error;
+      }
+
+      externalServiceMetrics.requestsTotal.inc({ service: this.name, outcome: 'failure' });
+
+      const reason = error.code === 'ECONNABORTED' ? 'Request timed out' : error.message;
+      const serviceError = new ExternalServiceError(this.name, reason, error.response ? 502 : 503);
+      serviceError.cause = error;
+      throw serviceError;
+    }
+  }
+
+  recordAttempt(method, endpoint, startTime, statusCode, error = null) {
+    const duration = Date.now() - startTime;
+
+    externalServiceMetrics.requestDuration.observe({
+      service: this.name,
+      method,
+      status_code: statusCode || (error && error.code === 'ECONNABORTED' ? 'timeout' : 'error')
+    }, duration / 1000);
+
+    logger.apiCall(this.name, endpoint, method, duration, statusCode, error);
+  }
+
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'get', url });
+  }
+
+  delete(url, options = {}) {
+    return this.request({ ...options, method: 'delete', url });
+  }
+
+  post(url, data, options = {}) {
+    return this.request({ ...options, method: 'post', url, data });
+  }
+
+  put(url, data, options = {}) {
+    return this.request({ ...options, method: 'put', url, data });
+  }
+
+  patch(url, data, options = {}) {
+    return this.request({ ...options, method: 'patch', url, data });
+  }
+
+  getCircuitState() {
+    return this.breaker.getState();
+  }
+
+  // Longest a retried request can take, counting every attempt's timeout and
+  // the largest backoff before each retry
+  getMaxRequestDuration() {
+    const { timeout, retries, retryDelay } = this.settings;
+    let total = timeout * (retries + 1);
+    for (let attemptNo = 1; attemptNo <= retries; attemptNo++) {
+      total += retryDelay * 2 ** (attemptNo - 1) + retryDelay / 2;
+    }
+    return total;
+  }
+}
+
+const createServiceClient = (serviceName, overrides = {}) => {
+  return new ServiceClient(serviceName, resolveServiceConfig(serviceName, overrides));
+};
+
+// Clients are shared per service so every caller sees the same circuit
+const clients = new Map();
+
+const getServiceClient = (serviceName) => {
+  if (!clients.has(serviceName)) {
+    clients.set(serviceName, createServiceClient(serviceName));
+  }
+  return clients.get(serviceName);
+};
+
+module.exports = {
+  createServiceClient,
+  getServiceClient,
+  isTransientError
+};
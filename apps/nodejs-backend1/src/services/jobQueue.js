@@ -0,0 +1,456 @@
+const config = require('config');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { RedisOperations } = require('../config/redis');
+const { jobMetrics } = require('../middleware/monitoring');
+const { runWithContext, getRequestId } = require('../utils/requestContext');
+
+const keys = {
+  jobs: (queue) => `queue:${queue}:jobs`,
+  waiting: (queue) => `queue:${queue}:waiting`,
+  processing: (queue) => `queue:${queue}:processing`,
+  leases: (queue) => `queue:${queue}:leases`,
+  delayed: (queue) => `queue:${queue}:delayed`,
+  dead: (queue) => `queue:${queue}:dead`
+};
+
+// Redis store: job bodies live in a hash and only IDs move between lists.
+// Claiming is an atomic RPOPLPUSH into the processing list, so a job is never
+// lost between being taken and acknowledged; each claim carries a lease and
+// jobs whose lease runs out (e.g. the pod died) are put back on the queue.
+const redisJobStore = {
+  save: (job) => RedisOperations.hSet(keys.jobs(job.queue), job.id, JSON.stringify(job)),
+
+  // Stores the job unless one with its ID exists; resolves to whether it did
+  saveNew: (job) => RedisOperations.hSetNX(keys.jobs(job.queue), job.id, JSON.stringify(job)),
+
+  load: async (queue, id) => {
+    const value = await RedisOperations.hGet(keys.jobs(queue), id);
+    return value ? JSON.parse(value) : null;
+  },
+
+  remove: (queue, id) => RedisOperations.hDel(keys.jobs(queue), id),
+
+  push: (queue, id) => RedisOperations.lPush(keys.waiting(queue), id),
+
+  claim: async (queue, leaseMs) => {
+    const id = await RedisOperations.rPopLPush(keys.waiting(queue), keys.processing(queue));
+    if (id) {
+      await RedisOperations.hSet(keys.leases(queue), id, String(Date.now() + leaseMs));
+    }
+    return id;
+  },
+
+  release: async (queue, id) => {
+    await RedisOperations.lRem(keys.processing(queue), 1, id);
+    await RedisOperations.hDel(keys.leases(queue), id);
+  },
+
+  schedule: (queue, id, runAt) => RedisOperations.zAdd(keys.delayed(queue), runAt, id),
+
+  promoteDue: async (queue, now) => {
+    const ids = await RedisOperations.zRangeByScore(keys.delayed(queue), 0, now, 100);
+    let promoted = 0;
+
+    for (const id of ids) {
+      // Only the pod that manages to remove the entry promotes it
+      if (await RedisOperations.zRem(keys.delayed(queue), id)) {
+        await RedisOperations.lPush(keys.waiting(queue), id);
+        promoted++;
+      }
+    }
+    return promoted;
+  },
+
+  recoverExpired: async (queue, now, leaseMs) => {
+    const ids = await RedisOperations.lRange(keys.processing(queue), 0, -1);
+    const leases = await RedisOperations.hGetAll(keys.leases(queue));
+    let recovered = 0;
+
+    for (const id of ids) {
+      const expiresAt = parseInt(leases[id]);
+
+      // A claim writes its lease just after moving the ID; give it a full lease
+      if (!expiresAt) {
+        await RedisOperations.hSet(keys.leases(queue), id, String(now + leaseMs));
+        continue;
+      }
+
+      if (expiresAt <= now && await RedisOperations.lRem(keys.processing(queue), 1, id)) {
+        await RedisOperations.hDel(keys.leases(queue), id);
+        await RedisOperations.lPush(keys.waiting(queue), id);
+        recovered++;
+      }
+    }
+    return recovered;
+  },
+
+  bury: (queue, id) => RedisOperations.lPush(keys.dead(queue), id),
+
+  counts: async (queue) => {
+    const [waiting, processing, delayed, dead] = await Promise.all([
+      RedisOperations.lLen(keys.waiting(queue)),
+      RedisOperations.lLen(keys.processing(queue)),
+      RedisOperations.zCard(keys.delayed(queue)),
+      RedisOperations.lLen(keys.dead(queue))
+    ]);
+    return { waiting, processing, delayed, dead };
+  }
+};
+
+// In-process store used when Redis is disabled. Same semantics, but jobs do
+// not survive a restart and are not shared between pods.
+const memory = {
+  jobs: new Map(),
+  waiting: new Map(),
+  processing: new Map(),
+  delayed: new Map(),
+  dead: new Map()
+};
+
+const memoryList = (collection, queue, factory = () => []) => {
+  if (!collection.has(queue)) {
+    collection.set(queue, factory());
+  }
+  return collection.get(queue);
+};
+
+const memoryJobStore = {
+  save: async (job) => {
+    memory.jobs.set(`${job.queue}:${job.id}`, JSON.stringify(job));
+  },
+
+  saveNew: async (job) => {
+    if (memory.jobs.has(`${job.queue}:${job.id}`)) {
+      return false;
+    }
+    memory.jobs.set(`${job.queue}:${job.id}`, JSON.stringify(job));
+    return true;
+  },
+
+  load: async (queue, id) => {
+    const value = memory.jobs.get(`${queue}:${id}`);
+    return value ? JSON.parse(value) : null;
+  },
+
+  remove: async (queue, id) => {
+    memory.jobs.delete(`${queue}:${id}`);
+  },
+
+  push: async (queue, id) => {
+    memoryList(memory.waiting, queue).unshift(id);
+  },
+
+  claim: async (queue, leaseMs) => {
+    const id = memoryList(memory.waiting, queue).pop();
+    if (!id) {
+      return null;
+    }
+    memoryList(memory.processing, queue, () => new Map()).set(id, Date.now() + leaseMs);
+    return id;
+  },
+
+  release: async (queue, id) => {
+    memoryList(memory.processing, queue, () => new Map()).delete(id);
+  },
+
+  schedule: async (queue, id, runAt) => {
+    memoryList(memory.delayed, queue, () => new Map()).set(id, runAt);
+  },
+
+  promoteDue: async (queue, now) => {
+    const delayed = memoryList(memory.delayed, queue, () => new Map());
+    let promoted = 0;
+
+    for (const [id, runAt] of delayed) {
+      if (runAt <= now) {
+        delayed.delete(id);
+        memoryList(memory.waiting, queue).unshift(id);
+        promoted++;
+      }
+    }
+    return promoted;
+  },
+
+  recoverExpired: async (queue, now) => {
+    const processing = memoryList(memory.processing, queue, () => new Map());
+    let recovered = 0;
+
+    for (const [id, expiresAt] of processing) {
+      if (expiresAt <= now) {
+        processing.delete(id);
+        memoryList(memory.waiting, queue).unshift(id);
+        recovered++;
+      }
+    }
+    return recovered;
+  },
+
+  bury: async (queue, id) => {
+    memoryList(memory.dead, queue).unshift(id);
+  },
+
+  counts: async (queue) => ({
+    waiting: memoryList(memory.waiting, queue).length,
+    processing: memoryList(memory.processing, queue, () => new Map()).size,
+    delayed: memoryList(memory.delayed, queue, () => new Map()).size,
+    dead: memoryList(memory.dead, queue).length
+  })
+};
+
+const getStore = () => (config.get('redis.enabled') ? redisJobStore : memoryJobStore);
+
+// Per-queue settings layered over jobs.defaults
+const queueSettings = (queue) => {
+  const queueKey = `jobs.queues.${queue}`;
+  return {
+    ...config.get('jobs.defaults'),
+    ...(config.has(queueKey) ? config.get(queueKey) : {})
+  };
+};
+
+// Exponential backoff, capped so a long-failing job is still retried regularly
+const retryDelay = (settings, attempts) => {
+  return Math.min(settings.backoffDelay * 2 ** (attempts - 1), settings.maxBackoffDelay);
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const handlers = new Map();
+const workers = {
+  running: false,
+  loops: [],
+  inFlight: new Map(),
+  scheduler: null
+};
+
+const registerHandler = (queue, handler) => {
+  handlers.set(queue, handler);
+};
+
+/**
+ * Add a job to a queue
+ *
+ * - delay: milliseconds to wait before the job becomes available
+ * - maxAttempts: overrides the queue setting; failed attempts are retried with
+ *   exponential backoff and the job is dead-lettered once they run out
+ * - jobId: a deterministic ID; while a job with that ID is still stored (not
+ *   yet completed), enqueuing it again does nothing and returns null
+ */
+const enqueue = async (queue, payload, { delay: delayMs = 0, maxAttempts, jobId } = {}) => {
+  const job = {
+    id: jobId || uuidv4(),
+    queue,
+    payload,
+    attempts: 0,
+    maxAttempts: maxAttempts || queueSettings(queue).maxAttempts,
+    requestId: getRequestId(),
+    createdAt: new Date().toISOString()
+  };
+
+  const store = getStore();
+  if (jobId) {
+    if (!await store.saveNew(job)) {
+      logger.debug('Job already enqueued', { queue, jobId });
+      return null;
+    }
+  } else {
+    await store.save(job);
+  }
+
+  if (delayMs > 0) {
+    await store.schedule(queue, job.id, Date.now() + delayMs);
+  } else {
+    await store.push(queue, job.id);
+  }
+
+  logger.info('Job enqueued', { queue, jobId: job.id, delay: delayMs });
+  return job;
+};
+
+const runJob = async (queue, id) => {
+  const store = getStore();
+  const job = await store.load(queue, id);
+
+  if (!job) {
+    logger.warn('Dropping job with no stored body', { queue, jobId: id });
+    await store.release(queue, id);
+    return;
+  }
+
+  const handler = handlers.get(queue);
+  const settings = queueSettings(queue);
+  const startTime = Date.now();
+  job.attempts += 1;
+
+  try {
+    await runWithContext({ requestId: job.requestId, jobId: job.id }, () => handler(job.payload, job));
+
+    await store.release(queue, id);
+    await store.remove(queue, id);
+
+    jobMetrics.processed.inc({ queue, result: 'completed' });
+    logger.info('Job completed', {
+      queue,
+      jobId: job.id,
+      attempts: job.attempts,
+      duration: `${Date.now() - startTime}ms`
+    });
+  } catch (error) {
+    job.lastError = error.message;
+    job.failedAt = new Date().toISOString();
+    await store.save(job);
+
+    // Reschedule or dead-letter before releasing the claim: a crash in
+    // between can run the job twice, but never loses it
+    const retryable = error.retryable !== false && job.attempts < job.maxAttempts;
+
+    if (retryable) {
+      const wait = retryDelay(settings, job.attempts);
+      await store.schedule(queue, id, Date.now() + wait);
+      await store.release(queue, id);
+
+      jobMetrics.processed.inc({ queue, result: 'retried' });
+      logger.warn('Job failed, retrying', {
+        queue,
+        jobId: job.id,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        retryIn: `${wait}ms`,
+        error: error.message
+      });
+    } else {
+      await store.bury(queue, id);
+      await store.release(queue, id);
+
+      jobMetrics.processed.inc({ queue, result: 'dead' });
+      logger.error('Job moved to dead-letter queue', {
+        queue,
+        jobId: job.id,
+        attempts: job.attempts,
+        error: error.message
+      });
+    }
+  } finally {
+    jobMetrics.duration.observe({ queue }, (Date.now() - startTime) / 1000);
+  }
+};
+
+const workerLoop = async (queue) => {
+  const { pollInterval, leaseTimeout } = config.get('jobs');
+
+  while (workers.running) {
+    let id = null;
+    try {
+      id = await getStore().claim(queue, leaseTimeout);
+    } catch (error) {
+      logger.error('Failed to claim job', { queue, error: error.message });
+    }
+
+    if (!id) {
+      await delay(pollInterval);
+      continue;
+    }
+
+    const run = runJob(queue, id).catch(error => {
+      logger.error('Job processing failed', { queue, jobId: id, error: error.message });
+    });
+
+    workers.inFlight.set(id, { queue, run });
+    await run;
+    workers.inFlight.delete(id);
+  }
+};
+
+// Promote due delayed jobs, recover expired claims and publish queue depth
+const runScheduler = async () => {
+  const store = getStore();
+  const now = Date.now();
+  const { leaseTimeout } = config.get('jobs');
+
+  for (const queue of handlers.keys()) {
+    try {
+      await store.promoteDue(queue, now);
+
+      const recovered = await store.recoverExpired(queue, now, leaseTimeout);
+      if (recovered > 0) {
+        logger.warn('Recovered jobs with expired leases', { queue, count: recovered });
+      }
+
+      const counts = await store.counts(queue);
+      Object.entries(counts).forEach(([state, count]) => {
+        jobMetrics.queueDepth.set({ queue, state }, count);
+      });
+    } catch (error) {
+      logger.error('Job scheduler failed', { queue, error: error.message });
+    }
+  }
+};
+
+const startWorkers = () => {
+  if (workers.running) {
+    return;
+  }
+
+  if (!config.get('redis.enabled')) {
+    logger.warn('Redis is disabled; background jobs are kept in memory and lost on restart');
+  }
+
+  workers.running = true;
+
+  for (const queue of handlers.keys()) {
+    const { concurrency } = queueSettings(queue);
+    for (let i = 0; i < concurrency; i++) {
+      workers.loops.push(workerLoop(queue));
+    }
+  }
+
+  workers.scheduler = setInterval(runScheduler, config.get('jobs.pollInterval'));
+
+  logger.info('Job workers started', {
+    queues: [...handlers.keys()].map(queue => ({ queue, concurrency: queueSettings(queue).concurrency }))
+  });
+};
+
+// Stop taking new jobs and wait for in-flight ones. Jobs still running when
+// the timeout expires are put back on their queue for another pod.
+const drainWorkers = async (timeoutMs) => {
+  if (!workers.running) {
+    return;
+  }
+
+  workers.running = false;
+  clearInterval(workers.scheduler);
+
+  logger.info('Draining job workers...', { inFlight: workers.inFlight.size });
+
+  let timer;
+  const timedOut = await Promise.race([
+    Promise.all(workers.loops).then(() => false),
+    new Promise(resolve => { timer = setTimeout(() => resolve(true), timeoutMs); })
+  ]);
+  clearTimeout(timer);
+
+  if (timedOut) {
+    const store = getStore();
+    for (const [id, { queue }] of workers.inFlight) {
+      await store.push(queue, id);
+      await store.release(queue, id);
+    }
+    logger.warn('Job drain timed out; requeued unfinished jobs', { count: workers.inFlight.size });
+  }
+
+  workers.loops = [];
+  workers.inFlight.clear();
+  logger.info('Job workers drained');
+};
+
+const getQueueStats = async (queue) => getStore().counts(queue);
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  startWorkers,
+  drainWorkers,
+  getQueueStats
+};
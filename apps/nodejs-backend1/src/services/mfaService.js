@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ConflictError
+} = require('../middleware/errorHandler');
+const { base32Encode, generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+const CHALLENGE_PURPOSE = 'mfa_challenge';
+
+// MFA_ENCRYPTION_KEY should be set in production; without it the key is
+// derived from the JWT secret, and rotating that secret breaks enrolments
+const encryptionKey = () => {
+  const configured = config.get('auth.mfa.encryptionKey');
+  return configured
+    ? crypto.createHash('sha256').update(configured).digest()
+    : crypto.createHmac('sha256', config.get('jwt.secret')).update('mfa_secret').digest();
+};
+
+// Derived from the JWT secret so a challenge token can never pass as an access token
+const challengeKey = () => crypto.createHmac('sha256', config.get('jwt.secret')).update(CHALLENGE_PURPOSE).digest();
+
+// AES-256-GCM; stored as base64 "iv.tag.ciphertext"
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Codes are compared case-insensitively and without the separator
+const hashBackupCode = (code) => {
+  const normalized = code.toUpperCase().replace(/[\s-]/g, '');
+  return crypto.createHmac('sha256', encryptionKey()).update(normalized).digest('hex');
+};
+
+// Ten base32 characters (50 bits) shown as XXXXX-XXXXX
+const generateBackupCode = () => {
+  const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+const totpOptions = () => ({ window: config.get('auth.mfa.window') });
+
+const findEnrolment = async (userId) => {
+  const rows = await DatabaseOperations.userMfa.findByUserId(userId);
+  return rows[0] || null;
+};
+
+const isMfaEnabled = async (userId) => {
+  const enrolment = await findEnrolment(userId);
+  return Boolean(enrolment && enrolment.enabled_at);
+};
+
+// Replace every backup code of the user inside a transaction; returns the plain codes
+const replaceBackupCodes = async (trx, userId) => {
+  const codes = Array.from({ length: config.get('auth.mfa.backupCodeCount') }, generateBackupCode);
+
+  await trx('user_mfa_backup_codes').where({ user_id: userId }).del();
+  await trx('user_mfa_backup_codes').insert(
+    codes.map(code => ({ user_id: userId, code_hash: hashBackupCode(code) }))
+  );
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code or an unused backup code for an enabled enrolment
+ * Each TOTP time step and each backup code is accepted once. Returns the
+ * method that matched, or null.
+ */
+const verifySecondFactor = async (enrolment, code) => {
+  const step = verifyTotp(decryptSecret(enrolment.secret_encrypted), code, totpOptions());
+  if (step !== null) {
+    const recorded = await DatabaseOperations.userMfa.recordStep(enrolment.user_id, step);
+    return recorded.length > 0 ? 'totp' : null;
+  }
+
+  const consumed = await DatabaseOperations.mfaBackupCodes.consume(enrolment.user_id, hashBackupCode(code));
+  return consumed.length > 0 ? 'backup_code' : null;
+};
+
+const getMfaStatus = async (userId) => {
+  const enrolment = await findEnrolment(userId);
+  if (!enrolment || !enrolment.enabled_at) {
+    return { enabled: false };
+  }
+
+  const { count } = await DatabaseOperations.mfaBackupCodes.countUnused(userId);
+  return {
+    enabled: true,
+    enabledAt: enrolment.enabled_at,
+    backupCodesRemaining: parseInt(count)
+  };
+};
+
+// Start (or restart) enrolment with a fresh secret; it takes effect once confirmed
+const startEnrolment = async (user) => {
+  const enrolment = await findEnrolment(user.id);
+  if (enrolment && enrolment.enabled_at) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await DatabaseOperations.userMfa.upsert(user.id, {
+    secret_encrypted: encryptSecret(secret),
+    enabled_at: null,
+    last_used_step: null,
+    updated_at: new Date()
+  });
+
+  logger.userActivity(user.id, 'mfa_enrolment_started');
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: config.get('auth.mfa.issuer')
+    })
+  };
+};
+
+// Turn MFA on with a first code from the authenticator; returns the backup codes
+const confirmEnrolment = async (user, code) => {
+  const enrolment = await findEnrolment(user.id);
+  if (!enrolment) {
+    throw new ValidationError('No pending two-factor enrolment');
+  }
+  if (enrolment.enabled_at) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const step = verifyTotp(decryptSecret(enrolment.secret_encrypted), code, totpOptions());
+  if (step === null) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  const backupCodes = await DatabaseOperations.transaction(async (trx) => {
+    await trx('user_mfa').where({ user_id: user.id }).update({
+      enabled_at: new Date(),
+      last_used_step: step,
+      updated_at: new Date()
+    });
+    return replaceBackupCodes(trx, user.id);
+  });
+
+  logger.security('Two-factor authentication enabled', { userId: user.id });
+  logger.userActivity(user.id, 'mfa_enabled');
+
+  return { backupCodes };
+};
+
+const requireEnabledEnrolment = async (userId) => {
+  const enrolment = await findEnrolment(userId);
+  if (!enrolment || !enrolment.enabled_at) {
+    throw new ConflictError('Two-factor authentication is not enabled');
+  }
+  return enrolment;
+};
+
+/**
+ * Check a code for an enabled enrolment, counting invalid ones per user
+ * After auth.mfa.maxFailedAttempts invalid codes in a row no code is checked
+ * for auth.mfa.lockoutDuration seconds, however many challenges or IPs the
+ * guesses are spread over.
+ */
+const assertSecondFactor = async (enrolment, code, context = {}) => {
+  const userId = enrolment.user_id;
+  if (enrolment.locked_until && new Date(enrolment.locked_until) > new Date()) {
+    logger.security('Two-factor code attempted while locked', { userId, ...context });
+    throw new AppError('Too many invalid authentication codes, please try again later', 429);
+  }
+
+  const method = await verifySecondFactor(enrolment, code);
+  if (!method) {
+    const { maxFailedAttempts, lockoutDuration } = config.get('auth.mfa');
+    const [updated] = await DatabaseOperations.userMfa.recordFailure(
+      userId,
+      maxFailedAttempts,
+      new Date(Date.now() + lockoutDuration * 1000)
+    );
+
+    logger.security('Invalid two-factor code', { userId, ...context });
+    if (updated && updated.locked_until && new Date(updated.locked_until) > new Date()) {
+      logger.security('Two-factor authentication locked after repeated invalid codes', { userId, ...context });
+    }
+    throw new UnauthorizedError('Invalid authentication code');
+  }
+
+  if (enrolment.failed_attempts > 0 || enrolment.locked_until) {
+    await DatabaseOperations.userMfa.resetFailures(userId);
+  }
+  return method;
+};
+
+// Needs the password and a current code (or backup code)
+const disableMfa = async (user, { password, code }, context = {}) => {
+  const enrolment = await requireEnabledEnrolment(user.id);
+
+  const users = await DatabaseOperations.users.findById(user.id);
+  if (users.length === 0 || !(await bcrypt.compare(password, users[0].password))) {
+    logger.security('Invalid password while disabling two-factor authentication', { userId: user.id, ...context });
+    throw new UnauthorizedError('Password is incorrect');
+  }
+
+  await assertSecondFactor(enrolment, code, context);
+
+  await DatabaseOperations.transaction(async (trx) => {
+    await trx('user_mfa_backup_codes').where({ user_id: user.id }).del();
+    await trx('user_mfa').where({ user_id: user.id }).del();
+  });
+
+  logger.security('Two-factor authentication disabled', { userId: user.id, ...context });
+  logger.userActivity(user.id, 'mfa_disabled', context);
+};
+
+// Invalidate all backup codes and issue new ones; needs a current code
+const regenerateBackupCodes = async (user, code, context = {}) => {
+  const enrolment = await requireEnabledEnrolment(user.id);
+  await assertSecondFactor(enrolment, code, context);
+
+  const backupCodes = await DatabaseOperations.transaction(trx => replaceBackupCodes(trx, user.id));
+
+  logger.userActivity(user.id, 'mfa_backup_codes_regenerated', context);
+
+  return { backupCodes };
+};
+
+// Short-lived proof that the password step of a login succeeded
+const createChallengeToken = (user) => {
+  return jwt.sign(
+    { sub: user.id, purpose: CHALLENGE_PURPOSE },
+    challengeKey(),
+    { expiresIn: config.get('auth.mfa.challengeTtl') }
+  );
+};
+
+/**
+ * Second login step: check the challenge token and a code
+ * Returns the user the real tokens should be issued for.
+ */
+const completeChallenge = async (challengeToken, code, context = {}) => {
+  let claims;
+  try {
+    claims = jwt.verify(challengeToken, challengeKey());
+  } catch (error) {
+    logger.security('Invalid MFA challenge token', { error: error.message, ...context });
+    throw new UnauthorizedError('Invalid or expired MFA challenge');
+  }
+
+  const users = claims.purpose === CHALLENGE_PURPOSE ? await DatabaseOperations.users.findById(claims.sub) : [];
+  if (users.length === 0 || !users[0].is_active) {
+    throw new UnauthorizedError('Invalid or expired MFA challenge');
+  }
+
+  const user = users[0];
+  const enrolment = await requireEnabledEnrolment(user.id);
+  const method = await assertSecondFactor(enrolment, code, context);
+
+  logger.userActivity(user.id, 'mfa_verified', { method, ...context });
+
+  return user;
+};
+
+module.exports = {
+  isMfaEnabled,
+  getMfaStatus,
+  startEnrolment,
+  confirmEnrolment,
+  disableMfa,
+  regenerateBackupCodes,
+  createChallengeToken,
+  completeChallenge
+};
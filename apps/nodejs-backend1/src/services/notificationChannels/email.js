@@ -0,0 +1,64 @@
+const nodemailer = require('nodemailer');
+const config = require('config');
+const logger = require('../../utils/logger');
+const { enqueue } = require('../jobQueue');
+
+const QUEUE = 'email';
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const { smtp } = config.get('notifications.channels.email');
+
+    transporter = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      ...(smtp.user && { auth: { user: smtp.user, pass: smtp.password } })
+    });
+  }
+  return transporter;
+};
+
+// Email over SMTP, sent to the user's account address from the email queue.
+// Deferrable: held back by the user's quiet hours and digest mode.
+module.exports = {
+  name: 'email',
+  QUEUE,
+  deferrable: true,
+
+  isEnabled: () => config.get('notifications.channels.email.enabled'),
+
+  send: async ({ user, notification }) => {
+    const job = await enqueue(QUEUE, {
+      userId: user.id,
+      type: notification.type,
+      to: user.email,
+      subject: notification.title,
+      text: notification.body,
+      html: notification.html
+    });
+
+    return { status: 'queued', jobId: job.id };
+  },
+
+  // Job handler
+  deliver: async ({ userId, type, to, subject, text, html }) => {
+    const startTime = Date.now();
+    const info = await getTransporter().sendMail({
+      from: config.get('notifications.channels.email.from'),
+      to,
+      subject,
+      text,
+      ...(html && { html })
+    });
+
+    logger.info('Notification email sent', {
+      userId,
+      type,
+      messageId: info.messageId,
+      duration: `${Date.now() - startTime}ms`
+    });
+  }
+};
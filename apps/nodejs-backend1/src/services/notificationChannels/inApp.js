@@ -0,0 +1,32 @@
+const config = require('config');
+const logger = require('../../utils/logger');
+const { DatabaseOperations } = require('../../config/database');
+const { publishToUser } = require('../realtime');
+
+// In-app messages stored in the notifications table and pushed to the user's
+// open notification streams
+module.exports = {
+  name: 'inApp',
+
+  isEnabled: () => config.get('notifications.channels.inApp.enabled'),
+
+  send: async ({ user, notification }) => {
+    const [stored] = await DatabaseOperations.notifications.create({
+      user_id: user.id,
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data,
+      created_at: new Date()
+    });
+
+    // The notification is stored; clients that miss the push see it on their next fetch
+    try {
+      await publishToUser(user.id, 'notification', stored);
+    } catch (error) {
+      logger.warn('Failed to push in-app notification', { userId: user.id, error: error.message });
+    }
+
+    return { notificationId: stored.id };
+  }
+};
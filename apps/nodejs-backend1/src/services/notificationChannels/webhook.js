@@ -0,0 +1,51 @@
+const axios = require('axios');
+const config = require('config');
+const logger = require('../../utils/logger');
+const { enqueue } = require('../jobQueue');
+
+const QUEUE = 'webhook';
+
+// Outbound webhook that receives every notification as JSON, posted from the
+// webhook queue
+module.exports = {
+  name: 'webhook',
+  QUEUE,
+
+  isEnabled: () => {
+    const settings = config.get('notifications.channels.webhook');
+    return settings.enabled && Boolean(settings.url);
+  },
+
+  send: async ({ user, notification }) => {
+    const job = await enqueue(QUEUE, {
+      type: notification.type,
+      userId: user.id,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data,
+      sentAt: new Date().toISOString()
+    });
+
+    return { status: 'queued', jobId: job.id };
+  },
+
+  // Job handler
+  deliver: async (payload) => {
+    const { url, timeout } = config.get('notifications.channels.webhook');
+    const startTime = Date.now();
+
+    try {
+      const response = await axios.post(url, payload, { timeout });
+      logger.apiCall('notificationWebhook', url, 'POST', Date.now() - startTime, response.status);
+    } catch (error) {
+      const statusCode = error.response?.status;
+      logger.apiCall('notificationWebhook', url, 'POST', Date.now() - startTime, statusCode, error);
+
+      // The receiver rejected the payload; sending it again won't help
+      if (statusCode >= 400 && statusCode < 500 && ![408, 429].includes(statusCode)) {
+        error.retryable = false;
+      }
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,161 @@
+const config = require('config');
+const { DatabaseOperations } = require('../config/database');
+
+const DIGEST_MODES = ['immediate', 'hourly', 'daily'];
+
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_PREFERENCES = {
+  channels: {},
+  eventTypes: {},
+  timezone: 'UTC',
+  quietHours: null,
+  digestMode: 'immediate'
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isValidTime = (value) => TIME_PATTERN.test(value);
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : (value || {}));
+
+const toPreferences = (row) => ({
+  channels: parseJson(row.channels),
+  eventTypes: parseJson(row.event_types),
+  timezone: row.timezone,
+  quietHours: row.quiet_hours_start && row.quiet_hours_end
+    ? { start: row.quiet_hours_start, end: row.quiet_hours_end }
+    : null,
+  digestMode: row.digest_mode
+});
+
+// Users without a stored row get the defaults: everything on, sent immediately
+const getPreferences = async (userId) => {
+  const [row] = await DatabaseOperations.notificationPreferences.findByUserId(userId);
+  return row ? toPreferences(row) : { ...DEFAULT_PREFERENCES };
+};
+
+/**
+ * Apply a partial update to a user's preferences
+ * Channel and event type switches are merged into the stored ones; the other
+ * fields are replaced. `quietHours: null` turns quiet hours off.
+ */
+const updatePreferences = async (userId, changes) => {
+  const current = await getPreferences(userId);
+  const next = {
+    ...current,
+    ...changes,
+    channels: { ...current.channels, ...changes.channels },
+    eventTypes: { ...current.eventTypes, ...changes.eventTypes }
+  };
+
+  const [row] = await DatabaseOperations.notificationPreferences.upsert(userId, {
+    channels: JSON.stringify(next.channels),
+    event_types: JSON.stringify(next.eventTypes),
+    timezone: next.timezone,
+    quiet_hours_start: next.quietHours ? next.quietHours.start : null,
+    quiet_hours_end: next.quietHours ? next.quietHours.end : null,
+    digest_mode: next.digestMode,
+    updated_at: new Date()
+  });
+
+  return toPreferences(row);
+};
+
+// Absent switches mean "on"
+const isEventTypeEnabled = (preferences, type) => preferences.eventTypes[type] !== false;
+
+const isChannelEnabled = (preferences, channel) => preferences.channels[channel] !== false;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since local midnight in the user's timezone
+const localMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(part => part.type === type).value);
+  return get('hour') * 60 + get('minute');
+};
+
+const minutesUntil = (from, to) => (to - from + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+// Quiet hours may wrap midnight (22:00-07:00); the end minute is outside them
+const isQuietAt = (quietHours, minute) => {
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start < end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+};
+
+const startOfMinute = (date) => new Date(Math.floor(date.getTime() / 60000) * 60000);
+
+const addMinutes = (date, minutes) => new Date(startOfMinute(date).getTime() + minutes * 60000);
+
+/**
+ * When quiet hours are in effect at `now`, the time they end; otherwise null
+ */
+const quietHoursEnd = (preferences, now = new Date()) => {
+  if (!preferences.quietHours) {
+    return null;
+  }
+
+  const minute = localMinutes(now, preferences.timezone);
+  if (!isQuietAt(preferences.quietHours, minute)) {
+    return null;
+  }
+
+  return addMinutes(now, minutesUntil(minute, toMinutes(preferences.quietHours.end)));
+};
+
+/**
+ * When a notification created at `now` should go out, or null for right away
+ * Hourly digests go out at the top of the next local hour and daily digests at
+ * `notifications.digest.dailyAt` local time; either is pushed past quiet hours.
+ */
+const nextDeliveryTime = (preferences, now = new Date()) => {
+  const minute = localMinutes(now, preferences.timezone);
+  let wait = 0;
+
+  if (preferences.digestMode === 'hourly') {
+    wait = 60 - (minute % 60);
+  } else if (preferences.digestMode === 'daily') {
+    wait = minutesUntil(minute, toMinutes(config.get('notifications.digest.dailyAt')));
+  }
+
+  if (preferences.quietHours) {
+    const deliveryMinute = (minute + wait) % MINUTES_PER_DAY;
+    if (isQuietAt(preferences.quietHours, deliveryMinute)) {
+      wait += minutesUntil(deliveryMinute, toMinutes(preferences.quietHours.end));
+    }
+  }
+
+  return wait > 0 ? addMinutes(now, wait) : null;
+};
+
+module.exports = {
+  DIGEST_MODES,
+  isValidTimezone,
+  isValidTime,
+  getPreferences,
+  updatePreferences,
+  isEventTypeEnabled,
+  isChannelEnabled,
+  quietHoursEnd,
+  nextDeliveryTime
+};
@@ -0,0 +1,326 @@
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { EVENTS, subscribe } = require('./events');
+const { renderNotification } = require('./templateService');
+const { enqueue } = require('./jobQueue');
+const {
+  getPreferences,
+  isEventTypeEnabled,
+  isChannelEnabled,
+  quietHoursEnd,
+  nextDeliveryTime
+} = require('./notificationPreferences');
+
+const DIGEST_QUEUE = 'notification-digest';
+const DIGEST_TYPE = 'notification.digest';
+const PASSWORD_RESET_TYPE = 'user.password_reset_requested';
+const EMAIL_VERIFICATION_TYPE = 'user.email_verification';
+
+const channels = new Map();
+
+// Channels implement { name, isEnabled(), send({ user, notification }) }.
+// Channels marked `deferrable` are held back by quiet hours and digest modes.
+const registerChannel = (channel) => {
+  channels.set(channel.name, channel);
+};
+
+registerChannel(require('./notificationChannels/email'));
+registerChannel(require('./notificationChannels/webhook'));
+registerChannel(require('./notificationChannels/inApp'));
+
+const shortId = (id) => String(id).slice(0, 8);
+
+// Which channels each notification goes out on by default, and the variables
+// its template (see templateService) is rendered with
+const NOTIFICATION_TYPES = {
+  [EVENTS.USER_REGISTERED]: {
+    channels: ['email', 'inApp'],
+    variables: ({ user }) => ({
+      firstName: user.first_name || user.email,
+      email: user.email
+    })
+  },
+  // Security notices are mandatory: they ignore preferences and are never deferred
+  [EVENTS.USER_PASSWORD_CHANGED]: {
+    channels: ['email', 'inApp'],
+    mandatory: true,
+    variables: ({ user }) => ({
+      firstName: user.first_name || user.email
+    })
+  },
+  // Sent by passwordResetService; the link is a secret, so email only
+  [PASSWORD_RESET_TYPE]: {
+    channels: ['email'],
+    mandatory: true,
+    variables: ({ user, data }) => ({
+      firstName: user.first_name || user.email,
+      resetUrl: data.resetUrl,
+      expiresInMinutes: data.expiresInMinutes
+    })
+  },
+  // Sent by emailVerificationService; only useful in the mailbox being verified
+  [EMAIL_VERIFICATION_TYPE]: {
+    channels: ['email'],
+    mandatory: true,
+    variables: ({ user, data }) => ({
+      firstName: user.first_name || user.email,
+      email: user.email,
+      verificationUrl: data.verificationUrl,
+      expiresInHours: data.expiresInHours
+    })
+  },
+  [EVENTS.ORDER_STATUS_CHANGED]: {
+    channels: ['email', 'inApp', 'webhook'],
+    variables: ({ user, data }) => ({
+      firstName: user.first_name || user.email,
+      orderNumber: shortId(data.orderId),
+      fromStatus: data.fromStatus,
+      toStatus: data.toStatus
+    })
+  }
+};
+
+// One digest job per user, channel and delivery window (to the minute), so
+// items deferred together share a job however their inserts interleave
+const digestJobId = (userId, channelName, deliverAt) => {
+  return `${userId}:${channelName}:${Math.floor(deliverAt.getTime() / 60000)}`;
+};
+
+// Hold a notification back until the user's next delivery window
+const deferDelivery = async (user, channel, notification, deliverAt) => {
+  await DatabaseOperations.notificationPendingDeliveries.create({
+    user_id: user.id,
+    channel: channel.name,
+    type: notification.type,
+    notification: JSON.stringify(notification)
+  });
+
+  await enqueue(DIGEST_QUEUE, { userId: user.id, channel: channel.name }, {
+    delay: deliverAt.getTime() - Date.now(),
+    jobId: digestJobId(user.id, channel.name, deliverAt)
+  });
+
+  return { status: 'deferred', deliverAt: deliverAt.toISOString() };
+};
+
+/**
+ * Send a notification to a user on every enabled channel for its type
+ * The user's preferences are applied first (except for mandatory types):
+ * switched-off event types and channels are skipped, and deferrable channels
+ * wait out quiet hours and digest windows. Channel failures are logged and reported in the result,
+ * never thrown, so one broken channel cannot stop the others.
+ */
+const notify = async (userId, type, data = {}, { channels: channelNames } = {}) => {
+  const definition = NOTIFICATION_TYPES[type];
+  if (!definition) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const users = await DatabaseOperations.users.findById(userId);
+  if (users.length === 0 || users[0].is_active === false) {
+    logger.warn('Skipping notification for missing or inactive user', { userId, type });
+    return [];
+  }
+
+  const user = users[0];
+  const preferences = await getPreferences(userId);
+
+  if (!definition.mandatory && !isEventTypeEnabled(preferences, type)) {
+    logger.debug('Notification type switched off by user', { userId, type });
+    return [];
+  }
+
+  const targets = (channelNames || definition.channels)
+    .filter(name => definition.mandatory || isChannelEnabled(preferences, name))
+    .map(name => channels.get(name))
+    .filter(channel => channel && channel.isEnabled());
+
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const rendered = await renderNotification(type, user.locale, definition.variables({ user, data }));
+  const notification = {
+    type,
+    data,
+    title: rendered.subject,
+    body: rendered.text,
+    html: rendered.html
+  };
+
+  const deliverAt = definition.mandatory ? null : nextDeliveryTime(preferences);
+
+  const results = await Promise.allSettled(
+    targets.map(channel => (channel.deferrable && deliverAt
+      ? deferDelivery(user, channel, notification, deliverAt)
+      : channel.send({ user, notification })))
+  );
+
+  return results.map((result, index) => {
+    const channel = targets[index].name;
+
+    if (result.status === 'rejected') {
+      logger.error('Notification delivery failed', {
+        userId,
+        type,
+        channel,
+        error: result.reason.message
+      });
+      return { channel, status: 'failed', error: result.reason.message };
+    }
+
+    return { channel, status: 'sent', ...result.value };
+  });
+};
+
+// One pending item goes out as it was; several are rolled into a digest
+const buildPendingNotification = async (user, pending) => {
+  const notifications = pending.map(item => (
+    typeof item.notification === 'string' ? JSON.parse(item.notification) : item.notification
+  ));
+
+  if (notifications.length === 1) {
+    return notifications[0];
+  }
+
+  const rendered = await renderNotification(DIGEST_TYPE, user.locale, {
+    firstName: user.first_name || user.email,
+    count: notifications.length,
+    summary: notifications.map(notification => `- ${notification.title}`).join('\n')
+  });
+
+  return {
+    type: DIGEST_TYPE,
+    data: { types: [...new Set(notifications.map(notification => notification.type))] },
+    title: rendered.subject,
+    body: rendered.text,
+    html: rendered.html
+  };
+};
+
+// Digest job handler: send everything held back for a user on one channel
+const deliverPending = async ({ userId, channel: channelName }) => {
+  const preferences = await getPreferences(userId);
+
+  // Quiet hours may have been set after the job was scheduled
+  const resumeAt = quietHoursEnd(preferences);
+  if (resumeAt) {
+    await enqueue(DIGEST_QUEUE, { userId, channel: channelName }, {
+      delay: resumeAt.getTime() - Date.now(),
+      jobId: digestJobId(userId, channelName, resumeAt)
+    });
+    return;
+  }
+
+  // The pending rows stay locked until they are sent, and are only deleted
+  // then: a failed send rolls back and the job retries with them intact,
+  // while a concurrent digest job waits and finds them gone
+  await DatabaseOperations.transaction(async (trx) => {
+    const pending = await trx('notification_pending_deliveries')
+      .where({ user_id: userId, channel: channelName })
+      .orderBy('created_at')
+      .forUpdate();
+    if (pending.length === 0) {
+      return;
+    }
+
+    const users = await DatabaseOperations.users.findById(userId);
+    const channel = channels.get(channelName);
+
+    if (users.length === 0 || users[0].is_active === false || !channel || !channel.isEnabled()) {
+      logger.warn('Dropping pending notifications', { userId, channel: channelName, count: pending.length });
+    } else {
+      const notification = await buildPendingNotification(users[0], pending);
+      await channel.send({ user: users[0], notification });
+
+      logger.info('Pending notifications delivered', { userId, channel: channelName, count: pending.length });
+    }
+
+    await trx('notification_pending_deliveries').whereIn('id', pending.map(item => item.id)).del();
+  });
+};
+
+let handlersRegistered = false;
+
+// Wire domain events to notifications; called once at startup
+const registerNotificationHandlers = () => {
+  if (handlersRegistered) {
+    return;
+  }
+  handlersRegistered = true;
+
+  subscribe(EVENTS.USER_REGISTERED, ({ userId }) => notify(userId, EVENTS.USER_REGISTERED));
+
+  subscribe(EVENTS.USER_PASSWORD_CHANGED, ({ userId }) => notify(userId, EVENTS.USER_PASSWORD_CHANGED));
+
+  subscribe(EVENTS.ORDER_STATUS_CHANGED, ({ userId, orderId, fromStatus, toStatus }) => {
+    return notify(userId, EVENTS.ORDER_STATUS_CHANGED, { orderId, fromStatus, toStatus });
+  });
+};
+
+const listNotifications = async (userId, { unreadOnly = false, page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  const [notifications, total, unread] = await Promise.all([
+    DatabaseOperations.notifications.findByUserId(userId, { unreadOnly, limit, offset }),
+    DatabaseOperations.notifications.countByUserId(userId, { unreadOnly }),
+    DatabaseOperations.notifications.countByUserId(userId, { unreadOnly: true })
+  ]);
+
+  const totalCount = parseInt(total.count);
+  const totalPages = Math.ceil(totalCount / limit);
+
+  return {
+    notifications,
+    unreadCount: parseInt(unread.count),
+    pagination: {
+      page,
+      limit,
+      total: totalCount,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+};
+
+const markNotificationRead = async (userId, notificationId) => {
+  const [updated] = await DatabaseOperations.notifications.markRead(notificationId, userId);
+  if (updated) {
+    return updated;
+  }
+
+  // Already read, or not this user's notification
+  const existing = await DatabaseOperations.notifications.findById(notificationId);
+  if (existing.length === 0 || existing[0].user_id !== userId) {
+    throw new NotFoundError('Notification');
+  }
+  return existing[0];
+};
+
+const markAllNotificationsRead = async (userId) => {
+  return DatabaseOperations.notifications.markAllRead(userId);
+};
+
+const deleteNotification = async (userId, notificationId) => {
+  const deleted = await DatabaseOperations.notifications.delete(notificationId, userId);
+  if (!deleted) {
+    throw new NotFoundError('Notification');
+  }
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DIGEST_QUEUE,
+  PASSWORD_RESET_TYPE,
+  EMAIL_VERIFICATION_TYPE,
+  registerChannel,
+  notify,
+  deliverPending,
+  registerNotificationHandlers,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+};
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const { getServiceClient } = require('./httpClient');
+const {
+  UnauthorizedError,
+  ForbiddenError,
+  ExternalServiceError
+} = require('../middleware/errorHandler');
+
+const SERVICE_NAME = 'oidcProvider';
+const LOGIN_PURPOSE = 'oidc_login';
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+let metadataCache = null;
+let jwksCache = null;
+
+const settings = () => config.get('oauth2');
+
+const isOidcEnabled = () => Boolean(settings().enabled);
+
+// Derived from the JWT secret so the login cookie can never pass as an access token
+const loginKey = () => crypto.createHmac('sha256', config.get('jwt.secret')).update(LOGIN_PURPOSE).digest();
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// PKCE S256: the challenge sent to the provider is the hash of the verifier we keep
+const codeChallenge = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+const isFresh = (cache) => cache && Date.now() - cache.fetchedAt < settings().metadataCacheTtl * 1000;
+
+const fetchJson = async (url) => {
+  const response = await getServiceClient(SERVICE_NAME).get(url);
+  return response.data;
+};
+
+// Provider endpoints from its discovery document, cached for metadataCacheTtl
+const getMetadata = async () => {
+  if (isFresh(metadataCache)) {
+    return metadataCache.metadata;
+  }
+
+  const issuerUrl = settings().issuerUrl.replace(/\/+$/, '');
+  const metadata = await fetchJson(`${issuerUrl}/.well-known/openid-configuration`);
+  if (!metadata.issuer || !metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+    throw new ExternalServiceError(SERVICE_NAME, 'Incomplete discovery document', 502);
+  }
+
+  metadataCache = { metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+const loadJwks = async (metadata) => {
+  const { keys = [] } = await fetchJson(metadata.jwks_uri);
+  jwksCache = {
+    keys: new Map(keys.filter(key => key.kid).map(key => [key.kid, key])),
+    fetchedAt: Date.now()
+  };
+  return jwksCache.keys;
+};
+
+/**
+ * Public key the provider signed an ID token with
+ * An unknown kid refetches the key set once, so provider key rotation is
+ * picked up without waiting for the cache to expire.
+ */
+const getSigningKey = async (metadata, kid) => {
+  let keys = isFresh(jwksCache) ? jwksCache.keys : await loadJwks(metadata);
+  if (!keys.has(kid)) {
+    keys = await loadJwks(metadata);
+  }
+
+  const jwk = keys.get(kid);
+  if (!jwk) {
+    throw new UnauthorizedError('ID token signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Start an authorization code flow
+ * Returns the provider URL to redirect to and a signed token holding the
+ * state, nonce and PKCE verifier, which the caller keeps in a cookie until
+ * the provider redirects back.
+ */
+const beginLogin = async () => {
+  const { clientId, redirectUri, scope, loginTtl } = settings();
+  const metadata = await getMetadata();
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+
+  const authorizationUrl = new URL(metadata.authorization_endpoint);
+  authorizationUrl.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  const loginToken = jwt.sign(
+    { purpose: LOGIN_PURPOSE, state, nonce, codeVerifier },
+    loginKey(),
+    { expiresIn: loginTtl }
+  );
+
+  return { authorizationUrl: authorizationUrl.toString(), loginToken };
+};
+
+const verifyLoginToken = (loginToken, context) => {
+  try {
+    const claims = jwt.verify(loginToken || '', loginKey());
+    if (claims.purpose === LOGIN_PURPOSE) {
+      return claims;
+    }
+  } catch (error) {
+    logger.security('Invalid SSO login state', { error: error.message, ...context });
+  }
+  throw new UnauthorizedError('SSO login expired or was started in another browser');
+};
+
+// Constant-time comparison of two strings
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const exchangeCode = async (metadata, code, codeVerifier, context) => {
+  const { clientId, clientSecret, redirectUri } = settings();
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier
+  });
+  if (clientSecret) {
+    form.set('client_secret', clientSecret);
+  }
+
+  try {
+    const response = await getServiceClient(SERVICE_NAME).post(metadata.token_endpoint, form.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    return response.data;
+  } catch (error) {
+    // 4xx from the provider: the code was invalid, reused or the verifier did not match
+    if (error.response) {
+      logger.security('SSO authorization code rejected', {
+        status: error.response.status,
+        error: error.response.data && error.response.data.error,
+        ...context
+      });
+      throw new UnauthorizedError('SSO login failed');
+    }
+    throw error;
+  }
+};
+
+const verifyIdToken = async (metadata, idToken, nonce, context) => {
+  const { clientId, clockTolerance } = settings();
+  const decoded = jwt.decode(idToken || '', { complete: true });
+  if (!decoded) {
+    throw new UnauthorizedError('SSO login failed');
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: clientId,
+      clockTolerance
+    });
+  } catch (error) {
+    logger.security('Invalid SSO ID token', { error: error.message, ...context });
+    throw new UnauthorizedError('SSO login failed');
+  }
+
+  if (!safeEqual(claims.nonce, nonce)) {
+    logger.security('SSO ID token nonce mismatch', { subject: claims.sub, ...context });
+    throw new UnauthorizedError('SSO login failed');
+  }
+
+  return claims;
+};
+
+/**
+ * Email address the provider vouches for, or null
+ * Only the `email` claim counts, and only with `email_verified: true` or from
+ * an issuer listed in trustedEmailIssuers (Azure AD sends no email_verified).
+ * `preferred_username` and `upn` are never used: users can often choose them.
+ */
+const verifiedEmail = (claims) => {
+  const { email } = claims;
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    return null;
+  }
+
+  const trusted = claims.email_verified === true || settings().trustedEmailIssuers.includes(claims.iss);
+  return trusted ? email.toLowerCase() : null;
+};
+
+const provisionUser = async (claims, email) => {
+  const [firstName, ...rest] = (claims.name || '').split(' ');
+  const now = new Date();
+
+  // SSO users never log in with a password; this one is random and unknown to anyone
+  const password = await bcrypt.hash(randomToken(), config.get('auth.saltRounds') || 12);
+
+  const [user] = await DatabaseOperations.users.create({
+    email,
+    password,
+    first_name: (claims.given_name || firstName || email.split('@')[0]).substring(0, 50),
+    last_name: (claims.family_name || rest.join(' ')).substring(0, 50),
+    role: 'user',
+    is_active: true,
+    email_verified_at: now,
+    created_at: now,
+    updated_at: now
+  });
+
+  return user;
+};
+
+/**
+ * Local user for a verified set of ID token claims
+ * Looks up the identity by issuer and subject; a first SSO login links to the
+ * user with the same verified email address, or provisions one when
+ * autoProvision is on.
+ */
+const resolveUser = async (claims, context) => {
+  const identities = await DatabaseOperations.userIdentities.findBySubject(claims.iss, claims.sub);
+  if (identities.length > 0) {
+    const identity = identities[0];
+    await DatabaseOperations.userIdentities.update(identity.id, { last_login_at: new Date() });
+    const users = await DatabaseOperations.users.findById(identity.user_id);
+    return users[0];
+  }
+
+  const email = verifiedEmail(claims);
+  if (!email) {
+    logger.security('SSO login without a verified email address', { subject: claims.sub, ...context });
+    throw new ForbiddenError('SSO account has no verified email address');
+  }
+
+  const users = await DatabaseOperations.users.findByEmail(email);
+  let user = users[0];
+  if (user) {
+    logger.security('SSO identity linked to existing account', { userId: user.id, issuer: claims.iss, ...context });
+    // The provider has just vouched for the address
+    if (!user.email_verified_at) {
+      [user] = await DatabaseOperations.users.update(user.id, { email_verified_at: new Date(), updated_at: new Date() });
+    }
+  } else if (settings().autoProvision) {
+    user = await provisionUser(claims, email);
+    logger.userActivity(user.id, 'user_provisioned_sso', { email, issuer: claims.iss, ...context });
+  } else {
+    logger.security('SSO login for unknown account', { email, issuer: claims.iss, ...context });
+    throw new ForbiddenError('No account exists for this SSO identity');
+  }
+
+  await DatabaseOperations.userIdentities.create({
+    user_id: user.id,
+    issuer: claims.iss,
+    subject: claims.sub,
+    email,
+    last_login_at: new Date()
+  });
+
+  return user;
+};
+
+/**
+ * Finish an authorization code flow
+ * Checks the state against the login cookie, redeems the code with the PKCE
+ * verifier, verifies the ID token and its nonce, and returns the local user.
+ */
+const completeSsoLogin = async ({ code, state, error }, loginToken, context = {}) => {
+  if (error) {
+    logger.security('SSO provider returned an error', { error, ...context });
+    throw new UnauthorizedError('SSO login was cancelled or denied');
+  }
+
+  const login = verifyLoginToken(loginToken, context);
+  if (!safeEqual(state, login.state)) {
+    logger.security('SSO state mismatch', context);
+    throw new UnauthorizedError('SSO login expired or was started in another browser');
+  }
+
+  const metadata = await getMetadata();
+  const tokens = await exchangeCode(metadata, code, login.codeVerifier, context);
+  const claims = await verifyIdToken(metadata, tokens.id_token, login.nonce, context);
+
+  const user = await resolveUser(claims, context);
+  if (!user || !user.is_active) {
+    logger.security('SSO login with inactive account', { userId: user && user.id, ...context });
+    throw new UnauthorizedError('Account is deactivated');
+  }
+
+  logger.userActivity(user.id, 'sso_login', { issuer: claims.iss, ...context });
+
+  return user;
+};
+
+module.exports = {
+  isOidcEnabled,
+  beginLogin,
+  completeSsoLogin
+};
@@ -0,0 +1,286 @@
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const { RedisOperations, CacheOperations } = require('../config/redis');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { assertTransition } = require('./orderStateMachine');
+const { EVENTS, publish } = require('./events');
+
+// Prices are handled in integer cents to avoid floating point drift
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Collapse repeated products into a single line with the summed quantity
+const mergeLineItems = (items) => {
+  const quantities = new Map();
+
+  for (const item of items) {
+    const productId = String(item.productId);
+    const quantity = parseInt(item.quantity);
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  }
+
+  return quantities;
+};
+
+// Price line items against the current product catalogue
+const priceLineItems = (quantities, products) => {
+  const productsById = new Map(products.map(product => [String(product.id), product]));
+  const unavailable = [];
+  const lines = [];
+
+  for (const [productId, quantity] of quantities) {
+    const product = productsById.get(productId);
+
+    if (!product || !product.is_active) {
+      unavailable.push({ productId, reason: product ? 'inactive' : 'not_found' });
+      continue;
+    }
+
+    const unitPriceCents = toCents(product.price);
+    lines.push({
+      product_id: product.id,
+      product_name: product.name,
+      unit_price: fromCents(unitPriceCents),
+      quantity,
+      line_total: fromCents(unitPriceCents * quantity),
+      lineTotalCents: unitPriceCents * quantity
+    });
+  }
+
+  if (unavailable.length > 0) {
+    throw new ValidationError('Some products are not available', unavailable);
+  }
+
+  return lines;
+};
+
+// Lock product rows in a stable order so concurrent orders cannot deadlock
+const lockProducts = (trx, productIds) => {
+  return trx('products')
+    .whereIn('id', productIds)
+    .orderBy('id')
+    .forUpdate();
+};
+
+// Reject the order with every line that cannot be fulfilled from stock
+const assertStockAvailable = (lines, products) => {
+  const productsById = new Map(products.map(product => [String(product.id), product]));
+
+  const insufficient = lines
+    .map(line => ({ line, product: productsById.get(String(line.product_id)) }))
+    .filter(({ line, product }) => product.stock_quantity < line.quantity)
+    .map(({ line, product }) => ({
+      productId: line.product_id,
+      productName: line.product_name,
+      requested: line.quantity,
+      available: Math.max(product.stock_quantity, 0)
+    }));
+
+  if (insufficient.length > 0) {
+    throw new ConflictError('Insufficient stock for some items', insufficient);
+  }
+};
+
+// Apply stock changes to products already locked by this transaction
+const adjustStock = async (trx, quantities, direction) => {
+  for (const [productId, quantity] of quantities) {
+    await trx('products')
+      .where({ id: productId })
+      .update({
+        stock_quantity: trx.raw('stock_quantity + ?', [direction * quantity]),
+        updated_at: new Date()
+      });
+  }
+};
+
+// Stock levels are part of cached product payloads
+const invalidateProductCache = async (productIds) => {
+  if (config.get('redis.enabled')) {
+    try {
+      for (const productId of productIds) {
+        await RedisOperations.del(`product:${productId}`);
+      }
+      await CacheOperations.deletePattern('products_list:*');
+    } catch (redisError) {
+      logger.warn('Cache invalidation failed', { error: redisError.message });
+    }
+  }
+};
+
+// Create an order, computing totals server-side from current product prices
+// and reserving stock in the same transaction
+const createOrder = async (userId, items, { shippingAddress = null, notes = null } = {}) => {
+  const quantities = mergeLineItems(items);
+
+  const order = await DatabaseOperations.transaction(async (trx) => {
+    const products = await lockProducts(trx, [...quantities.keys()]);
+    const lines = priceLineItems(quantities, products);
+    assertStockAvailable(lines, products);
+    await adjustStock(trx, quantities, -1);
+
+    const subtotalCents = lines.reduce((sum, line) => sum + line.lineTotalCents, 0);
+    const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+    const [newOrder] = await trx('orders').insert({
+      user_id: userId,
+      status: 'pending',
+      subtotal: fromCents(subtotalCents),
+      total_amount: fromCents(subtotalCents),
+      item_count: itemCount,
+      shipping_address: shippingAddress ? JSON.stringify(shippingAddress) : null,
+      notes,
+      created_at: new Date(),
+      updated_at: new Date()
+    }).returning('*');
+
+    const orderItems = await trx('order_items').insert(
+      lines.map(({ lineTotalCents, ...line }) => ({
+        ...line,
+        order_id: newOrder.id,
+        created_at: new Date()
+      }))
+    ).returning('*');
+
+    await trx('order_status_history').insert({
+      order_id: newOrder.id,
+      from_status: null,
+      to_status: 'pending',
+      actor_id: userId,
+      reason: 'Order placed',
+      created_at: new Date()
+    });
+
+    return { ...newOrder, items: orderItems };
+  });
+
+  await invalidateProductCache([...quantities.keys()]);
+
+  logger.business('order_created', {
+    orderId: order.id,
+    userId,
+    itemCount: order.item_count,
+    totalAmount: order.total_amount
+  });
+
+  publish(EVENTS.ORDER_CREATED, {
+    orderId: order.id,
+    userId,
+    totalAmount: order.total_amount,
+    itemCount: order.item_count
+  });
+
+  return order;
+};
+
+// Move an order to a new status, recording who changed it and why.
+// Cancelling an order, or refunding one that was never fulfilled, releases
+// its reserved stock.
+const transitionOrderStatus = async (orderId, toStatus, { actorId = null, reason = null } = {}) => {
+  let releasedProductIds = [];
+
+  const { order, fromStatus } = await DatabaseOperations.transaction(async (trx) => {
+    // Lock the order row so concurrent transitions are serialised
+    const [current] = await trx('orders').where({ id: orderId }).forUpdate();
+    if (!current) {
+      throw new NotFoundError('Order');
+    }
+
+    assertTransition(current.status, toStatus);
+
+    if (toStatus === 'cancelled' || (toStatus === 'refunded' && current.status === 'paid')) {
+      const items = await trx('order_items').where({ order_id: orderId });
+      const quantities = mergeLineItems(items.map(item => ({
+        productId: item.product_id,
+        quantity: item.quantity
+      })));
+
+      await lockProducts(trx, [...quantities.keys()]);
+      await adjustStock(trx, quantities, 1);
+      releasedProductIds = [...quantities.keys()];
+    }
+
+    const [updatedOrder] = await trx('orders')
+      .where({ id: orderId })
+      .update({ status: toStatus, updated_at: new Date() })
+      .returning('*');
+
+    await trx('order_status_history').insert({
+      order_id: orderId,
+      from_status: current.status,
+      to_status: toStatus,
+      actor_id: actorId,
+      reason,
+      created_at: new Date()
+    });
+
+    return { order: updatedOrder, fromStatus: current.status };
+  });
+
+  if (releasedProductIds.length > 0) {
+    await invalidateProductCache(releasedProductIds);
+  }
+
+  logger.business('order_status_changed', {
+    orderId,
+    fromStatus,
+    toStatus,
+    actorId,
+    reason
+  });
+
+  publish(EVENTS.ORDER_STATUS_CHANGED, {
+    orderId,
+    userId: order.user_id,
+    fromStatus,
+    toStatus,
+    actorId,
+    reason
+  });
+
+  return order;
+};
+
+// Status history of an order, oldest first
+const getOrderHistory = async (orderId) => {
+  return DatabaseOperations.orderStatusHistory.findByOrderId(orderId);
+};
+
+// Load an order together with its line items
+const getOrderWithItems = async (orderId) => {
+  const orders = await DatabaseOperations.orders.findById(orderId);
+  if (orders.length === 0) {
+    throw new NotFoundError('Order');
+  }
+
+  const items = await DatabaseOperations.orderItems.findByOrderId(orderId);
+  return { ...orders[0], items };
+};
+
+// Attach line items to a page of orders with a single query
+const attachItems = async (orders) => {
+  if (orders.length === 0) {
+    return orders;
+  }
+
+  const items = await DatabaseOperations.orderItems.findByOrderIds(orders.map(order => order.id));
+  const itemsByOrder = new Map();
+
+  for (const item of items) {
+    const orderItems = itemsByOrder.get(item.order_id) || [];
+    orderItems.push(item);
+    itemsByOrder.set(item.order_id, orderItems);
+  }
+
+  return orders.map(order => ({ ...order, items: itemsByOrder.get(order.id) || [] }));
+};
+
+module.exports = {
+  createOrder,
+  transitionOrderStatus,
+  getOrderHistory,
+  getOrderWithItems,
+  attachItems,
+  toCents,
+  fromCents
+};
@@ -0,0 +1,41 @@
+const { ConflictError } = require('../middleware/errorHandler');
+
+// Order lifecycle statuses
+const ORDER_STATUSES = [
+  'pending',
+  'paid',
+  'fulfilled',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'refunded'
+];
+
+// Legal transitions from each status; terminal statuses have none. Only
+// unpaid orders can be cancelled: a paid order is undone by refunding it.
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['fulfilled', 'refunded'],
+  fulfilled: ['shipped', 'refunded'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+const canTransition = (fromStatus, toStatus) => {
+  return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+const assertTransition = (fromStatus, toStatus) => {
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new ConflictError(`Cannot change order status from ${fromStatus} to ${toStatus}`);
+  }
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  canTransition,
+  assertTransition
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const { revokeUserTokens } = require('../middleware/auth');
+const { revokeAllSessions } = require('./sessionService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { EVENTS, publish } = require('./events');
+const { notify, PASSWORD_RESET_TYPE } = require('./notificationService');
+
+// Only this hash is stored, so a leaked table cannot be used to reset passwords
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildResetUrl = (token) => {
+  const url = new URL(config.get('auth.passwordReset.url'));
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+/**
+ * Email a single-use reset link to the account with this address
+ * Unknown and inactive accounts are only logged, so callers can answer every
+ * request the same way. Earlier links for the account stop working.
+ */
+const requestPasswordReset = async (email, { ip } = {}) => {
+  const users = await DatabaseOperations.users.findByEmail(email);
+  if (users.length === 0 || !users[0].is_active) {
+    logger.security('Password reset requested for unknown or inactive account', { email, ip });
+    return;
+  }
+
+  const user = users[0];
+  const { tokenTtl } = config.get('auth.passwordReset');
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await DatabaseOperations.passwordResetTokens.invalidateByUserId(user.id);
+  await DatabaseOperations.passwordResetTokens.create({
+    user_id: user.id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + tokenTtl * 1000),
+    requested_ip: ip
+  });
+
+  const results = await notify(user.id, PASSWORD_RESET_TYPE, {
+    resetUrl: buildResetUrl(token),
+    expiresInMinutes: Math.round(tokenTtl / 60)
+  });
+  if (!results.some(result => result.status === 'sent')) {
+    logger.warn('Password reset email could not be sent', { userId: user.id, results });
+  }
+
+  logger.userActivity(user.id, 'password_reset_requested', { ip });
+};
+
+/**
+ * Spend a reset token and set the new password
+ * Every existing session of the user is revoked, and the usual password
+ * change notice is sent.
+ */
+const resetPassword = async (token, newPassword, { ip, userAgent } = {}) => {
+  const [resetToken] = await DatabaseOperations.passwordResetTokens.consume(hashToken(token));
+  const users = resetToken ? await DatabaseOperations.users.findById(resetToken.user_id) : [];
+
+  if (users.length === 0 || !users[0].is_active) {
+    logger.security('Invalid or expired password reset token used', { ip, userAgent });
+    throw new ValidationError('Invalid or expired reset token');
+  }
+
+  const user = users[0];
+  const saltRounds = config.get('auth.saltRounds') || 12;
+  const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+  const revokedAt = new Date();
+
+  await DatabaseOperations.users.update(user.id, {
+    password: hashedPassword,
+    tokens_revoked_at: revokedAt,
+    updated_at: revokedAt
+  });
+  await DatabaseOperations.passwordResetTokens.invalidateByUserId(user.id);
+  await revokeUserTokens(user.id, revokedAt);
+  await revokeAllSessions(user.id, { reason: 'password_reset', ip });
+
+  logger.security('Password reset; all sessions revoked', { userId: user.id, ip, userAgent });
+  logger.userActivity(user.id, 'password_reset', { ip, userAgent });
+
+  publish(EVENTS.USER_PASSWORD_CHANGED, {
+    userId: user.id,
+    ip,
+    userAgent
+  });
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,55 @@
+const { getServiceClient } = require('./httpClient');
+const { ExternalServiceError } = require('../middleware/errorHandler');
+
+const SERVICE_NAME = 'paymentService';
+
+const toDecline = (body = {}) => ({
+  status: 'declined',
+  reference: body.id || null,
+  code: body.declineCode || body.code || 'declined',
+  message: body.message || 'Payment declined'
+});
+
+// Charge an amount. The idempotency key makes retries safe: the provider
+// returns the original result instead of charging twice.
+const charge = async ({ idempotencyKey, orderId, amount, currency, paymentMethod, description }) => {
+  const client = getServiceClient(SERVICE_NAME);
+
+  try {
+    const { data } = await client.post('/v1/charges', {
+      orderId,
+      amount,
+      currency,
+      paymentMethod,
+      description
+    }, {
+      headers: { 'Idempotency-Key': idempotencyKey }
+    });
+
+    if (data.status === 'succeeded') {
+      return { status: 'succeeded', reference: data.id };
+    }
+
+    return toDecline(data);
+  } catch (error) {
+    // Declines are reported by the provider as 402
+    if (error.response && error.response.status === 402) {
+      return toDecline(error.response.data);
+    }
+
+    // Any other rejection means we sent something the provider didn't accept
+    if (error.response) {
+      throw new ExternalServiceError(SERVICE_NAME, error.message, 502);
+    }
+
+    throw error;
+  }
+};
+
+// How long a charge may run before the caller has certainly given up on it
+const getChargeTimeout = () => getServiceClient(SERVICE_NAME).getMaxRequestDuration();
+
+module.exports = {
+  charge,
+  getChargeTimeout
+};
@@ -0,0 +1,153 @@
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { charge, getChargeTimeout } = require('./paymentClient');
+const { transitionOrderStatus, toCents } = require('./orderService');
+
+// An attempt still processing after the longest a charge can take was left
+// behind by a process that stopped mid-charge
+const isAbandoned = (payment) => {
+  return payment.status === 'processing' &&
+    Date.now() - new Date(payment.updated_at).getTime() > getChargeTimeout();
+};
+
+// Reserve a payment attempt while holding the order lock so two concurrent
+// requests can never charge the same order
+const startPaymentAttempt = (orderId, userId) => {
+  return DatabaseOperations.transaction(async (trx) => {
+    const [order] = await trx('orders').where({ id: orderId }).forUpdate();
+    if (!order) {
+      throw new NotFoundError('Order');
+    }
+
+    if (order.status !== 'pending') {
+      throw new ConflictError(`Order is ${order.status} and cannot be paid`);
+    }
+
+    const [latest] = await trx('payments')
+      .where({ order_id: orderId })
+      .orderBy('created_at', 'desc')
+      .limit(1);
+
+    if (latest && latest.status === 'processing' && !isAbandoned(latest)) {
+      throw new ConflictError('A payment for this order is already in progress');
+    }
+
+    // The outcome of an errored or abandoned attempt is unknown; retrying with
+    // the same idempotency key lets the provider return the original result
+    if (latest && (latest.status === 'error' || isAbandoned(latest))) {
+      if (latest.status === 'processing') {
+        logger.warn('Retrying abandoned payment attempt', { orderId, paymentId: latest.id });
+      }
+
+      const [payment] = await trx('payments')
+        .where({ id: latest.id })
+        .update({ status: 'processing', attempted_by: userId, updated_at: new Date() })
+        .returning('*');
+      return { order, payment };
+    }
+
+    const [payment] = await trx('payments').insert({
+      order_id: orderId,
+      amount: order.total_amount,
+      currency: config.get('payments.currency'),
+      status: 'processing',
+      attempted_by: userId,
+      created_at: new Date(),
+      updated_at: new Date()
+    }).returning('*');
+
+    return { order, payment };
+  });
+};
+
+// Charge a pending order. Successful charges move the order to paid; declines
+// and provider failures leave it pending so the customer can try again.
+const payOrder = async (orderId, { userId, paymentMethod }) => {
+  const { order, payment } = await startPaymentAttempt(orderId, userId);
+
+  let result;
+  try {
+    result = await charge({
+      idempotencyKey: payment.id,
+      orderId,
+      amount: toCents(payment.amount),
+      currency: payment.currency,
+      paymentMethod,
+      description: `Order ${orderId}`
+    });
+  } catch (error) {
+    await DatabaseOperations.payments.update(payment.id, {
+      status: 'error',
+      failure_message: error.message,
+      updated_at: new Date()
+    });
+
+    logger.business('payment_failed', {
+      orderId,
+      paymentId: payment.id,
+      error: error.message
+    });
+
+    throw error;
+  }
+
+  if (result.status === 'declined') {
+    const [declinedPayment] = await DatabaseOperations.payments.update(payment.id, {
+      status: 'declined',
+      provider_reference: result.reference,
+      failure_code: result.code,
+      failure_message: result.message,
+      updated_at: new Date()
+    });
+
+    logger.business('payment_declined', {
+      orderId,
+      paymentId: payment.id,
+      code: result.code
+    });
+
+    return { outcome: 'declined', payment: declinedPayment, order };
+  }
+
+  const [capturedPayment] = await DatabaseOperations.payments.update(payment.id, {
+    status: 'succeeded',
+    provider_reference: result.reference,
+    updated_at: new Date()
+  });
+
+  let paidOrder;
+  try {
+    paidOrder = await transitionOrderStatus(orderId, 'paid', {
+      reason: `Payment ${result.reference} captured`
+    });
+  } catch (error) {
+    // The money has been taken; surface loudly so it can be reconciled
+    logger.error('Payment captured but order could not be marked paid', {
+      orderId,
+      paymentId: payment.id,
+      providerReference: result.reference,
+      error: error.message
+    });
+    throw error;
+  }
+
+  logger.business('payment_captured', {
+    orderId,
+    paymentId: payment.id,
+    amount: payment.amount,
+    currency: payment.currency
+  });
+
+  return { outcome: 'succeeded', payment: capturedPayment, order: paidOrder };
+};
+
+const getOrderPayments = async (orderId) => {
+  return DatabaseOperations.payments.findByOrderId(orderId);
+};
+
+module.exports = {
+  payOrder,
+  getOrderPayments
+};
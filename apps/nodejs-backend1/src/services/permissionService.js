@@ -0,0 +1,187 @@
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  ForbiddenError
+} = require('../middleware/errorHandler');
+
+// Holders of these administer accounts or roles; see canManageRole
+const ACCOUNT_ADMIN_PERMISSIONS = ['users:create', 'users:update', 'users:delete', 'users:manage_admins', 'roles:manage'];
+
+// roleName -> { permissions, expiresAt }
+const cache = new Map();
+
+/**
+ * Permission names granted to a role, cached for auth.permissions.cacheTtl
+ * Changes made through this service clear the cache right away; other
+ * instances pick them up when their entry expires.
+ */
+const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const grants = await DatabaseOperations.permissions.listGrants(roleName);
+  const permissions = grants.map(grant => grant.permission);
+
+  cache.set(roleName, {
+    permissions,
+    expiresAt: Date.now() + config.get('auth.permissions.cacheTtl') * 1000
+  });
+
+  return permissions;
+};
+
+const hasAll = (held, required) => required.every(permission => held.includes(permission));
+
+/**
+ * Whether `actor` may assign a role, or manage a user who has it
+ * Anyone with users:manage_admins may; otherwise the role must not
+ * administer accounts itself and must grant nothing the actor lacks.
+ */
+const canManageRole = async (actor, roleName) => {
+  const actorPermissions = actor.permissions || [];
+  if (actorPermissions.includes('users:manage_admins')) {
+    return true;
+  }
+
+  const rolePermissions = await getRolePermissions(roleName);
+  return hasAll(actorPermissions, rolePermissions)
+    && !rolePermissions.some(permission => ACCOUNT_ADMIN_PERMISSIONS.includes(permission));
+};
+
+const roleExists = async (roleName) => {
+  const roles = await DatabaseOperations.roles.findByName(roleName);
+  return roles.length > 0;
+};
+
+const findRole = async (roleName) => {
+  const roles = await DatabaseOperations.roles.findByName(roleName);
+  if (roles.length === 0) {
+    throw new NotFoundError('Role');
+  }
+  return roles[0];
+};
+
+const listPermissions = () => DatabaseOperations.permissions.list();
+
+// Every role with the names of the permissions it grants
+const listRoles = async () => {
+  const [roles, grants] = await Promise.all([
+    DatabaseOperations.roles.list(),
+    DatabaseOperations.permissions.listGrants()
+  ]);
+
+  return roles.map(role => ({
+    ...role,
+    permissions: grants.filter(grant => grant.role === role.name).map(grant => grant.permission)
+  }));
+};
+
+const getRole = async (roleName) => {
+  const role = await findRole(roleName);
+  return { ...role, permissions: await getRolePermissions(role.name) };
+};
+
+// Permission rows for a list of names; unknown names and names the actor does
+// not hold (which would let them escalate) are rejected
+const resolvePermissions = async (names, actor) => {
+  const unique = [...new Set(names)];
+  const permissions = unique.length > 0 ? await DatabaseOperations.permissions.findByNames(unique) : [];
+
+  const unknown = unique.filter(name => !permissions.some(permission => permission.name === name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  if (!hasAll(actor.permissions || [], unique)) {
+    throw new ForbiddenError('Cannot grant permissions you do not have');
+  }
+
+  return permissions;
+};
+
+const replaceGrants = async (trx, roleId, permissions) => {
+  await trx('role_permissions').where({ role_id: roleId }).del();
+  if (permissions.length > 0) {
+    await trx('role_permissions').insert(
+      permissions.map(permission => ({ role_id: roleId, permission_id: permission.id }))
+    );
+  }
+};
+
+const createRole = async ({ name, description = null, permissions = [] }, actor) => {
+  if (await roleExists(name)) {
+    throw new ConflictError('Role already exists');
+  }
+
+  const granted = await resolvePermissions(permissions, actor);
+
+  await DatabaseOperations.transaction(async (trx) => {
+    const [role] = await trx('roles').insert({ name, description, is_system: false }).returning('*');
+    await replaceGrants(trx, role.id, granted);
+  });
+  cache.delete(name);
+
+  logger.security('Role created', { actorId: actor.id, role: name, permissions });
+
+  return getRole(name);
+};
+
+// `permissions`, when given, replaces everything the role grants
+const updateRole = async (roleName, { description, permissions }, actor) => {
+  const role = await findRole(roleName);
+  const granted = permissions !== undefined ? await resolvePermissions(permissions, actor) : null;
+
+  await DatabaseOperations.transaction(async (trx) => {
+    const roleData = { updated_at: new Date() };
+    if (description !== undefined) roleData.description = description;
+    await trx('roles').where({ id: role.id }).update(roleData);
+
+    if (granted) {
+      await replaceGrants(trx, role.id, granted);
+    }
+  });
+  cache.delete(roleName);
+
+  logger.security('Role updated', {
+    actorId: actor.id,
+    role: roleName,
+    ...(permissions !== undefined && { permissions })
+  });
+
+  return getRole(roleName);
+};
+
+const deleteRole = async (roleName, actor) => {
+  const role = await findRole(roleName);
+  if (role.is_system) {
+    throw new ForbiddenError('Built-in roles cannot be deleted');
+  }
+
+  const { count } = await DatabaseOperations.roles.countUsers(roleName);
+  if (parseInt(count) > 0) {
+    throw new ConflictError('Role is still assigned to users');
+  }
+
+  await DatabaseOperations.roles.delete(role.id);
+  cache.delete(roleName);
+
+  logger.security('Role deleted', { actorId: actor.id, role: roleName });
+};
+
+module.exports = {
+  getRolePermissions,
+  canManageRole,
+  roleExists,
+  listPermissions,
+  listRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+};
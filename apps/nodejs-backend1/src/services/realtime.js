@@ -0,0 +1,177 @@
+const config = require('config');
+const logger = require('../utils/logger');
+const { RedisOperations, createSubscriber } = require('../config/redis');
+const { EVENTS, subscribe } = require('./events');
+
+// Every pod subscribes to one channel and forwards events to its own clients
+const CHANNEL = 'realtime:events';
+
+// Clients listen on channels; each user and each order has one
+const channels = {
+  user: (userId) => `user:${userId}`,
+  order: (orderId) => `order:${orderId}`
+};
+
+const keys = {
+  sequence: 'realtime:sequence',
+  history: (channel) => `realtime:history:${channel}`
+};
+
+// channel -> Set of { send(event), close() } for clients connected to this pod
+const connections = new Map();
+
+// Used when Redis is disabled (single instance)
+let memorySequence = 0;
+const memoryHistory = new Map();
+
+let subscriber = null;
+let started = false;
+
+const redisEnabled = () => config.get('redis.enabled');
+
+// Event IDs increase across all pods so clients can resume with Last-Event-ID
+const nextEventId = async () => {
+  if (redisEnabled()) {
+    return RedisOperations.incr(keys.sequence);
+  }
+  memorySequence += 1;
+  return memorySequence;
+};
+
+// Keep the channel's recent events (newest first) for clients that reconnect
+const remember = async (event) => {
+  const { historySize, historyTtl } = config.get('realtime');
+
+  if (redisEnabled()) {
+    const key = keys.history(event.channel);
+    await RedisOperations.lPush(key, JSON.stringify(event));
+    await RedisOperations.lTrim(key, 0, historySize - 1);
+    await RedisOperations.expire(key, historyTtl);
+    return;
+  }
+
+  const history = memoryHistory.get(event.channel) || [];
+  history.unshift(event);
+  memoryHistory.set(event.channel, history.slice(0, historySize));
+};
+
+const dispatchLocal = (event) => {
+  const channelConnections = connections.get(event.channel);
+  if (!channelConnections) {
+    return;
+  }
+
+  channelConnections.forEach(connection => {
+    try {
+      connection.send(event);
+    } catch (error) {
+      logger.warn('Failed to push real-time event', { channel: event.channel, error: error.message });
+    }
+  });
+};
+
+/**
+ * Push an event to every connection listening on a channel, whichever pod
+ * holds it. With Redis the event goes through pub/sub, so this pod receives it
+ * the same way as the others.
+ */
+const publishToChannel = async (channel, type, data) => {
+  const event = {
+    id: await nextEventId(),
+    channel,
+    type,
+    data,
+    sentAt: new Date().toISOString()
+  };
+
+  await remember(event);
+
+  if (redisEnabled()) {
+    await RedisOperations.publish(CHANNEL, JSON.stringify(event));
+  } else {
+    dispatchLocal(event);
+  }
+
+  return event;
+};
+
+const publishToUser = (userId, type, data) => publishToChannel(channels.user(userId), type, data);
+
+// Returns a function that removes the connection again
+const addConnection = (channel, connection) => {
+  if (!connections.has(channel)) {
+    connections.set(channel, new Set());
+  }
+  connections.get(channel).add(connection);
+
+  return () => {
+    const channelConnections = connections.get(channel);
+    if (channelConnections) {
+      channelConnections.delete(connection);
+      if (channelConnections.size === 0) {
+        connections.delete(channel);
+      }
+    }
+  };
+};
+
+// Events a reconnecting client missed, oldest first
+const eventsSince = async (channel, lastEventId) => {
+  const history = redisEnabled()
+    ? (await RedisOperations.lRange(keys.history(channel), 0, -1)).map(entry => JSON.parse(entry))
+    : (memoryHistory.get(channel) || []);
+
+  return history
+    .filter(event => event.id > lastEventId)
+    .sort((a, b) => a.id - b.id);
+};
+
+const startRealtime = async () => {
+  if (started) {
+    return;
+  }
+  started = true;
+
+  if (redisEnabled()) {
+    subscriber = await createSubscriber();
+    await subscriber.subscribe(CHANNEL, (message) => {
+      try {
+        dispatchLocal(JSON.parse(message));
+      } catch (error) {
+        logger.warn('Ignoring malformed real-time message', { error: error.message });
+      }
+    });
+  }
+
+  subscribe(EVENTS.ORDER_STATUS_CHANGED, async ({ userId, orderId, fromStatus, toStatus, occurredAt }) => {
+    const data = { orderId, fromStatus, toStatus, occurredAt };
+    await publishToUser(userId, EVENTS.ORDER_STATUS_CHANGED, data);
+    await publishToChannel(channels.order(orderId), EVENTS.ORDER_STATUS_CHANGED, data);
+  });
+};
+
+// Close every client on this pod (they reconnect elsewhere and resume) and
+// drop the subscription
+const stopRealtime = async () => {
+  // A client listening on several channels is registered once per channel
+  const open = new Set([...connections.values()].flatMap(channelConnections => [...channelConnections]));
+  open.forEach(connection => connection.close());
+  connections.clear();
+
+  if (subscriber) {
+    await subscriber.quit();
+    subscriber = null;
+  }
+
+  logger.info('Real-time connections closed', { count: open.size });
+};
+
+module.exports = {
+  channels,
+  publishToChannel,
+  publishToUser,
+  addConnection,
+  eventsSince,
+  startRealtime,
+  stopRealtime
+};
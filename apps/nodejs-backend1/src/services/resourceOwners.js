@@ -0,0 +1,55 @@
+const { DatabaseOperations } = require('../config/database');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// resourceType -> { resolveOwner, bypassPermission }
+const resolvers = new Map();
+
+/**
+ * Register how to find the owner of a resource type, for requireOwnership
+ * `resolveOwner(resourceId, req)` returns the owning user's id, or null when
+ * the resource does not exist. Holders of `bypassPermission` may access
+ * every resource of the type.
+ */
+const registerOwnerResolver = (resourceType, resolveOwner, { bypassPermission = null } = {}) => {
+  if (resolvers.has(resourceType)) {
+    throw new Error(`Owner resolver for "${resourceType}" is already registered`);
+  }
+  resolvers.set(resourceType, { resolveOwner, bypassPermission });
+};
+
+const getOwnerResolver = (resourceType) => {
+  const resolver = resolvers.get(resourceType);
+  if (!resolver) {
+    throw new Error(`No owner resolver registered for "${resourceType}"`);
+  }
+  return resolver;
+};
+
+// Ids that cannot exist are treated as missing rather than sent to the database
+const findOwner = (lookup) => async (id) => {
+  if (!UUID_PATTERN.test(id || '')) {
+    return null;
+  }
+  return lookup(id);
+};
+
+registerOwnerResolver('user', findOwner(async (id) => {
+  const users = await DatabaseOperations.users.findById(id);
+  return users.length > 0 ? users[0].id : null;
+}), { bypassPermission: 'users:read' });
+
+registerOwnerResolver('order', findOwner(async (id) => {
+  const orders = await DatabaseOperations.orders.findById(id);
+  return orders.length > 0 ? orders[0].user_id : null;
+}), { bypassPermission: 'orders:manage' });
+
+// Carts and uploaded files are stored under their owner's id (cart:<userId>,
+// <category>/<userId>/<file>), so the id in the path is the owner
+registerOwnerResolver('cart', findOwner(async (userId) => userId));
+registerOwnerResolver('file', findOwner(async (userId) => userId));
+
+module.exports = {
+  registerOwnerResolver,
+  getOwnerResolver
+};
@@ -0,0 +1,212 @@
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const {
+  AppError,
+  UnauthorizedError,
+  NotFoundError,
+  ExternalServiceError
+} = require('../middleware/errorHandler');
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+
+// Short label for the session list, e.g. "Chrome on Windows" or "curl"
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = match(BROWSERS, userAgent);
+  const platform = match(PLATFORMS, userAgent);
+  if (browser || platform) {
+    return [browser, platform].filter(Boolean).join(' on ');
+  }
+
+  return userAgent.split(/[\s/]/)[0].substring(0, 100);
+};
+
+const sessionExpiry = () => new Date(Date.now() + config.get('auth.sessions.ttl') * 1000);
+
+const isActive = (session) => !session.revoked_at && new Date(session.expires_at) > new Date();
+
+const createSession = async (userId, { ip, userAgent } = {}) => {
+  const [session] = await DatabaseOperations.userSessions.create({
+    user_id: userId,
+    device: describeDevice(userAgent),
+    user_agent: userAgent ? userAgent.substring(0, 512) : null,
+    ip,
+    expires_at: sessionExpiry()
+  });
+
+  logger.userActivity(userId, 'session_created', { sessionId: session.id, ip });
+
+  return session;
+};
+
+/**
+ * Check that a token's session still exists, belongs to the token's user and
+ * has not been revoked or expired
+ * Also records when the session was last used, at most every
+ * auth.sessions.touchInterval seconds.
+ */
+const assertActiveSession = async (sessionId, userId, context = {}) => {
+  const sessions = await DatabaseOperations.userSessions.findById(sessionId);
+  const session = sessions[0];
+
+  if (!session || session.user_id !== userId || !isActive(session)) {
+    logger.security('Token from revoked session used', {
+      userId,
+      sessionId,
+      ...context
+    });
+    throw new UnauthorizedError('Session has been revoked');
+  }
+
+  const now = new Date();
+  const touchBefore = new Date(now.getTime() - config.get('auth.sessions.touchInterval') * 1000);
+  DatabaseOperations.userSessions.touch(session.id, { last_used_at: now, ip: context.ip || session.ip }, touchBefore)
+    .catch(error => logger.warn('Failed to update session last use', { sessionId, error: error.message }));
+
+  return session;
+};
+
+// Register the next refresh token of a session's family; returns its `jti`
+const issueRefreshTokenId = async (session) => {
+  const [refreshToken] = await DatabaseOperations.refreshTokens.create({
+    session_id: session.id,
+    expires_at: sessionExpiry()
+  });
+  return refreshToken.id;
+};
+
+// A token that was exchanged before is being replayed: whoever holds the
+// family is no longer trusted, so the whole session is revoked
+const revokeReusedFamily = async (claims, refreshToken, context) => {
+  await DatabaseOperations.userSessions.revoke(claims.sid, 'refresh_token_reuse');
+
+  logger.security('Refresh token reuse detected; session revoked', {
+    userId: claims.userId,
+    sessionId: claims.sid,
+    tokenId: claims.jti,
+    usedAt: refreshToken.used_at,
+    ...context
+  });
+};
+
+const exchangeRefreshToken = async (claims, context) => {
+  // Tokens from before rotation have no `jti` and cannot be checked for reuse
+  if (!claims.sid || !claims.jti) {
+    logger.security('Refresh token without token family used', { userId: claims.userId, ...context });
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  const session = await assertActiveSession(claims.sid, claims.userId, context);
+
+  const consumed = await DatabaseOperations.refreshTokens.consume(claims.jti, session.id);
+  if (consumed.length === 0) {
+    const refreshTokens = await DatabaseOperations.refreshTokens.findById(claims.jti);
+    const refreshToken = refreshTokens[0];
+
+    if (refreshToken && refreshToken.session_id === session.id && refreshToken.used_at) {
+      await revokeReusedFamily(claims, refreshToken, context);
+    } else {
+      logger.security('Unknown or expired refresh token used', {
+        userId: claims.userId,
+        sessionId: claims.sid,
+        ...context
+      });
+    }
+    throw new UnauthorizedError('Refresh token has been revoked');
+  }
+
+  // Refreshing extends the session by the full lifetime again
+  const [updatedSession] = await DatabaseOperations.userSessions.update(session.id, {
+    last_used_at: new Date(),
+    ip: context.ip,
+    expires_at: sessionExpiry()
+  });
+
+  return updatedSession;
+};
+
+/**
+ * Spend a refresh token and return its session, ready for the next token
+ * Fails closed: if the session store cannot be reached, no new tokens are
+ * issued rather than skipping the revocation and reuse checks.
+ */
+const rotateRefreshToken = async (claims, context = {}) => {
+  try {
+    return await exchangeRefreshToken(claims, context);
+  } catch (error) {
+    if (error instanceof AppError && error.isOperational) {
+      throw error;
+    }
+
+    logger.error('Refresh token could not be checked', {
+      userId: claims.userId,
+      sessionId: claims.sid,
+      error: error.message
+    });
+    throw new ExternalServiceError('Session store', 'Unable to verify refresh token');
+  }
+};
+
+const listSessions = async (userId, currentSessionId = null) => {
+  const sessions = await DatabaseOperations.userSessions.findActiveByUserId(userId);
+  return sessions.map(session => ({
+    ...session,
+    current: session.id === currentSessionId
+  }));
+};
+
+const revokeSession = async (userId, sessionId, { reason = 'user_revoked', ...context } = {}) => {
+  const sessions = await DatabaseOperations.userSessions.findById(sessionId);
+  if (sessions.length === 0 || sessions[0].user_id !== userId || !isActive(sessions[0])) {
+    throw new NotFoundError('Session');
+  }
+
+  await DatabaseOperations.userSessions.revoke(sessionId, reason);
+
+  logger.userActivity(userId, 'session_revoked', { sessionId, reason, ...context });
+};
+
+// Log out everywhere; `exceptSessionId` keeps the caller's own session
+const revokeAllSessions = async (userId, { reason = 'logout_all', exceptSessionId = null, ...context } = {}) => {
+  const revoked = await DatabaseOperations.userSessions.revokeByUserId(userId, reason, exceptSessionId);
+
+  logger.userActivity(userId, 'sessions_revoked', {
+    count: revoked.length,
+    reason,
+    exceptSessionId,
+    ...context
+  });
+
+  return revoked.length;
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  assertActiveSession,
+  issueRefreshTokenId,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,291 @@
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Variables may be nested objects, referenced as {{order.number}}
+const lookup = (data, path) => {
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const extractPlaceholders = (text) => {
+  if (!text) {
+    return [];
+  }
+  return [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+};
+
+const renderString = (text, data, { html = false } = {}) => {
+  if (!text) {
+    return text;
+  }
+  return text.replace(PLACEHOLDER_PATTERN, (_, path) => {
+    const value = lookup(data, path);
+    if (isMissing(value)) {
+      return '';
+    }
+    return html ? escapeHtml(value) : String(value);
+  });
+};
+
+// Plain-text fallback for templates that only have an HTML body
+const htmlToText = (html) => {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const parseVariables = (variables) => {
+  const parsed = typeof variables === 'string' ? JSON.parse(variables) : (variables || []);
+  return parsed.map(variable => ({ ...variable, required: variable.required !== false }));
+};
+
+// A template needs a subject and a body, and may only use placeholders it declares
+const validateDefinition = ({ subject, bodyText, bodyHtml, variables = [] }) => {
+  if (typeof subject !== 'string' || subject.trim() === '') {
+    throw new ValidationError('Template needs a subject');
+  }
+
+  if (!bodyText && !bodyHtml) {
+    throw new ValidationError('Template needs a text or HTML body');
+  }
+
+  if (!Array.isArray(variables) || variables.some(variable => !variable || typeof variable.name !== 'string')) {
+    throw new ValidationError('Template variables must be a list of { name, required, sample }');
+  }
+
+  const declared = new Set(variables.map(variable => variable.name));
+  const undeclared = [...new Set([subject, bodyText, bodyHtml].flatMap(extractPlaceholders))]
+    .filter(name => !declared.has(name.split('.')[0]));
+
+  if (undeclared.length > 0) {
+    throw new ValidationError(
+      'Template uses undeclared variables',
+      undeclared.map(name => ({ variable: name, msg: 'Variable is not declared' }))
+    );
+  }
+};
+
+/**
+ * Render a stored template (or an unsaved definition) against data
+ * Throws ValidationError listing every required variable that is missing.
+ * Returns { subject, text, html } where text falls back to the HTML body.
+ */
+const renderTemplate = (template, data = {}) => {
+  const variables = parseVariables(template.variables);
+
+  const missing = variables
+    .filter(variable => variable.required && isMissing(lookup(data, variable.name)))
+    .map(variable => variable.name);
+
+  if (missing.length > 0) {
+    throw new ValidationError(
+      'Missing required template variables',
+      missing.map(name => ({ variable: name, msg: 'Required variable is missing' }))
+    );
+  }
+
+  const bodyText = template.body_text !== undefined ? template.body_text : template.bodyText;
+  const bodyHtml = template.body_html !== undefined ? template.body_html : template.bodyHtml;
+
+  const html = bodyHtml ? renderString(bodyHtml, data, { html: true }) : null;
+  const text = bodyText ? renderString(bodyText, data) : htmlToText(html);
+
+  return {
+    subject: renderString(template.subject, data),
+    text,
+    html
+  };
+};
+
+// fr-CA -> fr-CA, fr, then the default locale
+const localeCandidates = (locale) => {
+  const defaultLocale = config.get('notifications.defaultLocale');
+  const candidates = [];
+
+  if (locale) {
+    candidates.push(locale);
+    const language = locale.split('-')[0];
+    if (language !== locale) {
+      candidates.push(language);
+    }
+  }
+  candidates.push(defaultLocale);
+
+  return [...new Set(candidates)];
+};
+
+const resolveTemplate = async (key, locale) => {
+  for (const candidate of localeCandidates(locale)) {
+    const [template] = await DatabaseOperations.notificationTemplates.findActive(key, candidate);
+    if (template) {
+      return template;
+    }
+  }
+  throw new NotFoundError(`Template ${key}`);
+};
+
+const renderNotification = async (key, locale, data) => {
+  const template = await resolveTemplate(key, locale);
+  return { ...renderTemplate(template, data), locale: template.locale, version: template.version };
+};
+
+// Data for previews: the caller's values over each variable's sample
+const sampleData = (variables, data = {}) => {
+  const samples = {};
+  parseVariables(variables).forEach(variable => {
+    if (variable.sample !== undefined) {
+      samples[variable.name] = variable.sample;
+    }
+  });
+  return { ...samples, ...data };
+};
+
+const listTemplates = async (filters) => DatabaseOperations.notificationTemplates.list(filters);
+
+const getTemplate = async (key, locale) => {
+  const versions = await DatabaseOperations.notificationTemplates.findVersions(key, locale);
+  if (versions.length === 0) {
+    throw new NotFoundError('Template');
+  }
+  return {
+    active: versions.find(version => version.is_active) || null,
+    versions
+  };
+};
+
+const getTemplateVersion = async (key, locale, version) => {
+  const [template] = await DatabaseOperations.notificationTemplates.findVersion(key, locale, version);
+  if (!template) {
+    throw new NotFoundError('Template version');
+  }
+  return template;
+};
+
+const UNIQUE_VIOLATION = '23505';
+
+// Insert the next version of a variant and make it the active one. Locking
+// the variant's rows serialises concurrent saves; a variant's first version
+// has no rows to lock, so a concurrent first save fails the unique
+// constraint instead and is retried once.
+const insertNextVersion = async (key, locale, definition, actorId, retry = true) => {
+  try {
+    return await DatabaseOperations.transaction(async (trx) => {
+      const versions = await trx('notification_templates')
+        .where({ key, locale })
+        .select('version')
+        .forUpdate();
+      const latest = Math.max(0, ...versions.map(row => row.version));
+
+      await trx('notification_templates')
+        .where({ key, locale, is_active: true })
+        .update({ is_active: false });
+
+      const [created] = await trx('notification_templates').insert({
+        key,
+        locale,
+        version: latest + 1,
+        subject: definition.subject,
+        body_text: definition.bodyText || null,
+        body_html: definition.bodyHtml || null,
+        variables: JSON.stringify(definition.variables || []),
+        is_active: true,
+        created_by: actorId,
+        created_at: new Date()
+      }).returning('*');
+
+      return created;
+    });
+  } catch (error) {
+    if (retry && error.code === UNIQUE_VIOLATION) {
+      return insertNextVersion(key, locale, definition, actorId, false);
+    }
+    throw error;
+  }
+};
+
+// Saving always creates a new version and makes it the active one
+const saveTemplateVersion = async (key, locale, definition, actorId) => {
+  validateDefinition(definition);
+
+  const template = await insertNextVersion(key, locale, definition, actorId);
+
+  logger.business('notification_template_saved', {
+    key,
+    locale,
+    version: template.version,
+    actorId
+  });
+
+  return template;
+};
+
+// Roll back (or forward) to an existing version
+const activateTemplateVersion = async (key, locale, version, actorId) => {
+  const template = await DatabaseOperations.transaction(async (trx) => {
+    const [target] = await trx('notification_templates').where({ key, locale, version });
+    if (!target) {
+      throw new NotFoundError('Template version');
+    }
+
+    await trx('notification_templates')
+      .where({ key, locale, is_active: true })
+      .update({ is_active: false });
+
+    const [activated] = await trx('notification_templates')
+      .where({ id: target.id })
+      .update({ is_active: true })
+      .returning('*');
+
+    return activated;
+  });
+
+  logger.business('notification_template_activated', { key, locale, version, actorId });
+
+  return template;
+};
+
+const deleteTemplate = async (key, locale) => {
+  const deleted = await DatabaseOperations.notificationTemplates.deleteVariant(key, locale);
+  if (!deleted) {
+    throw new NotFoundError('Template');
+  }
+  return deleted;
+};
+
+module.exports = {
+  renderTemplate,
+  renderNotification,
+  resolveTemplate,
+  validateDefinition,
+  sampleData,
+  listTemplates,
+  getTemplate,
+  getTemplateVersion,
+  saveTemplateVersion,
+  activateTemplateVersion,
+  deleteTemplate
+};
@@ -0,0 +1,54 @@
+const config = require('config');
+const logger = require('../utils/logger');
+const { BlobStorageOperations } = require('../config/azure');
+const { enqueue } = require('./jobQueue');
+
+const QUEUE = 'thumbnail';
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const thumbnailBlobName = (blobName) => `${config.get('thumbnails.prefix')}/${blobName}`;
+
+// Queue thumbnail generation for an uploaded image; other files are ignored
+const queueThumbnail = async ({ containerName, blobName, contentType }) => {
+  if (!config.get('thumbnails.enabled') || !IMAGE_TYPES.includes(contentType)) {
+    return null;
+  }
+
+  return enqueue(QUEUE, { containerName, blobName, contentType });
+};
+
+// Job handler: resize the stored image to fit within the configured box
+const generateThumbnail = async ({ containerName, blobName, contentType }) => {
+  // Loaded lazily so the native module is only needed where workers run
+  const sharp = require('sharp');
+  const { width, height } = config.get('thumbnails');
+  const startTime = Date.now();
+
+  const { data } = await BlobStorageOperations.downloadBlob(containerName, blobName);
+
+  const thumbnail = await sharp(data)
+    .rotate()
+    .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+    .toBuffer();
+
+  const targetBlobName = thumbnailBlobName(blobName);
+  await BlobStorageOperations.uploadBlob(containerName, targetBlobName, thumbnail, {
+    contentType,
+    metadata: { sourceBlob: blobName }
+  });
+
+  logger.info('Thumbnail generated', {
+    blobName,
+    thumbnail: targetBlobName,
+    size: thumbnail.length,
+    duration: `${Date.now() - startTime}ms`
+  });
+};
+
+module.exports = {
+  QUEUE,
+  queueThumbnail,
+  generateThumbnail,
+  thumbnailBlobName
+};
@@ -0,0 +1,311 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('config');
+const logger = require('../utils/logger');
+const { DatabaseOperations } = require('../config/database');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { EVENTS, subscribe } = require('./events');
+const { enqueue } = require('./jobQueue');
+
+const QUEUE = 'webhook-delivery';
+
+// Events integrators can subscribe to
+const WEBHOOK_EVENTS = [
+  EVENTS.ORDER_CREATED,
+  EVENTS.ORDER_STATUS_CHANGED,
+  EVENTS.USER_REGISTERED,
+  EVENTS.PRODUCT_UPDATED
+];
+
+const HEADERS = {
+  id: 'X-Webhook-Id',
+  event: 'X-Webhook-Event',
+  timestamp: 'X-Webhook-Timestamp',
+  signature: 'X-Webhook-Signature'
+};
+
+const RESPONSE_BODY_LIMIT = 2000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature sent in X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of
+ * "<timestamp>.<raw body>" keyed with the endpoint secret. Receivers should
+ * recompute it and reject stale timestamps to stop replays.
+ */
+const signPayload = (secret, timestamp, body) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// The secret only ever leaves the service when an endpoint is created
+const toEndpointResponse = ({ secret, ...endpoint }) => ({
+  ...endpoint,
+  events: parseJson(endpoint.events)
+});
+
+const findEndpoint = async (id) => {
+  const endpoints = await DatabaseOperations.webhookEndpoints.findById(id);
+  if (endpoints.length === 0) {
+    throw new NotFoundError('Webhook endpoint');
+  }
+  return endpoints[0];
+};
+
+const createEndpoint = async ({ url, description, events, secret }, actorId) => {
+  const [endpoint] = await DatabaseOperations.webhookEndpoints.create({
+    url,
+    description,
+    events: JSON.stringify(events),
+    secret: secret || generateSecret(),
+    created_by: actorId
+  });
+
+  logger.business('webhook_endpoint_created', { endpointId: endpoint.id, events, actorId });
+
+  return { ...toEndpointResponse(endpoint), secret: endpoint.secret };
+};
+
+const listEndpoints = async () => {
+  const endpoints = await DatabaseOperations.webhookEndpoints.list();
+  return endpoints.map(toEndpointResponse);
+};
+
+const getEndpoint = async (id) => toEndpointResponse(await findEndpoint(id));
+
+// Re-enabling an endpoint clears its failure streak
+const updateEndpoint = async (id, { url, description, events, secret, isActive }, actorId) => {
+  await findEndpoint(id);
+
+  const updateData = { updated_at: new Date() };
+  if (url !== undefined) updateData.url = url;
+  if (description !== undefined) updateData.description = description;
+  if (events !== undefined) updateData.events = JSON.stringify(events);
+  if (secret !== undefined) updateData.secret = secret;
+  if (isActive !== undefined) {
+    updateData.is_active = isActive;
+    if (isActive) {
+      Object.assign(updateData, { failure_count: 0, disabled_at: null, disabled_reason: null });
+    }
+  }
+
+  const [endpoint] = await DatabaseOperations.webhookEndpoints.update(id, updateData);
+
+  logger.business('webhook_endpoint_updated', {
+    endpointId: id,
+    updatedFields: Object.keys(updateData).filter(key => key !== 'updated_at' && key !== 'secret'),
+    secretRotated: secret !== undefined,
+    actorId
+  });
+
+  return toEndpointResponse(endpoint);
+};
+
+const deleteEndpoint = async (id, actorId) => {
+  const deleted = await DatabaseOperations.webhookEndpoints.delete(id);
+  if (!deleted) {
+    throw new NotFoundError('Webhook endpoint');
+  }
+  logger.business('webhook_endpoint_deleted', { endpointId: id, actorId });
+};
+
+const listDeliveries = async (endpointId, { status, event, page = 1, limit = 20 } = {}) => {
+  await findEndpoint(endpointId);
+
+  const offset = (page - 1) * limit;
+  const [deliveries, total] = await Promise.all([
+    DatabaseOperations.webhookDeliveries.findByEndpointId(endpointId, { status, event, limit, offset }),
+    DatabaseOperations.webhookDeliveries.countByEndpointId(endpointId, { status, event })
+  ]);
+
+  const totalCount = parseInt(total.count);
+  const totalPages = Math.ceil(totalCount / limit);
+
+  return {
+    deliveries: deliveries.map(delivery => ({ ...delivery, payload: parseJson(delivery.payload) })),
+    pagination: {
+      page,
+      limit,
+      total: totalCount,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+};
+
+// Send a logged delivery again under the same idempotency ID
+const redeliver = async (endpointId, deliveryId, actorId) => {
+  const endpoint = await findEndpoint(endpointId);
+  const deliveries = await DatabaseOperations.webhookDeliveries.findById(deliveryId);
+  if (deliveries.length === 0 || deliveries[0].endpoint_id !== endpointId) {
+    throw new NotFoundError('Webhook delivery');
+  }
+  if (!endpoint.is_active) {
+    throw new ConflictError('Webhook endpoint is disabled');
+  }
+
+  const [delivery] = await DatabaseOperations.webhookDeliveries.update(deliveryId, { status: 'pending' });
+  await enqueue(QUEUE, { deliveryId });
+
+  logger.business('webhook_redelivery_requested', { endpointId, deliveryId, actorId });
+
+  return { ...delivery, payload: parseJson(delivery.payload) };
+};
+
+// Log one delivery per subscribed endpoint and queue them
+const dispatchEvent = async (event, { event: _, occurredAt, ...data }) => {
+  const endpoints = await DatabaseOperations.webhookEndpoints.listActive();
+  const subscribed = endpoints.filter(endpoint => parseJson(endpoint.events).includes(event));
+
+  await Promise.all(subscribed.map(async (endpoint) => {
+    const [delivery] = await DatabaseOperations.webhookDeliveries.create({
+      endpoint_id: endpoint.id,
+      event,
+      payload: JSON.stringify({ occurredAt, data })
+    });
+    await enqueue(QUEUE, { deliveryId: delivery.id });
+  }));
+};
+
+const recordFailure = async (endpoint) => {
+  const [updated] = await DatabaseOperations.webhookEndpoints.recordFailure(endpoint.id);
+  const threshold = config.get('webhooks.disableAfterFailures');
+
+  if (updated && updated.is_active && updated.failure_count >= threshold) {
+    await DatabaseOperations.webhookEndpoints.update(endpoint.id, {
+      is_active: false,
+      disabled_at: new Date(),
+      disabled_reason: `Disabled after ${updated.failure_count} consecutive failed deliveries`,
+      updated_at: new Date()
+    });
+
+    logger.warn('Webhook endpoint disabled after repeated failures', {
+      endpointId: endpoint.id,
+      url: endpoint.url,
+      failureCount: updated.failure_count
+    });
+  }
+};
+
+/**
+ * Job handler: POST one logged delivery to its endpoint
+ * Failed attempts are thrown so the queue retries them with backoff; the
+ * delivery row records every attempt. 4xx responses other than 408 and 429
+ * are not retried.
+ */
+const deliverWebhook = async ({ deliveryId }, job = {}) => {
+  const deliveries = await DatabaseOperations.webhookDeliveries.findById(deliveryId);
+  if (deliveries.length === 0) {
+    return;
+  }
+  const delivery = deliveries[0];
+
+  const endpoints = await DatabaseOperations.webhookEndpoints.findById(delivery.endpoint_id);
+  if (endpoints.length === 0 || !endpoints[0].is_active) {
+    await DatabaseOperations.webhookDeliveries.update(deliveryId, {
+      status: 'cancelled',
+      error: 'Endpoint disabled or deleted'
+    });
+    return;
+  }
+  const endpoint = endpoints[0];
+
+  const { occurredAt, data } = parseJson(delivery.payload);
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    occurredAt,
+    data
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempts = delivery.attempts + 1;
+  const startTime = Date.now();
+
+  try {
+    const response = await axios.post(endpoint.url, body, {
+      timeout: config.get('webhooks.timeout'),
+      maxRedirects: 0,
+      // Keep the receiver's response as text for the delivery log
+      transformResponse: [(responseBody) => responseBody],
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': config.get('webhooks.userAgent'),
+        [HEADERS.id]: delivery.id,
+        [HEADERS.event]: delivery.event,
+        [HEADERS.timestamp]: timestamp,
+        [HEADERS.signature]: signPayload(endpoint.secret, timestamp, body)
+      }
+    });
+    const duration = Date.now() - startTime;
+
+    logger.apiCall('webhook', endpoint.url, 'POST', duration, response.status);
+
+    await DatabaseOperations.webhookDeliveries.update(deliveryId, {
+      status: 'succeeded',
+      attempts,
+      response_status: response.status,
+      response_body: String(response.data ?? '').slice(0, RESPONSE_BODY_LIMIT),
+      error: null,
+      duration_ms: duration,
+      last_attempt_at: new Date(),
+      delivered_at: new Date()
+    });
+    await DatabaseOperations.webhookEndpoints.recordSuccess(endpoint.id);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    const statusCode = error.response?.status;
+
+    logger.apiCall('webhook', endpoint.url, 'POST', duration, statusCode, error);
+
+    // The receiver rejected the payload; sending it again won't help
+    if (statusCode >= 400 && statusCode < 500 && ![408, 429].includes(statusCode)) {
+      error.retryable = false;
+    }
+    const willRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+
+    await DatabaseOperations.webhookDeliveries.update(deliveryId, {
+      status: willRetry ? 'retrying' : 'failed',
+      attempts,
+      response_status: statusCode || null,
+      response_body: error.response ? String(error.response.data ?? '').slice(0, RESPONSE_BODY_LIMIT) : null,
+      error: error.message,
+      duration_ms: duration,
+      last_attempt_at: new Date()
+    });
+    await recordFailure(endpoint);
+
+    throw error;
+  }
+};
+
+let handlersRegistered = false;
+
+// Fan subscribable domain events out to webhook endpoints; called once at startup
+const registerWebhookHandlers = () => {
+  if (handlersRegistered) {
+    return;
+  }
+  handlersRegistered = true;
+
+  WEBHOOK_EVENTS.forEach(event => {
+    subscribe(event, (payload) => dispatchEvent(event, payload));
+  });
+};
+
+module.exports = {
+  QUEUE,
+  WEBHOOK_EVENTS,
+  HEADERS,
+  signPayload,
+  createEndpoint,
+  listEndpoints,
+  getEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  listDeliveries,
+  redeliver,
+  deliverWebhook,
+  registerWebhookHandlers
+};
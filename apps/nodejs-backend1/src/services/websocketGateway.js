@@ -0,0 +1,279 @@
+const http = require('http');
+const config = require('config');
+const { WebSocketServer, WebSocket } = require('ws');
+const logger = require('../utils/logger');
+const { authenticateToken, hasUnverifiedAccess, hasPermission } = require('../middleware/auth');
+const { realtimeMetrics } = require('../middleware/monitoring');
+const { ValidationError, ForbiddenError } = require('../middleware/errorHandler');
+const { channels, addConnection } = require('./realtime');
+const { getOwnerResolver } = require('./resourceOwners');
+
+// Shutting down uses the standard 1001 (going away), which clients treat as a
+// cue to reconnect; codes of our own live in the 4000-4999 range
+const CLOSE_CODES = {
+  shuttingDown: 1001,
+  unauthorized: 4401
+};
+
+const CHANNEL_PATTERN = /^(user|order):([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+let wss = null;
+let heartbeat = null;
+
+/**
+ * Users may listen to their own channel and to their own orders; holders of
+ * the type's bypass permission (see resourceOwners: users:read for user
+ * channels, orders:manage for order channels) to any
+ */
+const authorizeChannel = async (user, channel) => {
+  const match = CHANNEL_PATTERN.exec(channel || '');
+  if (!match) {
+    throw new ValidationError('Channel must be user:{id} or order:{id}');
+  }
+  const [, prefix, id] = match;
+  const type = prefix.toLowerCase();
+  const { resolveOwner, bypassPermission } = getOwnerResolver(type);
+
+  if (!bypassPermission || !hasPermission(user, bypassPermission)) {
+    const allowed = (await resolveOwner(id)) === user.id;
+
+    if (!allowed) {
+      logger.security('Unauthorized channel subscription attempt', {
+        userId: user.id,
+        channel
+      });
+      throw new ForbiddenError(`Access denied to ${channel}`);
+    }
+  }
+
+  return channels[type](id);
+};
+
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+// Refuse the upgrade with a plain HTTP response
+const rejectUpgrade = (socket, statusCode, message) => {
+  const body = JSON.stringify({ error: { message } });
+  socket.end(
+    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+};
+
+// Browsers cannot set headers on a WebSocket, so the token may also come in
+// the access_token query parameter
+const extractToken = (req, searchParams) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+  return searchParams.get('access_token');
+};
+
+const handleMessage = async (client, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    send(client.ws, { type: 'error', message: 'Messages must be JSON' });
+    return;
+  }
+
+  const { type, channel, requestId } = message || {};
+
+  try {
+    switch (type) {
+      case 'subscribe': {
+        const key = await authorizeChannel(client.user, channel);
+        if (!client.subscriptions.has(key)) {
+          if (client.subscriptions.size >= config.get('realtime.websocket.maxSubscriptions')) {
+            realtimeMetrics.rejections.inc({ transport: 'ws', reason: 'subscription_limit' });
+            throw new ValidationError('Subscription limit reached');
+          }
+          client.subscriptions.set(key, addConnection(key, client.connection));
+          realtimeMetrics.subscriptions.inc({ channel_type: key.split(':')[0] });
+        }
+        send(client.ws, { type: 'subscribed', channel: key, requestId });
+        break;
+      }
+
+      case 'unsubscribe': {
+        const remove = client.subscriptions.get(channel);
+        if (remove) {
+          remove();
+          client.subscriptions.delete(channel);
+          realtimeMetrics.subscriptions.dec({ channel_type: channel.split(':')[0] });
+        }
+        send(client.ws, { type: 'unsubscribed', channel, requestId });
+        break;
+      }
+
+      case 'ping':
+        send(client.ws, { type: 'pong', requestId });
+        break;
+
+      default:
+        throw new ValidationError('Unknown message type');
+    }
+  } catch (error) {
+    if (error instanceof ForbiddenError) {
+      realtimeMetrics.rejections.inc({ transport: 'ws', reason: 'forbidden' });
+    } else if (!error.isOperational) {
+      logger.error('WebSocket message failed', { userId: client.user.id, type, error: error.message });
+    }
+
+    send(client.ws, {
+      type: 'error',
+      requestId,
+      channel,
+      message: error.isOperational ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const handleConnection = (ws, user, token, req) => {
+  const client = {
+    ws,
+    user,
+    token,
+    ip: req.socket.remoteAddress,
+    isAlive: true,
+    subscriptions: new Map(),
+    // Registered once per subscribed channel; the event names its channel
+    connection: {
+      send: (event) => {
+        send(ws, { type: 'event', id: event.id, channel: event.channel, event: event.type, data: event.data });
+        realtimeMetrics.messages.inc({ transport: 'ws', event: event.type });
+      },
+      close: () => ws.close(CLOSE_CODES.shuttingDown, 'Server shutting down')
+    }
+  };
+  ws.client = client;
+
+  realtimeMetrics.connections.inc({ transport: 'ws' });
+  logger.userActivity(user.id, 'websocket_connected', { ip: client.ip });
+
+  ws.on('pong', () => {
+    client.isAlive = true;
+  });
+
+  ws.on('message', (raw) => handleMessage(client, raw));
+
+  ws.on('close', () => {
+    client.subscriptions.forEach((remove, channel) => {
+      remove();
+      realtimeMetrics.subscriptions.dec({ channel_type: channel.split(':')[0] });
+    });
+    client.subscriptions.clear();
+    realtimeMetrics.connections.dec({ transport: 'ws' });
+    logger.debug('WebSocket closed', { userId: user.id });
+  });
+
+  ws.on('error', (error) => {
+    logger.warn('WebSocket error', { userId: user.id, error: error.message });
+  });
+
+  send(ws, { type: 'welcome', userId: user.id });
+};
+
+const handleUpgrade = async (req, socket, head) => {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  if (pathname !== config.get('realtime.websocket.path')) {
+    rejectUpgrade(socket, 404, 'Not found');
+    return;
+  }
+
+  const token = extractToken(req, searchParams);
+  if (!token) {
+    realtimeMetrics.rejections.inc({ transport: 'ws', reason: 'unauthorized' });
+    rejectUpgrade(socket, 401, 'Access token required');
+    return;
+  }
+
+  let user;
+  try {
+    user = await authenticateToken(token, {
+      ip: req.socket.remoteAddress,
+      userAgent: req.headers['user-agent']
+    });
+  } catch (error) {
+    realtimeMetrics.rejections.inc({ transport: 'ws', reason: 'unauthorized' });
+    rejectUpgrade(socket, error.statusCode || 401, error.isOperational ? error.message : 'Unauthorized access');
+    return;
+  }
+
+  if (!hasUnverifiedAccess(user, pathname)) {
+    realtimeMetrics.rejections.inc({ transport: 'ws', reason: 'unverified' });
+    rejectUpgrade(socket, 403, 'Email address must be verified');
+    return;
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, user, token, req));
+};
+
+/**
+ * Drop clients that stopped answering pings, and re-check every token so a
+ * connection ends once its token expires or is revoked (logout)
+ */
+const checkClients = () => {
+  wss.clients.forEach(ws => {
+    const { client } = ws;
+    if (!client.isAlive) {
+      ws.terminate();
+      return;
+    }
+    client.isAlive = false;
+    ws.ping();
+
+    authenticateToken(client.token, { ip: client.ip })
+      .catch(error => ws.close(CLOSE_CODES.unauthorized, error.message));
+  });
+};
+
+// Serve WebSocket upgrades on the HTTP server; called once it is listening
+const attachWebSocketGateway = (server) => {
+  if (wss) {
+    return wss;
+  }
+
+  wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: config.get('realtime.websocket.maxPayload')
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    handleUpgrade(req, socket, head).catch(error => {
+      logger.error('WebSocket upgrade failed', { error: error.message });
+      socket.destroy();
+    });
+  });
+
+  heartbeat = setInterval(checkClients, config.get('realtime.heartbeatInterval'));
+
+  logger.info('WebSocket gateway attached', { path: config.get('realtime.websocket.path') });
+  return wss;
+};
+
+const closeWebSocketGateway = async () => {
+  if (!wss) {
+    return;
+  }
+
+  clearInterval(heartbeat);
+  wss.clients.forEach(ws => ws.close(CLOSE_CODES.shuttingDown, 'Server shutting down'));
+  await new Promise(resolve => wss.close(resolve));
+  wss = null;
+};
+
+module.exports = {
+  CLOSE_CODES,
+  attachWebSocketGateway,
+  closeWebSocketGateway
+};
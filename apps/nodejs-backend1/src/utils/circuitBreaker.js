@@ -0,0 +1,157 @@
+const logger = require('./logger');
+const { ExternalServiceError } = require('../middleware/errorHandler');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Circuit breaker for calls to an external dependency
+ *
+ * - threshold: consecutive failures that open the circuit
+ * - timeout: how long (ms) the circuit stays open before allowing probe calls
+ * - resetTimeout: failures older than this (ms) are forgotten while closed
+ * - halfOpenMaxCalls: probe calls allowed while half-open; all must succeed to close
+ */
+class CircuitBreaker {
+  constructor(name, options = {}, { onStateChange } = {}) {
+    this.name = name;
+    this.enabled = options.enabled !== false;
+    this.threshold = options.threshold || 5;
+    this.timeout = options.timeout || 30000;
+    this.resetTimeout = options.resetTimeout || 60000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+    this.onStateChange = onStateChange;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.lastFailureAt = 0;
+    this.openedAt = 0;
+    this.halfOpenInFlight = 0;
+    this.halfOpenSuccesses = 0;
+  }
+
+  // Run fn through the breaker. isFailure decides which errors count against
+  // the dependency (e.g. a declined payment is not a service failure).
+  async execute(fn, { isFailure = () => true } = {}) {
+    if (!this.enabled) {
+      return fn();
+    }
+
+    this.admit();
+    const isProbe = this.state === STATES.HALF_OPEN;
+    if (isProbe) {
+      this.halfOpenInFlight++;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.recordFailure();
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (isProbe) {
+        this.halfOpenInFlight = Math.max(this.halfOpenInFlight - 1, 0);
+      }
+    }
+  }
+
+  // Reject calls while open, and excess probes while half-open
+  admit() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.timeout) {
+        throw this.openError();
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN && this.halfOpenInFlight >= this.halfOpenMaxCalls) {
+      throw this.openError();
+    }
+  }
+
+  recordSuccess() {
+    if (this.state === STATES.HALF_OPEN) {
+      this.halfOpenSuccesses++;
+      if (this.halfOpenSuccesses >= this.halfOpenMaxCalls) {
+        this.transition(STATES.CLOSED);
+      }
+      return;
+    }
+
+    this.failures = 0;
+  }
+
+  recordFailure() {
+    const now = Date.now();
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.transition(STATES.OPEN);
+      return;
+    }
+
+    if (now - this.lastFailureAt > this.resetTimeout) {
+      this.failures = 0;
+    }
+
+    this.failures++;
+    this.lastFailureAt = now;
+
+    if (this.state === STATES.CLOSED && this.failures >= this.threshold) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+    }
+
+    if (state === STATES.HALF_OPEN) {
+      this.halfOpenInFlight = 0;
+      this.halfOpenSuccesses = 0;
+    }
+
+    if (state === STATES.CLOSED) {
+      this.failures = 0;
+    }
+
+    const log = state === STATES.OPEN ? logger.warn : logger.info;
+    log('Circuit breaker state changed', {
+      service: this.name,
+      from: previous,
+      to: state,
+      failures: this.failures
+    });
+
+    if (this.onStateChange) {
+      this.onStateChange(state, previous);
+    }
+  }
+
+  openError() {
+    const error = new ExternalServiceError(this.name, 'Circuit breaker is open');
+    error.circuitOpen = true;
+    return error;
+  }
+
+  getState() {
+    return this.state;
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CIRCUIT_STATES: STATES
+};
@@ -32,6 +32,8 @@ const consoleFormat = winston.format.combine(
 // Create logger instance
 const logger = winston.createLogger({
   level: config.get('logging.level'),
+  // Tests turn logging off
+  silent: config.has('logging.silent') && config.get('logging.silent'),
   format: customFormat,
   defaultMeta: {
     service: config.get('app.name'),
@@ -0,0 +1,16 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context that follows async work started while handling a request
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, callback) => storage.run(context, callback);
+
+const getContext = () => storage.getStore() || {};
+
+const getRequestId = () => getContext().requestId || null;
+
+module.exports = {
+  runWithContext,
+  getContext,
+  getRequestId
+};
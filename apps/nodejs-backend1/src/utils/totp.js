@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32, the encoding authenticator apps expect for secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+  algorithm: 'sha1',
+  digits: 6,
+  step: 30
+};
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Accepts lower case, spaces and padding as typed from a setup screen
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * HOTP (RFC 4226): HMAC of the 8-byte big-endian counter, dynamically
+ * truncated to `digits` decimal digits
+ */
+const hotp = (key, counter, { algorithm = DEFAULTS.algorithm, digits = DEFAULTS.digits } = {}) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// Time step a moment falls in (RFC 6238 T, with T0 = 0)
+const timeStep = (time = Date.now(), step = DEFAULTS.step) => Math.floor(time / 1000 / step);
+
+/**
+ * TOTP (RFC 6238) for a base32 secret
+ * Options: algorithm (sha1, sha256, sha512), digits, step (seconds) and time (ms).
+ */
+const generateTotp = (secret, { time = Date.now(), step = DEFAULTS.step, ...options } = {}) => {
+  return hotp(base32Decode(secret), timeStep(time, step), options);
+};
+
+/**
+ * Check a code against the current step and `window` steps either side
+ * Returns the matching time step, so callers can refuse to accept the same
+ * step twice, or null.
+ */
+const verifyTotp = (secret, code, { time = Date.now(), step = DEFAULTS.step, window = 1, ...options } = {}) => {
+  const digits = options.digits || DEFAULTS.digits;
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${digits}}$`).test(code)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = timeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, current + offset, options);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+// Key URI understood by authenticator apps (usually shown as a QR code)
+const buildOtpauthUri = ({ secret, accountName, issuer, algorithm = DEFAULTS.algorithm, digits = DEFAULTS.digits, step = DEFAULTS.step }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  // Spaces must be %20: several apps show a '+' from URLSearchParams literally
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: algorithm.toUpperCase(),
+    digits,
+    period: step
+  }).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  timeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -0,0 +1,130 @@
+/**
+ * API keys act through their scopes only
+ * Keys are created with apiKeyService and sent to a small app behind
+ * verifyToken: permission checks see the key's scopes (narrowed to what the
+ * owner's role still grants), role checks and excluded routes refuse keys.
+ * The database is replaced by in-memory tables.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/database', () => ({
+  DatabaseOperations: {}
+}));
+
+const OWNER_ID = '0d6f1d8a-5b0e-4c3a-8f0e-3c9d5f2b7a10';
+
+// role -> permissions it grants
+const GRANTS = {
+  admin: ['orders:manage', 'products:create'],
+  user: []
+};
+
+let app;
+let apiKeys;
+let owner;
+let tables;
+
+beforeAll(() => {
+  const { DatabaseOperations } = require('../../src/config/database');
+  Object.assign(DatabaseOperations, {
+    users: {
+      findById: async (id) => [owner].filter(user => user.id === id)
+    },
+    permissions: {
+      listGrants: async (role) => (GRANTS[role] || []).map(permission => ({ role, permission }))
+    },
+    apiKeys: {
+      create: async (data) => {
+        const apiKey = { id: `key-${tables.apiKeys.length + 1}`, revoked_at: null, ...data };
+        tables.apiKeys.push(apiKey);
+        return [{ ...apiKey }];
+      },
+      findByPrefix: async (prefix) => tables.apiKeys.filter(apiKey => apiKey.prefix === prefix),
+      touch: async () => 1
+    }
+  });
+
+  apiKeys = require('../../src/services/apiKeyService');
+  const { verifyToken, requirePermission, requireRole } = require('../../src/middleware/auth');
+  const { errorHandler } = require('../../src/middleware/errorHandler');
+  const ok = (req, res) => res.status(200).json({ user: req.user });
+
+  app = express();
+  app.get('/api/orders/all', verifyToken, requirePermission('orders:manage'), ok);
+  app.post('/api/products', verifyToken, requirePermission('products:create'), ok);
+  app.get('/api/admin', verifyToken, requireRole(['admin']), ok);
+  app.get('/api/api-keys', verifyToken, ok);
+  app.use(errorHandler);
+});
+
+beforeEach(() => {
+  tables = { apiKeys: [] };
+  owner = {
+    id: OWNER_ID,
+    email: 'ada@example.com',
+    role: 'admin',
+    is_active: true,
+    email_verified_at: new Date(),
+    permissions: GRANTS.admin
+  };
+});
+
+const createKey = async (scopes) => (await apiKeys.createApiKey(owner, { name: 'CI', scopes })).key;
+
+describe('authenticateApiKey', () => {
+  it('carries the key\'s scopes and no role', async () => {
+    const user = await apiKeys.authenticateApiKey(await createKey(['orders:manage']));
+
+    expect(user).toMatchObject({ id: OWNER_ID, role: null, permissions: ['orders:manage'], apiKeyId: 'key-1' });
+  });
+
+  it('drops scopes the owner\'s role no longer grants', async () => {
+    const key = await createKey(['orders:manage', 'products:create']);
+    owner.role = 'user';
+
+    expect((await apiKeys.authenticateApiKey(key)).permissions).toEqual([]);
+  });
+
+  it('refuses to create a key with scopes the owner lacks', async () => {
+    await expect(createKey(['users:delete'])).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('requests with an API key', () => {
+  it('passes permission checks for the key\'s scopes', async () => {
+    const response = await request(app).get('/api/orders/all').set('X-API-Key', await createKey(['orders:manage']));
+
+    expect(response.status).toBe(200);
+  });
+
+  it('refuses a permission the key was not scoped for, though the owner holds it', async () => {
+    const response = await request(app).post('/api/products').set('X-API-Key', await createKey(['orders:manage']));
+
+    expect(response.status).toBe(403);
+  });
+
+  it('refuses role-restricted routes, whatever the owner\'s role', async () => {
+    const response = await request(app).get('/api/admin').set('X-API-Key', await createKey(GRANTS.admin));
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.message).toBe('API keys cannot be used for this route');
+  });
+
+  it('refuses excluded routes, also when sent as a bearer token', async () => {
+    const response = await request(app).get('/api/api-keys').set('Authorization', `Bearer ${await createKey(['orders:manage'])}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('refuses an unknown key', async () => {
+    const key = await createKey(['orders:manage']);
+    // Same prefix, different secret
+    const forged = key.slice(0, -1) + (key.endsWith('0') ? '1' : '0');
+
+    const response = await request(app).get('/api/orders/all').set('X-API-Key', forged);
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * Single sign-on against an in-process OpenID Connect provider
+ * The mock issuer serves discovery, its signing keys and a token endpoint
+ * that checks the PKCE verifier; each test decides which ID token it returns.
+ * The database is replaced by in-memory tables.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/database', () => ({
+  DatabaseOperations: {}
+}));
+
+jest.mock('../../src/services/sessionService', () => ({
+  ...jest.requireActual('../../src/services/sessionService'),
+  createSession: jest.fn(async () => ({ id: 'session-1' })),
+  issueRefreshTokenId: jest.fn(async () => 'refresh-1')
+}));
+
+jest.mock('../../src/services/permissionService', () => ({
+  ...jest.requireActual('../../src/services/permissionService'),
+  getRolePermissions: jest.fn(async () => [])
+}));
+
+jest.mock('../../src/services/mfaService', () => ({
+  ...jest.requireActual('../../src/services/mfaService'),
+  isMfaEnabled: jest.fn()
+}));
+
+const CLIENT_ID = 'test-client';
+const KID = 'issuer-key-1';
+
+const issuerKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+let issuer;
+let issuerUrl;
+let issuerRequests;
+let authorizations;
+let idTokenFor;
+let tables;
+let app;
+let clientIp = 0;
+let isMfaEnabled;
+
+const sign = (claims, { key = issuerKey.privateKey, kid = KID } = {}) => {
+  return jwt.sign(claims, key, { algorithm: 'RS256', keyid: kid, expiresIn: '5m' });
+};
+
+// Claims the provider would put in the ID token for an authorization
+const claimsFor = (authorization, extra = {}) => ({
+  iss: issuerUrl,
+  aud: CLIENT_ID,
+  sub: 'provider-user-1',
+  nonce: authorization.nonce,
+  email: 'ada@example.com',
+  email_verified: true,
+  name: 'Ada Lovelace',
+  ...extra
+});
+
+const readBody = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => resolve(body));
+});
+
+const json = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const handleIssuerRequest = async (req, res) => {
+  const body = await readBody(req);
+  issuerRequests.push({ method: req.method, url: req.url, body });
+
+  if (req.url === '/.well-known/openid-configuration') {
+    return json(res, 200, {
+      issuer: issuerUrl,
+      authorization_endpoint: `${issuerUrl}/authorize`,
+      token_endpoint: `${issuerUrl}/token`,
+      jwks_uri: `${issuerUrl}/jwks`
+    });
+  }
+
+  if (req.url === '/jwks') {
+    const jwk = issuerKey.publicKey.export({ format: 'jwk' });
+    return json(res, 200, { keys: [{ ...jwk, kid: KID, use: 'sig', alg: 'RS256' }] });
+  }
+
+  if (req.url === '/token' && req.method === 'POST') {
+    const form = new URLSearchParams(body);
+    const authorization = authorizations.get(form.get('code'));
+    const verifierHash = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+
+    if (!authorization || form.get('client_id') !== CLIENT_ID || verifierHash !== authorization.codeChallenge) {
+      return json(res, 400, { error: 'invalid_grant' });
+    }
+    authorizations.delete(form.get('code'));
+    return json(res, 200, { token_type: 'Bearer', id_token: idTokenFor(authorization) });
+  }
+
+  json(res, 404, { error: 'not_found' });
+};
+
+beforeAll(async () => {
+  issuer = http.createServer((req, res) => {
+    handleIssuerRequest(req, res);
+  });
+  await new Promise(resolve => issuer.listen(0, '127.0.0.1', resolve));
+  issuerUrl = `http://127.0.0.1:${issuer.address().port}`;
+
+  process.env.NODE_CONFIG = JSON.stringify({
+    oauth2: {
+      enabled: true,
+      clientId: CLIENT_ID,
+      clientSecret: '',
+      issuerUrl,
+      redirectUri: 'http://localhost/api/auth/oidc/callback',
+      autoProvision: true
+    }
+  });
+
+  const { DatabaseOperations } = require('../../src/config/database');
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+  const insert = (table, data) => {
+    const row = { id: crypto.randomUUID(), ...data };
+    tables[table].push(row);
+    return [row];
+  };
+  const update = (table, id, data) => {
+    const row = tables[table].find(item => item.id === id);
+    Object.assign(row, data);
+    return [row];
+  };
+
+  Object.assign(DatabaseOperations, {
+    users: {
+      findById: async (id) => tables.users.filter(row => matches(row, { id })),
+      findByEmail: async (email) => tables.users.filter(row => matches(row, { email })),
+      create: async (data) => insert('users', data),
+      update: async (id, data) => update('users', id, data)
+    },
+    userIdentities: {
+      findBySubject: async (iss, subject) => tables.identities.filter(row => matches(row, { issuer: iss, subject })),
+      create: async (data) => insert('identities', data),
+      update: async (id, data) => update('identities', id, data)
+    }
+  });
+
+  ({ isMfaEnabled } = require('../../src/services/mfaService'));
+  const { errorHandler } = require('../../src/middleware/errorHandler');
+
+  app = express();
+  // Every request comes from its own address so the login rate limit never trips
+  app.set('trust proxy', true);
+  app.use('/api/auth', require('../../src/routes/auth'));
+  app.use(errorHandler);
+});
+
+afterAll(async () => {
+  delete process.env.NODE_CONFIG;
+  issuer.closeAllConnections();
+  await new Promise(resolve => issuer.close(resolve));
+});
+
+beforeEach(() => {
+  issuerRequests = [];
+  authorizations = new Map();
+  idTokenFor = authorization => sign(claimsFor(authorization));
+  tables = { users: [], identities: [] };
+  isMfaEnabled.mockReset();
+  isMfaEnabled.mockResolvedValue(false);
+});
+
+const fromNewAddress = (test) => test.set('X-Forwarded-For', `10.0.0.${++clientIp}`);
+
+/**
+ * Start a login, play the provider's sign-in page and return what the
+ * callback needs. `challenge` overrides the PKCE challenge the provider saw.
+ */
+const signIn = async ({ challenge } = {}) => {
+  const login = await fromNewAddress(request(app).get('/api/auth/oidc/login'));
+  expect(login.status).toBe(302);
+
+  const authorizationUrl = new URL(login.headers.location);
+  const params = authorizationUrl.searchParams;
+  const code = crypto.randomBytes(16).toString('hex');
+  authorizations.set(code, {
+    nonce: params.get('nonce'),
+    codeChallenge: challenge || params.get('code_challenge')
+  });
+
+  return {
+    authorizationUrl,
+    code,
+    state: params.get('state'),
+    cookie: login.headers['set-cookie'][0].split(';')[0]
+  };
+};
+
+const callback = ({ code, state, cookie }) => {
+  const test = fromNewAddress(request(app).get('/api/auth/oidc/callback').query({ code, state }));
+  return cookie ? test.set('Cookie', cookie) : test;
+};
+
+const tokenRequests = () => issuerRequests.filter(item => item.url === '/token');
+
+describe('GET /api/auth/oidc/login', () => {
+  it('redirects to the discovered authorization endpoint with PKCE', async () => {
+    const { authorizationUrl, cookie } = await signIn();
+    const params = authorizationUrl.searchParams;
+
+    expect(`${authorizationUrl.origin}${authorizationUrl.pathname}`).toBe(`${issuerUrl}/authorize`);
+    expect(params.get('response_type')).toBe('code');
+    expect(params.get('client_id')).toBe(CLIENT_ID);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toMatch(/^[\w-]{43}$/);
+    expect(params.get('state')).toBeTruthy();
+    expect(params.get('nonce')).toBeTruthy();
+    expect(cookie).toMatch(/^oidc_login=/);
+  });
+});
+
+describe('GET /api/auth/oidc/callback', () => {
+  it('redeems the code with the PKCE verifier and provisions the user', async () => {
+    const response = await callback(await signIn());
+
+    expect(response.status).toBe(200);
+    expect(response.body.tokens.accessToken).toBeTruthy();
+    expect(response.body.user).toMatchObject({ email: 'ada@example.com', first_name: 'Ada', last_name: 'Lovelace' });
+    expect(response.body.user.password).toBeUndefined();
+    expect(tokenRequests()).toHaveLength(1);
+    expect(tables.identities).toEqual([
+      expect.objectContaining({ user_id: tables.users[0].id, issuer: issuerUrl, subject: 'provider-user-1' })
+    ]);
+  });
+
+  it('logs a known identity in without looking at the email again', async () => {
+    await callback(await signIn());
+    idTokenFor = authorization => sign(claimsFor(authorization, { email: 'changed@example.com', email_verified: false }));
+
+    const response = await callback(await signIn());
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.email).toBe('ada@example.com');
+    expect(tables.users).toHaveLength(1);
+  });
+
+  it('refuses a code the provider rejects for a wrong PKCE verifier', async () => {
+    const response = await callback(await signIn({ challenge: 'not-the-challenge' }));
+
+    expect(response.status).toBe(401);
+    expect(tokenRequests()).toHaveLength(1);
+    expect(tables.users).toHaveLength(0);
+  });
+
+  it('refuses a state that does not match the login cookie', async () => {
+    const login = await signIn();
+
+    const response = await callback({ ...login, state: 'forged-state' });
+
+    expect(response.status).toBe(401);
+    expect(tokenRequests()).toHaveLength(0);
+  });
+
+  it('refuses a callback without the login cookie', async () => {
+    const login = await signIn();
+
+    const response = await callback({ ...login, cookie: null });
+
+    expect(response.status).toBe(401);
+    expect(tokenRequests()).toHaveLength(0);
+  });
+
+  it('refuses an ID token with another nonce', async () => {
+    idTokenFor = authorization => sign(claimsFor(authorization, { nonce: 'replayed-nonce' }));
+
+    const response = await callback(await signIn());
+
+    expect(response.status).toBe(401);
+    expect(tables.users).toHaveLength(0);
+  });
+
+  it('refuses an ID token not signed by the provider', async () => {
+    idTokenFor = authorization => sign(claimsFor(authorization), { key: otherKey.privateKey });
+
+    const response = await callback(await signIn());
+
+    expect(response.status).toBe(401);
+    expect(tables.users).toHaveLength(0);
+  });
+
+  it('refuses an ID token issued to another client', async () => {
+    idTokenFor = authorization => sign(claimsFor(authorization, { aud: 'another-client' }));
+
+    const response = await callback(await signIn());
+
+    expect(response.status).toBe(401);
+    expect(tables.users).toHaveLength(0);
+  });
+
+  describe('linking to an existing account', () => {
+    beforeEach(() => {
+      tables.users.push({ id: 'local-user-1', email: 'ada@example.com', role: 'user', is_active: true, email_verified_at: null });
+    });
+
+    it('links when the provider has verified the email address', async () => {
+      const response = await callback(await signIn());
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.id).toBe('local-user-1');
+      expect(tables.identities).toEqual([expect.objectContaining({ user_id: 'local-user-1' })]);
+      expect(tables.users[0].email_verified_at).toBeInstanceOf(Date);
+    });
+
+    it('refuses when email_verified is missing', async () => {
+      idTokenFor = authorization => sign(claimsFor(authorization, { email_verified: undefined }));
+
+      const response = await callback(await signIn());
+
+      expect(response.status).toBe(403);
+      expect(tables.identities).toHaveLength(0);
+    });
+
+    it('never links by preferred_username or upn', async () => {
+      idTokenFor = authorization => sign(claimsFor(authorization, {
+        email: undefined,
+        email_verified: undefined,
+        preferred_username: 'ada@example.com',
+        upn: 'ada@example.com'
+      }));
+
+      const response = await callback(await signIn());
+
+      expect(response.status).toBe(403);
+      expect(tables.identities).toHaveLength(0);
+    });
+  });
+
+  it('asks users with two-factor authentication for a code instead of issuing tokens', async () => {
+    isMfaEnabled.mockResolvedValue(true);
+
+    const response = await callback(await signIn());
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ mfaRequired: true, challengeToken: expect.any(String) });
+    expect(response.body.tokens).toBeUndefined();
+  });
+});
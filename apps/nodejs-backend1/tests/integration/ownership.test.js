@@ -0,0 +1,159 @@
+/**
+ * Resource ownership on the orders, users and files routes
+ * Requests carry real access tokens through verifyToken; the owner of each
+ * resource comes from the resolvers registered in services/resourceOwners.
+ * The database is replaced by in-memory tables.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/database', () => ({
+  DatabaseOperations: {},
+  getDatabase: jest.fn()
+}));
+
+jest.mock('../../src/services/paymentService', () => ({
+  ...jest.requireActual('../../src/services/paymentService'),
+  payOrder: jest.fn()
+}));
+
+const ADA_ID = '0d6f1d8a-5b0e-4c3a-8f0e-3c9d5f2b7a10';
+const BOB_ID = '7c1e2b9f-3a4d-4e6f-9b8a-1d2c3e4f5a60';
+const ADMIN_ID = 'a3f4c2d1-6e5b-4a98-8c7d-0f1e2d3c4b5a';
+const ADAS_ORDER_ID = '6b0a3c7e-0f7c-4a55-9a53-2f3f1c1f0a01';
+
+let app;
+let payOrder;
+let generateToken;
+
+const tokenFor = (userId, permissions = []) => generateToken({
+  userId,
+  email: `${userId}@example.com`,
+  role: permissions.length > 0 ? 'admin' : 'user',
+  permissions,
+  emailVerified: true
+});
+
+const ada = () => tokenFor(ADA_ID);
+const bob = () => tokenFor(BOB_ID);
+
+beforeAll(() => {
+  const { DatabaseOperations } = require('../../src/config/database');
+  const users = [ADA_ID, BOB_ID, ADMIN_ID].map(id => ({ id, email: `${id}@example.com`, role: 'user', is_active: true }));
+  const orders = [{ id: ADAS_ORDER_ID, user_id: ADA_ID, status: 'pending', total_amount: '42.50' }];
+
+  Object.assign(DatabaseOperations, {
+    users: {
+      findById: async (id) => users.filter(user => user.id === id)
+    },
+    orders: {
+      findById: async (id) => orders.filter(order => order.id === id)
+    },
+    orderItems: {
+      findByOrderId: async () => []
+    }
+  });
+
+  ({ payOrder } = require('../../src/services/paymentService'));
+  const auth = require('../../src/middleware/auth');
+  const { errorHandler } = require('../../src/middleware/errorHandler');
+  ({ generateToken } = auth);
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/users', auth.verifyToken, require('../../src/routes/users'));
+  app.use('/api/orders', auth.verifyToken, require('../../src/routes/orders'));
+  app.use('/api/files', auth.verifyToken, require('../../src/routes/files'));
+  app.use(errorHandler);
+});
+
+beforeEach(() => {
+  payOrder.mockReset();
+  payOrder.mockResolvedValue({ outcome: 'succeeded', order: { id: ADAS_ORDER_ID, status: 'paid' }, payment: {} });
+});
+
+const get = (path, token) => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+describe('orders', () => {
+  it('lets the customer read their own order', async () => {
+    const response = await get(`/api/orders/${ADAS_ORDER_ID}`, ada());
+
+    expect(response.status).toBe(200);
+    expect(response.body.order.id).toBe(ADAS_ORDER_ID);
+  });
+
+  it('refuses another customer\'s order', async () => {
+    const response = await get(`/api/orders/${ADAS_ORDER_ID}`, bob());
+
+    expect(response.status).toBe(403);
+  });
+
+  it('lets holders of orders:manage read any order', async () => {
+    const response = await get(`/api/orders/${ADAS_ORDER_ID}`, tokenFor(ADMIN_ID, ['orders:manage']));
+
+    expect(response.status).toBe(200);
+  });
+
+  it('answers 404 for an order that does not exist', async () => {
+    const response = await get('/api/orders/1b2c3d4e-5f60-4718-9a0b-c1d2e3f4a5b6', bob());
+
+    expect(response.status).toBe(404);
+  });
+
+  describe('POST /:id/payments', () => {
+    const pay = (token) => request(app)
+      .post(`/api/orders/${ADAS_ORDER_ID}/payments`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ paymentMethod: 'pm_card' });
+
+    it('lets the customer pay for their order', async () => {
+      const response = await pay(ada());
+
+      expect(response.status).toBe(200);
+      expect(payOrder).toHaveBeenCalledWith(ADAS_ORDER_ID, expect.objectContaining({ userId: ADA_ID }));
+    });
+
+    it('refuses holders of orders:manage, since the route turns the bypass off', async () => {
+      const response = await pay(tokenFor(ADMIN_ID, ['orders:manage']));
+
+      expect(response.status).toBe(403);
+      expect(payOrder).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('users', () => {
+  it('lets a user read their own profile', async () => {
+    const response = await get(`/api/users/${ADA_ID}`, ada());
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.id).toBe(ADA_ID);
+  });
+
+  it('refuses another user\'s profile', async () => {
+    const response = await get(`/api/users/${ADA_ID}`, bob());
+
+    expect(response.status).toBe(403);
+  });
+
+  it('lets holders of users:read read any profile', async () => {
+    const response = await get(`/api/users/${ADA_ID}`, tokenFor(ADMIN_ID, ['users:read']));
+
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('files', () => {
+  it('refuses another user\'s file', async () => {
+    const response = await get(`/api/files/images/${ADA_ID}/avatar.png`, bob());
+
+    expect(response.status).toBe(403);
+  });
+
+  it('refuses other users\' files even to administrators', async () => {
+    const response = await get(`/api/files/images/${ADA_ID}/avatar.png`, tokenFor(ADMIN_ID, ['users:read', 'orders:manage']));
+
+    expect(response.status).toBe(403);
+  });
+});
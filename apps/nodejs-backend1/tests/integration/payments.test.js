@@ -0,0 +1,199 @@
+/**
+ * Order payments against a local stub of the payment service
+ * The stub listens on a random port; each test sets how it answers. The
+ * database is replaced by in-memory tables.
+ */
+
+const http = require('http');
+
+jest.mock('../../src/config/database', () => ({
+  DatabaseOperations: {}
+}));
+
+jest.mock('../../src/services/orderService', () => ({
+  ...jest.requireActual('../../src/services/orderService'),
+  transitionOrderStatus: jest.fn()
+}));
+
+const ORDER_ID = '6b0a3c7e-0f7c-4a55-9a53-2f3f1c1f0a01';
+const USER_ID = '0d6f1d8a-5b0e-4c3a-8f0e-3c9d5f2b7a10';
+
+let stub;
+let stubRequests;
+let respond;
+let tables;
+let payOrder;
+let transitionOrderStatus;
+
+// Just enough of a knex query builder for startPaymentAttempt
+const query = (table) => {
+  const filter = {};
+  let operation = null;
+  let data = null;
+
+  const run = () => {
+    const rows = tables[table].filter(row => Object.entries(filter).every(([key, value]) => row[key] === value));
+    if (operation === 'insert') {
+      const row = { id: `payment-${tables[table].length + 1}`, ...data };
+      tables[table].push(row);
+      return [row];
+    }
+    if (operation === 'update') {
+      rows.forEach(row => Object.assign(row, data));
+    }
+    return [...rows].reverse();
+  };
+
+  const builder = {
+    where: (conditions) => { Object.assign(filter, conditions); return builder; },
+    orderBy: () => builder,
+    limit: () => builder,
+    forUpdate: () => builder,
+    returning: () => builder,
+    insert: (values) => { operation = 'insert'; data = values; return builder; },
+    update: (values) => { operation = 'update'; data = values; return builder; },
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+  };
+  return builder;
+};
+
+const charges = () => stubRequests.filter(request => request.url === '/v1/charges');
+
+beforeAll(async () => {
+  stub = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      stubRequests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      respond(req, res);
+    });
+  });
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+
+  process.env.NODE_CONFIG = JSON.stringify({
+    externalServices: {
+      paymentService: {
+        url: `http://127.0.0.1:${stub.address().port}`,
+        timeout: 200,
+        retryDelay: 10
+      }
+    }
+  });
+
+  const { DatabaseOperations } = require('../../src/config/database');
+  Object.assign(DatabaseOperations, {
+    transaction: (callback) => callback(query),
+    payments: {
+      update: (id, data) => query('payments').where({ id }).update(data).returning('*')
+    }
+  });
+
+  ({ payOrder } = require('../../src/services/paymentService'));
+  ({ transitionOrderStatus } = require('../../src/services/orderService'));
+});
+
+afterAll(async () => {
+  delete process.env.NODE_CONFIG;
+  stub.closeAllConnections();
+  await new Promise(resolve => stub.close(resolve));
+});
+
+beforeEach(() => {
+  stubRequests = [];
+  tables = {
+    orders: [{ id: ORDER_ID, user_id: USER_ID, status: 'pending', total_amount: '42.50' }],
+    payments: []
+  };
+  transitionOrderStatus.mockReset();
+  transitionOrderStatus.mockImplementation(async (orderId, status) => ({ ...tables.orders[0], status }));
+});
+
+const reply = (status, body) => (req, res) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+describe('payOrder', () => {
+  it('charges the order total and marks the order paid', async () => {
+    respond = reply(201, { id: 'ch_1', status: 'succeeded' });
+
+    const result = await payOrder(ORDER_ID, { userId: USER_ID, paymentMethod: 'pm_card' });
+
+    expect(result.outcome).toBe('succeeded');
+    expect(result.payment).toMatchObject({ status: 'succeeded', provider_reference: 'ch_1' });
+    expect(charges()).toHaveLength(1);
+    expect(charges()[0].body).toMatchObject({ orderId: ORDER_ID, amount: 4250, paymentMethod: 'pm_card' });
+    expect(charges()[0].headers['idempotency-key']).toBe(result.payment.id);
+    expect(transitionOrderStatus).toHaveBeenCalledWith(ORDER_ID, 'paid', expect.any(Object));
+  });
+
+  it('leaves the order pending when the charge is declined', async () => {
+    respond = reply(402, { id: 'ch_2', declineCode: 'insufficient_funds', message: 'Insufficient funds' });
+
+    const result = await payOrder(ORDER_ID, { userId: USER_ID, paymentMethod: 'pm_card' });
+
+    expect(result.outcome).toBe('declined');
+    expect(result.payment).toMatchObject({ status: 'declined', failure_code: 'insufficient_funds' });
+    expect(charges()).toHaveLength(1);
+    expect(transitionOrderStatus).not.toHaveBeenCalled();
+  });
+
+  it('retries transient failures with the same idempotency key', async () => {
+    let calls = 0;
+    respond = (req, res) => {
+      calls++;
+      return calls < 3 ? reply(503, { message: 'unavailable' })(req, res) : reply(201, { id: 'ch_3', status: 'succeeded' })(req, res);
+    };
+
+    const result = await payOrder(ORDER_ID, { userId: USER_ID, paymentMethod: 'pm_card' });
+
+    expect(result.outcome).toBe('succeeded');
+    expect(charges()).toHaveLength(3);
+    expect(new Set(charges().map(request => request.headers['idempotency-key']))).toEqual(new Set([result.payment.id]));
+  });
+
+  it('refuses a second attempt while one is processing', async () => {
+    tables.payments.push({ id: 'payment-1', order_id: ORDER_ID, status: 'processing', updated_at: new Date() });
+
+    await expect(payOrder(ORDER_ID, { userId: USER_ID, paymentMethod: 'pm_card' }))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+
+    expect(charges()).toHaveLength(0);
+  });
+
+  it('retries an attempt left processing past the charge timeout with its idempotency key', async () => {
+    // Outlived every timeout and retry of the client, so its process is gone
+    tables.payments.push({ id: 'payment-1', order_id: ORDER_ID, status: 'processing', updated_at: new Date(Date.now() - 60 * 1000) });
+    respond = reply(201, { id: 'ch_4', status: 'succeeded' });
+
+    const result = await payOrder(ORDER_ID, { userId: USER_ID, paymentMethod: 'pm_card' });
+
+    expect(result.outcome).toBe('succeeded');
+    expect(tables.payments).toHaveLength(1);
+    expect(tables.payments[0]).toMatchObject({ id: 'payment-1', status: 'succeeded' });
+    expect(charges()[0].headers['idempotency-key']).toBe('payment-1');
+  });
+
+  // Runs last: the timeout opens the payment service circuit (threshold 1)
+  it('leaves the order pending when the service times out, then fails fast', async () => {
+    respond = () => {}; // never answers
+
+    await expect(payOrder(ORDER_ID, { userId: USER_ID, paymentMethod: 'pm_card' }))
+      .rejects.toMatchObject({ name: 'ExternalServiceError', message: 'paymentService: Request timed out' });
+
+    expect(charges()).toHaveLength(3);
+    expect(tables.payments).toHaveLength(1);
+    expect(tables.payments[0]).toMatchObject({ status: 'error' });
+    expect(transitionOrderStatus).not.toHaveBeenCalled();
+
+    // The open circuit rejects the retry without calling the service, and
+    // the errored attempt is reused so its idempotency key is kept
+    stubRequests = [];
+    await expect(payOrder(ORDER_ID, { userId: USER_ID, paymentMethod: 'pm_card' }))
+      .rejects.toMatchObject({ circuitOpen: true });
+
+    expect(charges()).toHaveLength(0);
+    expect(tables.payments).toHaveLength(1);
+    expect(tables.payments[0]).toMatchObject({ status: 'error' });
+  });
+});
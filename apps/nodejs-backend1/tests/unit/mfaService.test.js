@@ -0,0 +1,107 @@
+/**
+ * Second login step: invalid codes are counted per user and lock the
+ * enrolment, whichever challenge token they are sent with
+ */
+
+jest.mock('../../src/config/database', () => ({
+  DatabaseOperations: {}
+}));
+
+const USER_ID = '0d6f1d8a-5b0e-4c3a-8f0e-3c9d5f2b7a10';
+
+let mfa;
+let enrolment;
+let DatabaseOperations;
+let generateTotp;
+
+beforeAll(() => {
+  ({ DatabaseOperations } = require('../../src/config/database'));
+  ({ generateTotp } = require('../../src/utils/totp'));
+  mfa = require('../../src/services/mfaService');
+
+  // Mirrors the UPDATEs in src/config/database.js on the single enrolment row
+  Object.assign(DatabaseOperations, {
+    users: {
+      findById: async () => [{ id: USER_ID, email: 'ada@example.com', is_active: true }]
+    },
+    userMfa: {
+      findByUserId: async () => (enrolment ? [{ ...enrolment }] : []),
+      upsert: async (userId, data) => {
+        enrolment = { user_id: userId, failed_attempts: 0, locked_until: null, ...data };
+        return [enrolment];
+      },
+      recordStep: async (userId, step) => {
+        if (enrolment.last_used_step !== null && enrolment.last_used_step >= step) {
+          return [];
+        }
+        enrolment.last_used_step = step;
+        return [enrolment];
+      },
+      recordFailure: async (userId, maxAttempts, lockedUntil) => {
+        if (enrolment.failed_attempts + 1 >= maxAttempts) {
+          Object.assign(enrolment, { failed_attempts: 0, locked_until: lockedUntil });
+        } else {
+          enrolment.failed_attempts += 1;
+        }
+        return [enrolment];
+      },
+      resetFailures: async () => {
+        Object.assign(enrolment, { failed_attempts: 0, locked_until: null });
+        return 1;
+      }
+    },
+    mfaBackupCodes: {
+      consume: async () => []
+    }
+  });
+});
+
+let secret;
+
+beforeEach(async () => {
+  enrolment = null;
+  ({ secret } = await mfa.startEnrolment({ id: USER_ID, email: 'ada@example.com' }));
+  enrolment.enabled_at = new Date();
+});
+
+const challenge = () => mfa.createChallengeToken({ id: USER_ID });
+
+describe('completeChallenge', () => {
+  it('returns the user for a valid code', async () => {
+    const user = await mfa.completeChallenge(challenge(), generateTotp(secret));
+
+    expect(user.id).toBe(USER_ID);
+  });
+
+  it('locks the enrolment after five invalid codes across challenges', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(mfa.completeChallenge(challenge(), '000000')).rejects.toMatchObject({ statusCode: 401 });
+    }
+
+    expect(enrolment.locked_until.getTime()).toBeGreaterThan(Date.now());
+
+    // Even a valid code is refused while locked
+    await expect(mfa.completeChallenge(challenge(), generateTotp(secret))).rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  it('starts counting again after a valid code', async () => {
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await expect(mfa.completeChallenge(challenge(), '000000')).rejects.toMatchObject({ statusCode: 401 });
+    }
+
+    await mfa.completeChallenge(challenge(), generateTotp(secret));
+    expect(enrolment.failed_attempts).toBe(0);
+
+    await expect(mfa.completeChallenge(challenge(), '000000')).rejects.toMatchObject({ statusCode: 401 });
+    expect(enrolment.locked_until).toBeNull();
+  });
+
+  it('accepts codes again once the lockout has passed', async () => {
+    enrolment.locked_until = new Date(Date.now() - 1000);
+
+    const user = await mfa.completeChallenge(challenge(), generateTotp(secret));
+
+    expect(user.id).toBe(USER_ID);
+    expect(enrolment.locked_until).toBeNull();
+  });
+});
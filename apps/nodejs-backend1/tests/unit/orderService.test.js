@@ -0,0 +1,191 @@
+/**
+ * Orders reserve stock when they are placed and give it back when they are
+ * cancelled; status changes follow the order state machine
+ * The database is replaced by in-memory tables.
+ */
+
+jest.mock('../../src/config/database', () => ({
+  DatabaseOperations: {}
+}));
+
+const USER_ID = '0d6f1d8a-5b0e-4c3a-8f0e-3c9d5f2b7a10';
+
+let tables;
+let orders;
+let canTransition;
+let assertTransition;
+
+// Just enough of a knex query builder for createOrder and transitionOrderStatus
+const query = (table) => {
+  const filter = {};
+  let ids = null;
+  let operation = null;
+  let data = null;
+
+  const run = () => {
+    const rows = tables[table].filter(row => (
+      Object.entries(filter).every(([key, value]) => row[key] === value) &&
+      (!ids || ids.includes(row.id))
+    ));
+    if (operation === 'insert') {
+      const inserted = [].concat(data).map(values => ({ id: `${table}-${tables[table].length + 1}`, ...values }));
+      tables[table].push(...inserted);
+      return inserted.map(row => ({ ...row }));
+    }
+    if (operation === 'update') {
+      rows.forEach(row => {
+        for (const [key, value] of Object.entries(data)) {
+          row[key] = value && value.increment !== undefined ? row[key] + value.increment : value;
+        }
+      });
+    }
+    // Copies, like rows read from a real database
+    return rows.map(row => ({ ...row }));
+  };
+
+  const builder = {
+    where: (conditions) => { Object.assign(filter, conditions); return builder; },
+    whereIn: (column, values) => { ids = values; return builder; },
+    orderBy: () => builder,
+    forUpdate: () => builder,
+    returning: () => builder,
+    insert: (values) => { operation = 'insert'; data = values; return builder; },
+    update: (values) => { operation = 'update'; data = values; return builder; },
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+  };
+  return builder;
+};
+
+// Only ever called as trx.raw('stock_quantity + ?', [change])
+query.raw = (sql, [increment]) => ({ increment });
+
+beforeAll(() => {
+  const { DatabaseOperations } = require('../../src/config/database');
+  DatabaseOperations.transaction = (callback) => callback(query);
+
+  orders = require('../../src/services/orderService');
+  ({ canTransition, assertTransition } = require('../../src/services/orderStateMachine'));
+});
+
+beforeEach(() => {
+  tables = {
+    products: [
+      { id: 'keyboard', name: 'Keyboard', price: '49.90', stock_quantity: 5, is_active: true },
+      { id: 'mouse', name: 'Mouse', price: '19.99', stock_quantity: 1, is_active: true }
+    ],
+    orders: [],
+    order_items: [],
+    order_status_history: []
+  };
+});
+
+const stock = (productId) => tables.products.find(product => product.id === productId).stock_quantity;
+
+describe('createOrder', () => {
+  it('prices the order from the catalogue and reserves its stock', async () => {
+    const order = await orders.createOrder(USER_ID, [
+      { productId: 'keyboard', quantity: 2 },
+      { productId: 'mouse', quantity: 1 }
+    ]);
+
+    expect(order).toMatchObject({ status: 'pending', subtotal: 119.79, item_count: 3 });
+    expect(stock('keyboard')).toBe(3);
+    expect(stock('mouse')).toBe(0);
+  });
+
+  it('refuses the order with every line that is short of stock', async () => {
+    const placing = orders.createOrder(USER_ID, [
+      { productId: 'keyboard', quantity: 6 },
+      { productId: 'mouse', quantity: 2 }
+    ]);
+
+    await expect(placing).rejects.toMatchObject({
+      name: 'ConflictError',
+      statusCode: 409,
+      details: [
+        { productId: 'keyboard', productName: 'Keyboard', requested: 6, available: 5 },
+        { productId: 'mouse', productName: 'Mouse', requested: 2, available: 1 }
+      ]
+    });
+    expect(stock('keyboard')).toBe(5);
+    expect(tables.orders).toHaveLength(0);
+  });
+
+  it('counts repeated lines for the same product together', async () => {
+    await expect(orders.createOrder(USER_ID, [
+      { productId: 'mouse', quantity: 1 },
+      { productId: 'mouse', quantity: 1 }
+    ])).rejects.toMatchObject({ details: [expect.objectContaining({ productId: 'mouse', requested: 2 })] });
+  });
+});
+
+describe('transitionOrderStatus', () => {
+  let order;
+
+  beforeEach(async () => {
+    order = await orders.createOrder(USER_ID, [{ productId: 'keyboard', quantity: 2 }]);
+  });
+
+  it('releases the reserved stock when a pending order is cancelled', async () => {
+    const cancelled = await orders.transitionOrderStatus(order.id, 'cancelled', { actorId: USER_ID, reason: 'Changed my mind' });
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(stock('keyboard')).toBe(5);
+    expect(tables.order_status_history).toContainEqual(expect.objectContaining({
+      order_id: order.id,
+      from_status: 'pending',
+      to_status: 'cancelled',
+      actor_id: USER_ID
+    }));
+  });
+
+  it('keeps the stock reserved when the order is paid', async () => {
+    await orders.transitionOrderStatus(order.id, 'paid');
+
+    expect(stock('keyboard')).toBe(3);
+  });
+
+  it('releases the stock when a paid order is refunded before it is fulfilled', async () => {
+    await orders.transitionOrderStatus(order.id, 'paid');
+    await orders.transitionOrderStatus(order.id, 'refunded');
+
+    expect(stock('keyboard')).toBe(5);
+  });
+
+  it('rejects an illegal transition and leaves the order as it was', async () => {
+    await orders.transitionOrderStatus(order.id, 'paid');
+
+    await expect(orders.transitionOrderStatus(order.id, 'cancelled'))
+      .rejects.toMatchObject({ name: 'ConflictError', message: 'Cannot change order status from paid to cancelled' });
+
+    expect(tables.orders[0].status).toBe('paid');
+    expect(stock('keyboard')).toBe(3);
+  });
+
+  it('reports an order that does not exist', async () => {
+    await expect(orders.transitionOrderStatus('missing', 'cancelled')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('order state machine', () => {
+  it.each([
+    ['pending', 'paid'],
+    ['pending', 'cancelled'],
+    ['paid', 'fulfilled'],
+    ['paid', 'refunded'],
+    ['shipped', 'delivered']
+  ])('allows %s to %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    ['paid', 'cancelled'],
+    ['shipped', 'cancelled'],
+    ['cancelled', 'pending'],
+    ['refunded', 'paid'],
+    ['pending', 'unknown']
+  ])('rejects %s to %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+    expect(() => assertTransition(from, to)).toThrow(`Cannot change order status from ${from} to ${to}`);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Who may assign a role, or manage a user who has it: holders of
+ * users:manage_admins always; others only for roles that grant nothing they
+ * lack and that do not administer accounts
+ */
+
+jest.mock('../../src/config/database', () => ({
+  DatabaseOperations: {}
+}));
+
+// role -> permissions it grants
+const GRANTS = {
+  user: [],
+  support: ['users:read', 'orders:manage'],
+  catalogue: ['products:create', 'products:update'],
+  admin: ['users:read', 'users:update', 'orders:manage', 'products:create', 'products:update']
+};
+
+let canManageRole;
+
+beforeAll(() => {
+  const { DatabaseOperations } = require('../../src/config/database');
+  DatabaseOperations.permissions = {
+    listGrants: async (role) => (GRANTS[role] || []).map(permission => ({ role, permission }))
+  };
+
+  ({ canManageRole } = require('../../src/services/permissionService'));
+});
+
+const actor = (...permissions) => ({ id: 'actor', permissions });
+
+describe('canManageRole', () => {
+  it('allows roles whose permissions the actor holds', async () => {
+    const manager = actor('users:read', 'users:update', 'orders:manage');
+
+    expect(await canManageRole(manager, 'user')).toBe(true);
+    expect(await canManageRole(manager, 'support')).toBe(true);
+  });
+
+  it('refuses roles that grant a permission the actor lacks', async () => {
+    expect(await canManageRole(actor('users:update', 'users:read'), 'support')).toBe(false);
+  });
+
+  it('refuses roles that administer accounts, even when the actor holds their permissions', async () => {
+    const admin = actor(...GRANTS.admin);
+
+    expect(await canManageRole(admin, 'admin')).toBe(false);
+    expect(await canManageRole(admin, 'catalogue')).toBe(true);
+  });
+
+  it('allows every role to holders of users:manage_admins', async () => {
+    const superAdmin = actor('users:manage_admins');
+
+    expect(await canManageRole(superAdmin, 'admin')).toBe(true);
+    expect(await canManageRole(superAdmin, 'catalogue')).toBe(true);
+  });
+
+  it('refuses everything but permission-less roles to an actor without permissions', async () => {
+    expect(await canManageRole({ id: 'actor' }, 'user')).toBe(true);
+    expect(await canManageRole({ id: 'actor' }, 'support')).toBe(false);
+  });
+});
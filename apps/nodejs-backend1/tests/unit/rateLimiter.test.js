@@ -0,0 +1,84 @@
+/**
+ * Rate limiting falls back to in-memory counters whenever Redis cannot answer
+ * straight away, instead of waiting for it
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/redis', () => ({
+  RedisOperations: { eval: jest.fn() },
+  getRedisClient: jest.fn()
+}));
+
+let RedisOperations;
+let getRedisClient;
+let createRateLimiter;
+let limiterNo = 0;
+
+beforeAll(() => {
+  process.env.NODE_CONFIG = JSON.stringify({ redis: { enabled: true } });
+
+  ({ RedisOperations, getRedisClient } = require('../../src/config/redis'));
+  ({ createRateLimiter } = require('../../src/middleware/rateLimiter'));
+});
+
+afterAll(() => {
+  delete process.env.NODE_CONFIG;
+});
+
+beforeEach(() => {
+  RedisOperations.eval.mockReset();
+  getRedisClient.mockReset();
+});
+
+// A fresh limiter name per test keeps the in-memory counters apart
+const limitedApp = (max) => {
+  const app = express();
+  app.use(createRateLimiter({ name: `test-${++limiterNo}`, windowMs: 60 * 1000, max }));
+  app.get('/', (req, res) => res.status(200).json({ ok: true }));
+  return app;
+};
+
+const statuses = async (app, count) => {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    results.push((await request(app).get('/')).status);
+  }
+  return results;
+};
+
+describe('createRateLimiter', () => {
+  it('counts in Redis while the client is ready', async () => {
+    getRedisClient.mockReturnValue({ isReady: true });
+    RedisOperations.eval.mockResolvedValueOnce([1, 1]).mockResolvedValueOnce([0, 2]);
+
+    expect(await statuses(limitedApp(2), 2)).toEqual([200, 429]);
+    expect(RedisOperations.eval).toHaveBeenCalledTimes(2);
+  });
+
+  it('counts in memory without calling Redis while the client reconnects', async () => {
+    getRedisClient.mockReturnValue({ isReady: false });
+
+    expect(await statuses(limitedApp(2), 3)).toEqual([200, 200, 429]);
+    expect(RedisOperations.eval).not.toHaveBeenCalled();
+  });
+
+  it('counts in memory when the client is not initialized', async () => {
+    getRedisClient.mockImplementation(() => {
+      throw new Error('Redis not initialized. Call initializeRedis() first.');
+    });
+
+    expect(await statuses(limitedApp(1), 2)).toEqual([200, 429]);
+    expect(RedisOperations.eval).not.toHaveBeenCalled();
+  });
+
+  it('counts in memory when Redis does not answer in time', async () => {
+    getRedisClient.mockReturnValue({ isReady: true });
+    RedisOperations.eval.mockReturnValue(new Promise(() => {}));
+
+    const startedAt = Date.now();
+    expect(await statuses(limitedApp(1), 2)).toEqual([200, 429]);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+});
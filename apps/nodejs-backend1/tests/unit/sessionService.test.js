@@ -0,0 +1,174 @@
+/**
+ * Login sessions: revoking one device or every device ends the sessions for
+ * good, and their tokens are refused from then on. Refresh tokens are spent
+ * on use; replaying a spent one revokes its whole family (the session).
+ * The database is replaced by in-memory tables.
+ */
+
+jest.mock('../../src/config/database', () => ({
+  DatabaseOperations: {}
+}));
+
+const USER_ID = '0d6f1d8a-5b0e-4c3a-8f0e-3c9d5f2b7a10';
+const OTHER_USER_ID = '7c1e2b9f-3a4d-4e6f-9b8a-1d2c3e4f5a60';
+
+let sessions;
+let tables;
+
+const isRevoked = (sessionId) => Boolean(tables.sessions.find(session => session.id === sessionId).revoked_at);
+
+beforeAll(() => {
+  const { DatabaseOperations } = require('../../src/config/database');
+  sessions = require('../../src/services/sessionService');
+
+  const rows = (table, where) => tables[table]
+    .filter(row => Object.entries(where).every(([key, value]) => row[key] === value))
+    .map(row => ({ ...row }));
+
+  // Mirrors the queries in src/config/database.js
+  Object.assign(DatabaseOperations, {
+    userSessions: {
+      create: async (data) => {
+        const session = { id: `session-${tables.sessions.length + 1}`, revoked_at: null, last_used_at: new Date(), ...data };
+        tables.sessions.push(session);
+        return [{ ...session }];
+      },
+      findById: async (id) => rows('sessions', { id }),
+      update: async (id, data) => {
+        const session = tables.sessions.find(row => row.id === id && !row.revoked_at);
+        return session ? [{ ...Object.assign(session, data) }] : [];
+      },
+      touch: async () => 1,
+      revoke: async (id, reason) => {
+        const session = tables.sessions.find(row => row.id === id && !row.revoked_at);
+        return session ? [{ ...Object.assign(session, { revoked_at: new Date(), revoked_reason: reason }) }] : [];
+      },
+      revokeByUserId: async (userId, reason, exceptId = null) => {
+        const revoked = tables.sessions.filter(row => row.user_id === userId && !row.revoked_at && row.id !== exceptId);
+        revoked.forEach(row => Object.assign(row, { revoked_at: new Date(), revoked_reason: reason }));
+        return revoked.map(row => ({ id: row.id }));
+      }
+    },
+    refreshTokens: {
+      create: async (data) => {
+        const token = { id: `token-${tables.refreshTokens.length + 1}`, used_at: null, ...data };
+        tables.refreshTokens.push(token);
+        return [{ ...token }];
+      },
+      findById: async (id) => rows('refreshTokens', { id }),
+      consume: async (id, sessionId) => {
+        const token = tables.refreshTokens.find(row => (
+          row.id === id && row.session_id === sessionId && !row.used_at && row.expires_at > new Date()
+        ));
+        return token ? [{ ...Object.assign(token, { used_at: new Date() }) }] : [];
+      }
+    }
+  });
+});
+
+beforeEach(() => {
+  tables = { sessions: [], refreshTokens: [] };
+});
+
+const signIn = (userId = USER_ID, userAgent = 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0') => {
+  return sessions.createSession(userId, { ip: '127.0.0.1', userAgent });
+};
+
+describe('revokeSession', () => {
+  it('revokes one of the user\'s sessions and refuses its tokens afterwards', async () => {
+    const laptop = await signIn();
+    const phone = await signIn();
+
+    await sessions.revokeSession(USER_ID, laptop.id);
+
+    await expect(sessions.assertActiveSession(laptop.id, USER_ID)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(sessions.assertActiveSession(phone.id, USER_ID)).resolves.toMatchObject({ id: phone.id });
+  });
+
+  it('does not reveal or revoke another user\'s session', async () => {
+    const theirs = await signIn(OTHER_USER_ID);
+
+    await expect(sessions.revokeSession(USER_ID, theirs.id)).rejects.toMatchObject({ statusCode: 404 });
+    expect(isRevoked(theirs.id)).toBe(false);
+  });
+});
+
+describe('revokeAllSessions', () => {
+  it('logs the user out of every session', async () => {
+    const laptop = await signIn();
+    const phone = await signIn();
+    const theirs = await signIn(OTHER_USER_ID);
+
+    expect(await sessions.revokeAllSessions(USER_ID)).toBe(2);
+
+    expect(tables.sessions.filter(session => session.user_id === USER_ID))
+      .toEqual([
+        expect.objectContaining({ id: laptop.id, revoked_reason: 'logout_all' }),
+        expect.objectContaining({ id: phone.id, revoked_reason: 'logout_all' })
+      ]);
+    await expect(sessions.assertActiveSession(phone.id, USER_ID)).rejects.toMatchObject({ statusCode: 401 });
+    expect(isRevoked(theirs.id)).toBe(false);
+  });
+
+  it('can keep the caller\'s own session', async () => {
+    const laptop = await signIn();
+    const phone = await signIn();
+
+    expect(await sessions.revokeAllSessions(USER_ID, { exceptSessionId: laptop.id })).toBe(1);
+
+    expect(isRevoked(laptop.id)).toBe(false);
+    expect(isRevoked(phone.id)).toBe(true);
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  let session;
+  let claims;
+
+  beforeEach(async () => {
+    session = await signIn();
+    claims = { userId: USER_ID, sid: session.id, jti: await sessions.issueRefreshTokenId(session) };
+  });
+
+  it('spends the token and keeps the session for the next one', async () => {
+    const rotated = await sessions.rotateRefreshToken(claims, { ip: '127.0.0.1' });
+
+    expect(rotated.id).toBe(session.id);
+    expect(tables.refreshTokens[0].used_at).toBeInstanceOf(Date);
+
+    const next = { ...claims, jti: await sessions.issueRefreshTokenId(rotated) };
+    await expect(sessions.rotateRefreshToken(next)).resolves.toMatchObject({ id: session.id });
+  });
+
+  it('revokes the whole family when a spent token is replayed', async () => {
+    await sessions.rotateRefreshToken(claims);
+    const next = { ...claims, jti: await sessions.issueRefreshTokenId(session) };
+
+    await expect(sessions.rotateRefreshToken(claims)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(tables.sessions[0]).toMatchObject({ revoked_reason: 'refresh_token_reuse' });
+    // The token issued by the legitimate rotation is refused too
+    await expect(sessions.rotateRefreshToken(next)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(sessions.assertActiveSession(session.id, USER_ID)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('refuses a token from another family without revoking the session', async () => {
+    const other = await signIn();
+    const otherToken = await sessions.issueRefreshTokenId(other);
+
+    await expect(sessions.rotateRefreshToken({ ...claims, jti: otherToken })).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(isRevoked(session.id)).toBe(false);
+  });
+
+  it('refuses a token without a family', async () => {
+    await expect(sessions.rotateRefreshToken({ userId: USER_ID })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('refuses tokens of a session that was logged out', async () => {
+    await sessions.revokeAllSessions(USER_ID);
+
+    await expect(sessions.rotateRefreshToken(claims)).rejects.toMatchObject({ statusCode: 401 });
+    expect(tables.refreshTokens[0].used_at).toBeNull();
+  });
+});
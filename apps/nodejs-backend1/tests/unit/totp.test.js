@@ -0,0 +1,66 @@
+/**
+ * TOTP against the RFC 6238 Appendix B test vectors
+ * Each algorithm has its own seed: the ASCII digits "1234567890" repeated to
+ * the HMAC's output length (20, 32 and 64 bytes).
+ */
+
+const { hotp, timeStep, base32Encode, generateTotp, verifyTotp } = require('../../src/utils/totp');
+
+const seed = (length) => Buffer.from('1234567890'.repeat(7).slice(0, length), 'ascii');
+
+const SEEDS = {
+  sha1: seed(20),
+  sha256: seed(32),
+  sha512: seed(64)
+};
+
+// [time in seconds, sha1, sha256, sha512]
+const VECTORS = [
+  [59, '94287082', '46119246', '90693936'],
+  [1111111109, '07081804', '68084774', '25091201'],
+  [1111111111, '14050471', '67062674', '99943326'],
+  [1234567890, '89005924', '91819424', '93441116'],
+  [2000000000, '69279037', '90698825', '38618901'],
+  [20000000000, '65353130', '77737706', '47863826']
+];
+
+const cases = VECTORS.flatMap(([time, ...codes]) => (
+  ['sha1', 'sha256', 'sha512'].map((algorithm, index) => [algorithm, time, codes[index]])
+));
+
+describe('hotp', () => {
+  it.each(cases)('%s at %i s gives %s', (algorithm, time, expected) => {
+    expect(hotp(SEEDS[algorithm], timeStep(time * 1000), { algorithm, digits: 8 })).toBe(expected);
+  });
+});
+
+describe('generateTotp', () => {
+  it.each(cases)('%s at %i s gives %s from the base32 secret', (algorithm, time, expected) => {
+    const secret = base32Encode(SEEDS[algorithm]);
+    expect(generateTotp(secret, { time: time * 1000, algorithm, digits: 8 })).toBe(expected);
+  });
+});
+
+describe('verifyTotp', () => {
+  const secret = base32Encode(SEEDS.sha1);
+  const options = { digits: 8, window: 1 };
+
+  it('returns the time step of a valid code', () => {
+    expect(verifyTotp(secret, '07081804', { ...options, time: 1111111109 * 1000 })).toBe(37037036);
+  });
+
+  it('accepts a code from the adjacent step', () => {
+    // 1111111111 s falls in the step after 1111111109 s
+    expect(verifyTotp(secret, '07081804', { ...options, time: 1111111111 * 1000 })).toBe(37037036);
+  });
+
+  it('rejects a code outside the window', () => {
+    expect(verifyTotp(secret, '07081804', { ...options, time: 1234567890 * 1000 })).toBeNull();
+  });
+
+  it('rejects codes that are not all digits of the right length', () => {
+    expect(verifyTotp(secret, '0708180', { ...options, time: 1111111109 * 1000 })).toBeNull();
+    expect(verifyTotp(secret, '0708180a', { ...options, time: 1111111109 * 1000 })).toBeNull();
+    expect(verifyTotp(secret, 7081804, { ...options, time: 1111111109 * 1000 })).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Webhook signing and delivery against a local receiver
+ * The receiver listens on a random port and records every request; each test
+ * sets how it answers. Endpoints are disabled after three consecutive
+ * failures here. The database is replaced by in-memory tables.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+jest.mock('../../src/config/database', () => ({
+  DatabaseOperations: {}
+}));
+
+const SECRET = 'whsec_test';
+
+let receiver;
+let receiverUrl;
+let received;
+let respond;
+let tables;
+let deliverWebhook;
+let signPayload;
+
+// Mirrors the UPDATEs in src/config/database.js
+const find = (table, id) => tables[table].find(row => row.id === id);
+const update = (table, id, data) => [{ ...Object.assign(find(table, id), data) }];
+
+beforeAll(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      respond(req, res);
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+  process.env.NODE_CONFIG = JSON.stringify({
+    webhooks: { timeout: 500, disableAfterFailures: 3 }
+  });
+
+  const { DatabaseOperations } = require('../../src/config/database');
+  Object.assign(DatabaseOperations, {
+    webhookEndpoints: {
+      findById: async (id) => tables.endpoints.filter(row => row.id === id),
+      update: async (id, data) => update('endpoints', id, data),
+      recordSuccess: async (id) => update('endpoints', id, { failure_count: 0 }),
+      recordFailure: async (id) => update('endpoints', id, { failure_count: find('endpoints', id).failure_count + 1 })
+    },
+    webhookDeliveries: {
+      findById: async (id) => tables.deliveries.filter(row => row.id === id),
+      update: async (id, data) => update('deliveries', id, data)
+    }
+  });
+
+  ({ deliverWebhook, signPayload } = require('../../src/services/webhookService'));
+});
+
+afterAll(async () => {
+  delete process.env.NODE_CONFIG;
+  receiver.closeAllConnections();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+beforeEach(() => {
+  received = [];
+  tables = {
+    endpoints: [{ id: 'endpoint-1', url: receiverUrl, secret: SECRET, is_active: true, failure_count: 0 }],
+    deliveries: []
+  };
+});
+
+const reply = (status) => (req, res) => {
+  res.writeHead(status, { 'Content-Type': 'text/plain' });
+  res.end('ok');
+};
+
+const logDelivery = () => {
+  const delivery = {
+    id: `delivery-${tables.deliveries.length + 1}`,
+    endpoint_id: 'endpoint-1',
+    event: 'order.created',
+    payload: JSON.stringify({ occurredAt: '2026-10-19T09:00:00.000Z', data: { orderId: 'order-1' } }),
+    status: 'pending',
+    attempts: 0
+  };
+  tables.deliveries.push(delivery);
+  return delivery;
+};
+
+// The receiver's side of the contract documented in the README
+const expectedSignature = (timestamp, body) => {
+  return `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+};
+
+describe('signPayload', () => {
+  it('is "sha256=" and the hex HMAC of "<timestamp>.<body>"', () => {
+    expect(signPayload(SECRET, '1760864400', '{"id":"delivery-1"}'))
+      .toBe(expectedSignature('1760864400', '{"id":"delivery-1"}'));
+    expect(signPayload(SECRET, '1760864400', '{}')).toMatch(/^sha256=[0-9a-f]{64}$/);
+  });
+});
+
+describe('deliverWebhook', () => {
+  it('posts the event with headers the receiver can verify', async () => {
+    respond = reply(204);
+    const delivery = logDelivery();
+
+    await deliverWebhook({ deliveryId: delivery.id }, { attempts: 1, maxAttempts: 5 });
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(JSON.parse(body)).toEqual({
+      id: delivery.id,
+      event: 'order.created',
+      occurredAt: '2026-10-19T09:00:00.000Z',
+      data: { orderId: 'order-1' }
+    });
+    expect(headers['x-webhook-id']).toBe(delivery.id);
+    expect(headers['x-webhook-event']).toBe('order.created');
+    expect(headers['x-webhook-timestamp']).toMatch(/^\d+$/);
+    expect(headers['x-webhook-signature']).toBe(expectedSignature(headers['x-webhook-timestamp'], body));
+    expect(delivery).toMatchObject({ status: 'succeeded', attempts: 1, response_status: 204 });
+  });
+
+  it('disables the endpoint after repeated failures and cancels later deliveries', async () => {
+    respond = reply(503);
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      await expect(deliverWebhook({ deliveryId: logDelivery().id }, { attempts: 5, maxAttempts: 5 }))
+        .rejects.toMatchObject({ response: { status: 503 } });
+    }
+
+    expect(tables.endpoints[0]).toMatchObject({
+      is_active: false,
+      failure_count: 3,
+      disabled_reason: 'Disabled after 3 consecutive failed deliveries'
+    });
+    expect(tables.deliveries.map(delivery => delivery.status)).toEqual(['failed', 'failed', 'failed']);
+
+    const next = logDelivery();
+    await deliverWebhook({ deliveryId: next.id }, { attempts: 1, maxAttempts: 5 });
+
+    expect(received).toHaveLength(3);
+    expect(next.status).toBe('cancelled');
+  });
+
+  it('starts counting failures again after a successful delivery', async () => {
+    respond = reply(503);
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      await expect(deliverWebhook({ deliveryId: logDelivery().id }, { attempts: 1, maxAttempts: 5 })).rejects.toThrow();
+    }
+
+    respond = reply(200);
+    await deliverWebhook({ deliveryId: logDelivery().id }, { attempts: 1, maxAttempts: 5 });
+
+    respond = reply(503);
+    await expect(deliverWebhook({ deliveryId: logDelivery().id }, { attempts: 1, maxAttempts: 5 })).rejects.toThrow();
+
+    expect(tables.endpoints[0]).toMatchObject({ is_active: true, failure_count: 1 });
+  });
+});